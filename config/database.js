@@ -1,5 +1,6 @@
 const mariadb = require('mariadb');
 require('dotenv').config();
+const { hashPassword, verifyPassword, createOneTimePassword } = require('../utils/auth');
 
 // Database configuration
 const pool = mariadb.createPool({
@@ -22,6 +23,31 @@ pool.getConnection()
     console.error('Database connection error:', err);
   });
 
+// Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no admin exists yet
+const bootstrapAdmin = async (conn) => {
+  const admins = await conn.query('SELECT COUNT(*) as count FROM admins');
+  if (Number(admins[0].count) > 0) {
+    return;
+  }
+
+  const { ADMIN_NAME, ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn('No admin account exists. Set ADMIN_EMAIL and ADMIN_PASSWORD and restart to create one.');
+    return;
+  }
+
+  if (ADMIN_PASSWORD.length < 8) {
+    console.warn('ADMIN_PASSWORD must be at least 8 characters. Initial admin was not created.');
+    return;
+  }
+
+  await conn.query(
+    'INSERT INTO admins (name, email, passwordHash) VALUES (?, ?, ?)',
+    [ADMIN_NAME || 'Administrator', ADMIN_EMAIL.trim(), await hashPassword(ADMIN_PASSWORD)]
+  );
+  console.log(`Created initial admin account for ${ADMIN_EMAIL.trim()}`);
+};
+
 // Initialize database tables
 const initializeDatabase = async () => {
   let conn;
@@ -58,8 +84,6 @@ const initializeDatabase = async () => {
       CREATE TABLE IF NOT EXISTS managers (
         id INT AUTO_INCREMENT PRIMARY KEY,
         name VARCHAR(255) NOT NULL,
-        department VARCHAR(255) NOT NULL,
-        sport VARCHAR(255) NOT NULL,
         contact VARCHAR(255) NOT NULL,
         email VARCHAR(255) NOT NULL UNIQUE,
         studentCount INT NOT NULL,
@@ -67,7 +91,6 @@ const initializeDatabase = async () => {
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_email (email),
-        INDEX idx_sport (sport),
         INDEX idx_team (teamId),
         FOREIGN KEY (teamId) REFERENCES teams(id) ON DELETE SET NULL
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -101,7 +124,7 @@ const initializeDatabase = async () => {
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_prn_uid (prn_uid),
         INDEX idx_manager (managerId),
-        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE CASCADE
+        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE SET NULL
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `);
     
@@ -158,8 +181,6 @@ const initializeDatabase = async () => {
         id INT AUTO_INCREMENT PRIMARY KEY,
         title VARCHAR(255) NOT NULL,
         description TEXT NOT NULL,
-        documentUrl VARCHAR(500),
-        scheduleImageUrl VARCHAR(500),
         noticeDate DATE NOT NULL,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -193,6 +214,950 @@ const initializeDatabase = async () => {
       }
     }
     
+    // Create manager_credentials table (hashed passwords, kept apart from managers.contact)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS manager_credentials (
+        managerId INT PRIMARY KEY,
+        passwordHash VARCHAR(255) NOT NULL,
+        mustChangePassword BOOLEAN DEFAULT TRUE,
+        passwordChangedAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create sessions table (issued on login, revoked on logout)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userType VARCHAR(50) NOT NULL,
+        userId INT NOT NULL,
+        tokenHash VARCHAR(255) NOT NULL UNIQUE,
+        expiresAt TIMESTAMP NOT NULL,
+        revokedAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user (userType, userId),
+        INDEX idx_token_hash (tokenHash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create student_credentials table (student portal passwords, set on first login)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS student_credentials (
+        studentId INT PRIMARY KEY,
+        passwordHash VARCHAR(255) NOT NULL,
+        passwordChangedAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create admins table (sports department staff)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS admins (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        passwordHash VARCHAR(255) NOT NULL,
+        isActive BOOLEAN DEFAULT TRUE,
+        createdBy INT,
+        lastLoginAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_email (email)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create rate_limits table (request counters for the database rate limit store)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        bucketKey VARCHAR(255) PRIMARY KEY,
+        count INT NOT NULL DEFAULT 0,
+        resetAt DATETIME(3) NOT NULL,
+        INDEX idx_reset_at (resetAt)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create audit_log table (who created, updated or deleted what)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        actorType VARCHAR(50) NOT NULL,
+        actorId INT,
+        actorName VARCHAR(255),
+        action VARCHAR(20) NOT NULL,
+        entityType VARCHAR(100) NOT NULL,
+        entityId VARCHAR(100),
+        changes LONGTEXT,
+        ipAddress VARCHAR(100),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_entity (entityType, entityId),
+        INDEX idx_actor (actorType, actorId),
+        INDEX idx_created_at (createdAt)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Bootstrap the first admin from environment variables on a fresh install
+    await bootstrapAdmin(conn);
+    
+    // Existing managers get a random password nobody knows; an admin issues them a
+    // one-time password with POST /api/managers/:id/reset-password
+    const managersWithoutCredentials = await conn.query(`
+      SELECT m.id FROM managers m
+      LEFT JOIN manager_credentials mc ON mc.managerId = m.id
+      WHERE mc.managerId IS NULL
+    `);
+    for (const manager of managersWithoutCredentials) {
+      await conn.query(
+        'INSERT INTO manager_credentials (managerId, passwordHash, mustChangePassword) VALUES (?, ?, TRUE)',
+        [manager.id, await hashPassword(createOneTimePassword())]
+      );
+    }
+    if (managersWithoutCredentials.length > 0) {
+      console.log(`Created locked credentials for ${managersWithoutCredentials.length} manager(s); reset their passwords to let them log in`);
+    }
+    
+    // Initial passwords used to be the contact number. Replace any that were never changed.
+    const unchangedCredentials = await conn.query(`
+      SELECT m.id, m.contact, mc.passwordHash FROM manager_credentials mc
+      JOIN managers m ON mc.managerId = m.id
+      WHERE mc.mustChangePassword = TRUE AND mc.passwordChangedAt IS NULL
+    `);
+    let lockedCount = 0;
+    for (const manager of unchangedCredentials) {
+      if (manager.contact && await verifyPassword(manager.contact, manager.passwordHash)) {
+        await conn.query(
+          'UPDATE manager_credentials SET passwordHash = ? WHERE managerId = ?',
+          [await hashPassword(createOneTimePassword()), manager.id]
+        );
+        lockedCount++;
+      }
+    }
+    if (lockedCount > 0) {
+      console.log(`Locked ${lockedCount} manager password(s) that were still the contact number; reset them to let those managers log in`);
+    }
+    
+    // Create events table (tournaments and meets)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        sportId INT,
+        description TEXT,
+        venue VARCHAR(255),
+        startDate DATE NOT NULL,
+        endDate DATE NOT NULL,
+        status ENUM('upcoming', 'ongoing', 'completed') DEFAULT 'upcoming',
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_sport (sportId),
+        INDEX idx_status (status),
+        INDEX idx_start_date (startDate),
+        FOREIGN KEY (sportId) REFERENCES sports(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create event_teams table (teams registered for an event)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS event_teams (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        eventId INT NOT NULL,
+        teamId INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_event_team (eventId, teamId),
+        INDEX idx_event (eventId),
+        INDEX idx_team (teamId),
+        FOREIGN KEY (eventId) REFERENCES events(id) ON DELETE CASCADE,
+        FOREIGN KEY (teamId) REFERENCES teams(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Link event images and notices to events
+    for (const table of ['event_images', 'notices']) {
+      try {
+        await conn.query(`ALTER TABLE ${table} ADD COLUMN eventId INT NULL`);
+        await conn.query(`ALTER TABLE ${table} ADD INDEX idx_event (eventId)`);
+        await conn.query(`ALTER TABLE ${table} ADD FOREIGN KEY (eventId) REFERENCES events(id) ON DELETE SET NULL`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('Duplicate column name')) {
+          console.log(`Note: eventId column may already exist in ${table} table`);
+        }
+      }
+    }
+    
+    // Track fixture format and publication on events
+    try {
+      await conn.query('ALTER TABLE events ADD COLUMN fixtureFormat VARCHAR(50) NULL');
+      await conn.query('ALTER TABLE events ADD COLUMN fixturesPublishedAt TIMESTAMP NULL');
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: fixture columns may already exist in events table');
+      }
+    }
+    
+    // Create matches table (generated fixtures)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS matches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        eventId INT NOT NULL,
+        matchNumber INT NOT NULL,
+        stage ENUM('league', 'group', 'knockout') NOT NULL,
+        groupName VARCHAR(10),
+        round INT NOT NULL,
+        homeTeamId INT,
+        awayTeamId INT,
+        homeSource VARCHAR(50),
+        awaySource VARCHAR(50),
+        scheduledAt DATETIME,
+        venue VARCHAR(255),
+        nextMatchId INT,
+        nextMatchSlot ENUM('home', 'away'),
+        status ENUM('scheduled', 'completed', 'cancelled') DEFAULT 'scheduled',
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_event (eventId),
+        INDEX idx_scheduled_at (scheduledAt),
+        FOREIGN KEY (eventId) REFERENCES events(id) ON DELETE CASCADE,
+        FOREIGN KEY (homeTeamId) REFERENCES teams(id) ON DELETE SET NULL,
+        FOREIGN KEY (awayTeamId) REFERENCES teams(id) ON DELETE SET NULL,
+        FOREIGN KEY (nextMatchId) REFERENCES matches(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Results on matches
+    const matchResultColumns = [
+      'homeScore INT NULL',
+      'awayScore INT NULL',
+      "resultType ENUM('normal', 'draw', 'walkover') NULL",
+      'resultRecordedAt TIMESTAMP NULL',
+    ];
+    for (const column of matchResultColumns) {
+      try {
+        await conn.query(`ALTER TABLE matches ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('Duplicate column name')) {
+          console.log('Note: result columns may already exist in matches table');
+        }
+      }
+    }
+    try {
+      await conn.query('ALTER TABLE matches ADD COLUMN winnerTeamId INT NULL');
+      await conn.query('ALTER TABLE matches ADD FOREIGN KEY (winnerTeamId) REFERENCES teams(id) ON DELETE SET NULL');
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: winnerTeamId column may already exist in matches table');
+      }
+    }
+    
+    // Scoring rules per sport used for standings
+    const sportScoringColumns = [
+      'pointsWin INT NOT NULL DEFAULT 3',
+      'pointsDraw INT NOT NULL DEFAULT 1',
+      'pointsLoss INT NOT NULL DEFAULT 0',
+      "tieBreakers VARCHAR(255) NOT NULL DEFAULT 'headToHead,scoreDifference,scoreFor'",
+    ];
+    for (const column of sportScoringColumns) {
+      try {
+        await conn.query(`ALTER TABLE sports ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('Duplicate column name')) {
+          console.log('Note: scoring columns may already exist in sports table');
+        }
+      }
+    }
+    
+    // Create practice_sessions table (squad practice per manager)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS practice_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        managerId INT NOT NULL,
+        coachId INT,
+        sessionDate DATE NOT NULL,
+        startTime TIME NOT NULL,
+        endTime TIME,
+        venue VARCHAR(255),
+        notes TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_manager_date (managerId, sessionDate),
+        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE CASCADE,
+        FOREIGN KEY (coachId) REFERENCES coaches(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create practice_attendance table (register per session)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS practice_attendance (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sessionId INT NOT NULL,
+        studentId INT NOT NULL,
+        status ENUM('present', 'late', 'absent', 'excused') NOT NULL,
+        remarks VARCHAR(255),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_session_student (sessionId, studentId),
+        INDEX idx_student (studentId),
+        FOREIGN KEY (sessionId) REFERENCES practice_sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create venues table (grounds, courts, gym shared by all sports)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS venues (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        type VARCHAR(100),
+        location VARCHAR(255),
+        capacity INT,
+        description TEXT,
+        isActive BOOLEAN DEFAULT TRUE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create venue_bookings table
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS venue_bookings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        venueId INT NOT NULL,
+        purpose ENUM('practice', 'match', 'event', 'other') NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        startAt DATETIME NOT NULL,
+        endAt DATETIME NOT NULL,
+        practiceSessionId INT,
+        matchId INT,
+        eventId INT,
+        notes TEXT,
+        status ENUM('confirmed', 'cancelled') DEFAULT 'confirmed',
+        bookedByType VARCHAR(20) NOT NULL,
+        bookedById INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_venue_time (venueId, startAt, endAt),
+        INDEX idx_booked_by (bookedByType, bookedById),
+        FOREIGN KEY (venueId) REFERENCES venues(id) ON DELETE CASCADE,
+        FOREIGN KEY (practiceSessionId) REFERENCES practice_sessions(id) ON DELETE SET NULL,
+        FOREIGN KEY (matchId) REFERENCES matches(id) ON DELETE SET NULL,
+        FOREIGN KEY (eventId) REFERENCES events(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create equipment_items table (inventory per sport)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS equipment_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        sportId INT,
+        category VARCHAR(100),
+        totalQuantity INT NOT NULL DEFAULT 0,
+        availableQuantity INT NOT NULL DEFAULT 0,
+        itemCondition ENUM('new', 'good', 'fair', 'poor', 'damaged') DEFAULT 'good',
+        notes TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_sport (sportId),
+        FOREIGN KEY (sportId) REFERENCES sports(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create equipment_issues table (issue and return transactions).
+    // managerId is the manager accountable for the items, also for student issues.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS equipment_issues (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        itemId INT NOT NULL,
+        quantity INT NOT NULL,
+        issuedToType ENUM('student', 'manager') NOT NULL,
+        studentId INT,
+        managerId INT,
+        issuedAt DATETIME NOT NULL,
+        dueAt DATETIME NOT NULL,
+        returnedQuantity INT NOT NULL DEFAULT 0,
+        lostQuantity INT NOT NULL DEFAULT 0,
+        returnCondition ENUM('new', 'good', 'fair', 'poor', 'damaged'),
+        returnedAt DATETIME,
+        status ENUM('issued', 'returned') DEFAULT 'issued',
+        notes TEXT,
+        issuedByType VARCHAR(20) NOT NULL,
+        issuedById INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_item (itemId),
+        INDEX idx_student (studentId),
+        INDEX idx_manager (managerId),
+        INDEX idx_status_due (status, dueAt),
+        FOREIGN KEY (itemId) REFERENCES equipment_items(id) ON DELETE CASCADE,
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE SET NULL,
+        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create achievements table (results and medals won by students)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS achievements (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        studentId INT NOT NULL,
+        eventId INT,
+        eventName VARCHAR(255) NOT NULL,
+        sportId INT,
+        position VARCHAR(100),
+        medal ENUM('gold', 'silver', 'bronze'),
+        level ENUM('college', 'university', 'state', 'national') NOT NULL,
+        achievementDate DATE NOT NULL,
+        notes TEXT,
+        recordedByType VARCHAR(20) NOT NULL,
+        recordedById INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_student (studentId),
+        INDEX idx_event (eventId),
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE,
+        FOREIGN KEY (eventId) REFERENCES events(id) ON DELETE SET NULL,
+        FOREIGN KEY (sportId) REFERENCES sports(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create certificate_templates table (department wording and artwork)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS certificate_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        type ENUM('participation', 'merit') NOT NULL,
+        headerText VARCHAR(255),
+        title VARCHAR(255) NOT NULL,
+        bodyText TEXT NOT NULL,
+        signatoryName VARCHAR(255),
+        signatoryTitle VARCHAR(255),
+        backgroundImageUrl VARCHAR(500),
+        isDefault BOOLEAN DEFAULT FALSE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create certificates table. The printed details are copied in so a
+    // certificate keeps verifying the same way after the source records change.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS certificates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        achievementId INT,
+        templateId INT,
+        type ENUM('participation', 'merit') NOT NULL,
+        verificationCode VARCHAR(20) NOT NULL UNIQUE,
+        studentId INT,
+        studentName VARCHAR(255) NOT NULL,
+        prn VARCHAR(255) NOT NULL,
+        sportName VARCHAR(255),
+        eventName VARCHAR(255) NOT NULL,
+        position VARCHAR(100),
+        level VARCHAR(50) NOT NULL,
+        achievementDate DATE NOT NULL,
+        issuedByType VARCHAR(20) NOT NULL,
+        issuedById INT NOT NULL,
+        issuedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revokedAt TIMESTAMP NULL,
+        INDEX idx_student (studentId),
+        INDEX idx_achievement (achievementId),
+        FOREIGN KEY (achievementId) REFERENCES achievements(id) ON DELETE SET NULL,
+        FOREIGN KEY (templateId) REFERENCES certificate_templates(id) ON DELETE SET NULL,
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Eligibility rules per sport
+    const sportEligibilityColumns = [
+      'minAge INT NULL',
+      'maxAge INT NULL',
+      'ageCutoffDate DATE NULL',
+      "genderCategory ENUM('open', 'men', 'women') NOT NULL DEFAULT 'open'",
+      'maxSportsPerStudent INT NULL',
+    ];
+    for (const column of sportEligibilityColumns) {
+      try {
+        await conn.query(`ALTER TABLE sports ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('Duplicate column name')) {
+          console.log('Note: eligibility columns may already exist in sports table');
+        }
+      }
+    }
+    
+    // Add gender to students (for gender category rules)
+    try {
+      await conn.query("ALTER TABLE students ADD COLUMN gender ENUM('male', 'female', 'other') NULL");
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: gender column may already exist in students table');
+      }
+    }
+    
+    // Create student_memberships table (one student in several sport squads).
+    // students.managerId stays as the manager the student first registered with.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS student_memberships (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        studentId INT NOT NULL,
+        managerId INT NOT NULL,
+        linkToken VARCHAR(255),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_student_manager (studentId, managerId),
+        INDEX idx_manager (managerId),
+        INDEX idx_link_token (linkToken),
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE,
+        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // One-time migration: every existing student becomes a member of their manager's squad
+    const membershipCount = await conn.query('SELECT COUNT(*) as count FROM student_memberships');
+    if (Number(membershipCount[0].count) === 0) {
+      await conn.query(`
+        INSERT IGNORE INTO student_memberships (studentId, managerId, linkToken, createdAt)
+        SELECT id, managerId, linkToken, createdAt FROM students WHERE managerId IS NOT NULL
+      `);
+    }
+    
+    // Deleting a manager must no longer delete students who play in other squads
+    const cascadingStudentKeys = await conn.query(`
+      SELECT CONSTRAINT_NAME as name FROM information_schema.REFERENTIAL_CONSTRAINTS
+      WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'students'
+        AND REFERENCED_TABLE_NAME = 'managers' AND DELETE_RULE = 'CASCADE'
+    `);
+    for (const key of cascadingStudentKeys) {
+      await conn.query(`ALTER TABLE students DROP FOREIGN KEY \`${key.name}\``);
+      await conn.query('ALTER TABLE students ADD FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE SET NULL');
+    }
+    
+    // Create seasons table (academic years such as 2026-27; one is active at a time)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS seasons (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(20) NOT NULL UNIQUE,
+        startDate DATE NOT NULL,
+        endDate DATE NOT NULL,
+        isActive BOOLEAN DEFAULT FALSE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_active (isActive)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Start with the current academic year (June to May) when there are no seasons yet
+    const seasonCount = await conn.query('SELECT COUNT(*) as count FROM seasons');
+    if (Number(seasonCount[0].count) === 0) {
+      const now = new Date();
+      const startYear = now.getMonth() >= 5 ? now.getFullYear() : now.getFullYear() - 1;
+      const name = `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+      await conn.query(
+        'INSERT INTO seasons (name, startDate, endDate, isActive) VALUES (?, ?, ?, TRUE)',
+        [name, `${startYear}-06-01`, `${startYear + 1}-05-31`]
+      );
+    }
+    const activeSeasons = await conn.query('SELECT id FROM seasons WHERE isActive = TRUE ORDER BY startDate DESC LIMIT 1');
+    const activeSeasonId = activeSeasons.length > 0 ? activeSeasons[0].id : null;
+    
+    // Create manager_seasons table (which managers run a squad in which season)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS manager_seasons (
+        managerId INT NOT NULL,
+        seasonId INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (managerId, seasonId),
+        INDEX idx_season (seasonId),
+        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE CASCADE,
+        FOREIGN KEY (seasonId) REFERENCES seasons(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    const managerSeasonCount = await conn.query('SELECT COUNT(*) as count FROM manager_seasons');
+    if (Number(managerSeasonCount[0].count) === 0 && activeSeasonId) {
+      await conn.query('INSERT INTO manager_seasons (managerId, seasonId) SELECT id, ? FROM managers', [activeSeasonId]);
+    }
+    
+    // Stamp season-scoped records. Existing rows belong to the active season.
+    // Squad memberships and selections become unique per season.
+    const seasonScopedTables = [
+      { table: 'student_memberships', uniqueKey: 'unique_student_manager' },
+      { table: 'student_selections', uniqueKey: 'unique_student_manager' },
+      { table: 'notices' },
+      { table: 'student_links' },
+    ];
+    for (const { table, uniqueKey } of seasonScopedTables) {
+      try {
+        await conn.query(`ALTER TABLE ${table} ADD COLUMN seasonId INT NULL`);
+        await conn.query(`UPDATE ${table} SET seasonId = ? WHERE seasonId IS NULL`, [activeSeasonId]);
+        await conn.query(`ALTER TABLE ${table} ADD INDEX idx_season (seasonId)`);
+        await conn.query(`ALTER TABLE ${table} ADD FOREIGN KEY (seasonId) REFERENCES seasons(id) ON DELETE SET NULL`);
+        if (uniqueKey) {
+          await conn.query(
+            `ALTER TABLE ${table} DROP INDEX ${uniqueKey}, ADD UNIQUE KEY unique_student_manager_season (studentId, managerId, seasonId)`
+          );
+        }
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('Duplicate column name')) {
+          console.log(`Note: seasonId column may already exist in ${table} table`);
+        }
+      }
+    }
+    
+    // Create departments table
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS departments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Managers reference their department and sport by id
+    try {
+      await conn.query('ALTER TABLE managers ADD COLUMN departmentId INT NULL, ADD COLUMN sportId INT NULL');
+      await conn.query('ALTER TABLE managers ADD INDEX idx_department (departmentId), ADD INDEX idx_sport_id (sportId)');
+      await conn.query('ALTER TABLE managers ADD FOREIGN KEY (departmentId) REFERENCES departments(id)');
+      await conn.query('ALTER TABLE managers ADD FOREIGN KEY (sportId) REFERENCES sports(id)');
+    } catch (error) {
+      // Columns already exist, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: departmentId/sportId columns may already exist in managers table');
+      }
+    }
+    
+    // One-time migration of the free-text managers.department and managers.sport
+    // columns: every name becomes a department or sport row (matched without
+    // regard to case), then the text columns are dropped
+    const legacyManagerColumns = await conn.query(`
+      SELECT COLUMN_NAME as name FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'managers' AND COLUMN_NAME IN ('department', 'sport')
+    `);
+    if (legacyManagerColumns.length === 2) {
+      await conn.query(`
+        INSERT IGNORE INTO departments (name)
+        SELECT DISTINCT TRIM(department) FROM managers WHERE TRIM(department) != ''
+      `);
+      await conn.query(`
+        INSERT IGNORE INTO sports (name)
+        SELECT DISTINCT TRIM(sport) FROM managers WHERE TRIM(sport) != ''
+      `);
+      await conn.query(`
+        UPDATE managers m JOIN departments d ON d.name = TRIM(m.department)
+        SET m.departmentId = d.id WHERE m.departmentId IS NULL
+      `);
+      await conn.query(`
+        UPDATE managers m JOIN sports sp ON sp.name = TRIM(m.sport)
+        SET m.sportId = sp.id WHERE m.sportId IS NULL
+      `);
+      await conn.query('ALTER TABLE managers DROP INDEX idx_sport, DROP COLUMN department, DROP COLUMN sport');
+      console.log('Migrated manager departments and sports to foreign keys');
+    }
+    
+    // Teams play one sport; sports limit the size of a team roster
+    try {
+      await conn.query('ALTER TABLE teams ADD COLUMN sportId INT NULL');
+      await conn.query('ALTER TABLE teams ADD INDEX idx_sport (sportId)');
+      await conn.query('ALTER TABLE teams ADD FOREIGN KEY (sportId) REFERENCES sports(id) ON DELETE SET NULL');
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: sportId column may already exist in teams table');
+      }
+    }
+    for (const column of ['minRosterSize INT NULL', 'maxRosterSize INT NULL']) {
+      try {
+        await conn.query(`ALTER TABLE sports ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('Duplicate column name')) {
+          console.log('Note: roster size columns may already exist in sports table');
+        }
+      }
+    }
+    
+    // Create team_roster table (players of a team in a season)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS team_roster (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        teamId INT NOT NULL,
+        seasonId INT NOT NULL,
+        studentId INT NOT NULL,
+        jerseyNumber INT NULL,
+        position VARCHAR(100),
+        isCaptain BOOLEAN DEFAULT FALSE,
+        isViceCaptain BOOLEAN DEFAULT FALSE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_team_student (teamId, seasonId, studentId),
+        UNIQUE KEY unique_team_jersey (teamId, seasonId, jerseyNumber),
+        INDEX idx_student (studentId),
+        FOREIGN KEY (teamId) REFERENCES teams(id) ON DELETE CASCADE,
+        FOREIGN KEY (seasonId) REFERENCES seasons(id) ON DELETE CASCADE,
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create team_coaches table (coaches assigned to a team in a season)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS team_coaches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        teamId INT NOT NULL,
+        seasonId INT NOT NULL,
+        coachId INT NOT NULL,
+        role ENUM('head', 'assistant') DEFAULT 'assistant',
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_team_coach (teamId, seasonId, coachId),
+        INDEX idx_coach (coachId),
+        FOREIGN KEY (teamId) REFERENCES teams(id) ON DELETE CASCADE,
+        FOREIGN KEY (seasonId) REFERENCES seasons(id) ON DELETE CASCADE,
+        FOREIGN KEY (coachId) REFERENCES coaches(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Squad quota: members beyond managers.studentCount wait in arrival order
+    try {
+      await conn.query("ALTER TABLE student_memberships ADD COLUMN status ENUM('active', 'waitlisted') NOT NULL DEFAULT 'active'");
+      await conn.query('ALTER TABLE student_memberships ADD COLUMN promotedAt TIMESTAMP NULL');
+      await conn.query('ALTER TABLE student_memberships ADD INDEX idx_manager_season_status (managerId, seasonId, status)');
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: status column may already exist in student_memberships table');
+      }
+    }
+    try {
+      await conn.query('ALTER TABLE managers ADD COLUMN autoPromoteWaitlist BOOLEAN NOT NULL DEFAULT TRUE');
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: autoPromoteWaitlist column may already exist in managers table');
+      }
+    }
+    
+    // Create student_documents table (one current file per student and type)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS student_documents (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        studentId INT NOT NULL,
+        type ENUM('photo', 'id_card', 'medical_certificate', 'parental_consent') NOT NULL,
+        filePath VARCHAR(500) NOT NULL,
+        originalName VARCHAR(255),
+        mimeType VARCHAR(100),
+        expiresAt DATE NULL,
+        status ENUM('pending', 'verified', 'rejected') NOT NULL DEFAULT 'pending',
+        remarks TEXT,
+        uploadedByType ENUM('admin', 'manager', 'student') NOT NULL,
+        uploadedById INT NOT NULL,
+        verifiedByType ENUM('admin', 'manager') NULL,
+        verifiedById INT NULL,
+        verifiedAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_student_type (studentId, type),
+        INDEX idx_status (status),
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create fitness_test_types table (configurable fitness tests)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS fitness_test_types (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        unit VARCHAR(50) NOT NULL,
+        betterDirection ENUM('higher', 'lower') NOT NULL DEFAULT 'higher',
+        description TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create fitness_results table (one entry per student, test and date)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS fitness_results (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        studentId INT NOT NULL,
+        testTypeId INT NOT NULL,
+        seasonId INT NOT NULL,
+        managerId INT,
+        coachId INT,
+        value DECIMAL(12, 3) NOT NULL,
+        testDate DATE NOT NULL,
+        notes TEXT,
+        recordedByType ENUM('admin', 'manager') NOT NULL,
+        recordedById INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_student_test (studentId, testTypeId, testDate),
+        INDEX idx_squad_test (managerId, seasonId, testTypeId),
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE,
+        FOREIGN KEY (testTypeId) REFERENCES fitness_test_types(id),
+        FOREIGN KEY (seasonId) REFERENCES seasons(id) ON DELETE CASCADE,
+        FOREIGN KEY (managerId) REFERENCES managers(id) ON DELETE SET NULL,
+        FOREIGN KEY (coachId) REFERENCES coaches(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create student_injuries table (injury and medical incident register)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS student_injuries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        studentId INT NOT NULL,
+        incidentDate DATE NOT NULL,
+        context ENUM('practice', 'match', 'other') NOT NULL DEFAULT 'other',
+        matchId INT,
+        practiceSessionId INT,
+        bodyPart VARCHAR(100) NOT NULL,
+        description TEXT,
+        severity ENUM('minor', 'moderate', 'severe') NOT NULL,
+        treatedBy VARCHAR(255),
+        returnToPlayStatus ENUM('unfit', 'limited', 'cleared') NOT NULL DEFAULT 'unfit',
+        expectedReturnDate DATE NULL,
+        clearanceNotes TEXT,
+        clearedByType ENUM('admin', 'manager') NULL,
+        clearedById INT NULL,
+        clearedAt TIMESTAMP NULL,
+        reportedByType ENUM('admin', 'manager') NOT NULL,
+        reportedById INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_student_status (studentId, returnToPlayStatus),
+        INDEX idx_incident_date (incidentDate),
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE,
+        FOREIGN KEY (matchId) REFERENCES matches(id) ON DELETE SET NULL,
+        FOREIGN KEY (practiceSessionId) REFERENCES practice_sessions(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create match_lineups table (players named by a team for a match)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS match_lineups (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        matchId INT NOT NULL,
+        teamId INT NOT NULL,
+        studentId INT NOT NULL,
+        isStarting BOOLEAN NOT NULL DEFAULT TRUE,
+        position VARCHAR(100),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_match_student (matchId, studentId),
+        INDEX idx_match_team (matchId, teamId),
+        FOREIGN KEY (matchId) REFERENCES matches(id) ON DELETE CASCADE,
+        FOREIGN KEY (teamId) REFERENCES teams(id) ON DELETE CASCADE,
+        FOREIGN KEY (studentId) REFERENCES students(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Notice categories, pinning and scheduled publish/expiry. Notices that
+    // existed before were published when they were created.
+    try {
+      await conn.query("ALTER TABLE notices ADD COLUMN category ENUM('trials', 'schedule', 'results', 'general') NOT NULL DEFAULT 'general'");
+      await conn.query('ALTER TABLE notices ADD COLUMN isPinned BOOLEAN NOT NULL DEFAULT FALSE');
+      await conn.query('ALTER TABLE notices ADD COLUMN publishAt DATETIME NULL');
+      await conn.query('ALTER TABLE notices ADD COLUMN expiresAt DATETIME NULL');
+      await conn.query('UPDATE notices SET publishAt = createdAt');
+      await conn.query('ALTER TABLE notices ADD INDEX idx_publish_expires (publishAt, expiresAt)');
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: category column may already exist in notices table');
+      }
+    }
+    
+    // Create notice_audiences table (a notice without rows is for everyone)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS notice_audiences (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        noticeId INT NOT NULL,
+        audienceType ENUM('sport', 'team', 'manager') NOT NULL,
+        audienceId INT NOT NULL,
+        UNIQUE KEY unique_notice_audience (noticeId, audienceType, audienceId),
+        INDEX idx_audience (audienceType, audienceId),
+        FOREIGN KEY (noticeId) REFERENCES notices(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Create notice_attachments table (ordered files of a notice)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS notice_attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        noticeId INT NOT NULL,
+        fileUrl VARCHAR(500) NOT NULL,
+        originalName VARCHAR(255),
+        mimeType VARCHAR(100),
+        fileSize INT,
+        caption VARCHAR(255),
+        displayOrder INT NOT NULL DEFAULT 0,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_notice_order (noticeId, displayOrder),
+        FOREIGN KEY (noticeId) REFERENCES notices(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // One-time migration of notices.documentUrl and notices.scheduleImageUrl:
+    // the document becomes the first attachment and the schedule image the
+    // second, then the columns are dropped. The inserts skip files that already
+    // have a row, so a start that stopped before the drop does not copy them twice.
+    const legacyNoticeColumns = await conn.query(`
+      SELECT COLUMN_NAME as name FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'notices' AND COLUMN_NAME IN ('documentUrl', 'scheduleImageUrl')
+    `);
+    if (legacyNoticeColumns.length === 2) {
+      await conn.query(`
+        INSERT INTO notice_attachments (noticeId, fileUrl, originalName, mimeType, caption, displayOrder)
+        SELECT id, documentUrl, SUBSTRING_INDEX(documentUrl, '/', -1), 'application/pdf', 'Document', 0
+        FROM notices WHERE documentUrl IS NOT NULL AND documentUrl != ''
+          AND NOT EXISTS (SELECT 1 FROM notice_attachments na WHERE na.noticeId = notices.id AND na.fileUrl = notices.documentUrl)
+      `);
+      await conn.query(`
+        INSERT INTO notice_attachments (noticeId, fileUrl, originalName, mimeType, caption, displayOrder)
+        SELECT id, scheduleImageUrl, SUBSTRING_INDEX(scheduleImageUrl, '/', -1),
+               IF(LOWER(scheduleImageUrl) LIKE '%.png', 'image/png', 'image/jpeg'), 'Schedule', 1
+        FROM notices WHERE scheduleImageUrl IS NOT NULL AND scheduleImageUrl != ''
+          AND NOT EXISTS (SELECT 1 FROM notice_attachments na WHERE na.noticeId = notices.id AND na.fileUrl = notices.scheduleImageUrl)
+      `);
+      await conn.query('ALTER TABLE notices DROP COLUMN documentUrl, DROP COLUMN scheduleImageUrl');
+      console.log('Migrated notice documents and schedule images to attachments');
+    }
+    
+    // Create event_albums table (photo albums shown in the public gallery)
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS event_albums (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        eventId INT,
+        coverImageId INT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_event (eventId),
+        FOREIGN KEY (eventId) REFERENCES events(id) ON DELETE SET NULL,
+        FOREIGN KEY (coverImageId) REFERENCES event_images(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+    
+    // Images can belong to an album; an album's images go with it
+    try {
+      await conn.query('ALTER TABLE event_images ADD COLUMN albumId INT NULL');
+      await conn.query('ALTER TABLE event_images ADD INDEX idx_album_order (albumId, displayOrder)');
+      await conn.query('ALTER TABLE event_images ADD FOREIGN KEY (albumId) REFERENCES event_albums(id) ON DELETE CASCADE');
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('Duplicate column name')) {
+        console.log('Note: albumId column may already exist in event_images table');
+      }
+    }
+    
     console.log('Database tables initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -7,11 +7,40 @@ require('dotenv').config();
 
 // Import database pool
 const pool = require('./config/database');
+const {
+  hashPassword,
+  verifyPassword,
+  createOneTimePassword,
+  createSessionToken,
+  verifySessionToken,
+  getBearerToken,
+  getSessionExpiry,
+} = require('./utils/auth');
+const {
+  createMemoryStore,
+  createDatabaseStore,
+  rateLimit,
+  createLoginGuard,
+  sendTooManyRequests,
+} = require('./utils/rateLimit');
+const { generateFixtures, scheduleMatches } = require('./utils/fixtures');
+const { TIE_BREAKERS, parseTieBreakers, matchWinner, computeStandings } = require('./utils/standings');
+const { DEFAULT_TEMPLATES, createVerificationCode, renderCertificate } = require('./utils/certificates');
+const { GENDERS, GENDER_CATEGORIES, calculateAge, parseBirthDate, checkEligibility } = require('./utils/eligibility');
+const { DIRECTIONS: FITNESS_DIRECTIONS, summarizeProgress, percentileRank } = require('./utils/fitness');
+const { compilePolicies, createAuthorize } = require('./utils/access');
 
 const app = express();
+// Access policies compare paths case-sensitively, so routes must too
+app.set('case sensitive routing', true);
 const PORT = process.env.PORT || 4002;
 const SERVER_HOST = process.env.SERVER_HOST || '91.108.105.168';
 
+// Needed behind a reverse proxy so req.ip is the client address (used by rate limits)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: '*', // Allow all origins for remote server
@@ -75,9 +104,434 @@ const upload = multer({
   }
 });
 
-// Serve uploaded files statically
+// Serve uploaded files statically. Student documents are private and only
+// served through /api/student-documents/:id/file.
+app.use('/uploads', (req, res, next) => {
+  let requested;
+  try {
+    requested = decodeURIComponent(req.path);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid file path' });
+  }
+  if (path.basename(requested).startsWith('student-doc-')) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  next();
+});
 app.use('/uploads', express.static(uploadsDir));
 
+// ==================== AUTHENTICATION ====================
+
+// User lookup for each session type. The row becomes req.user (with its role) and,
+// for managers, req.manager as well.
+const sessionUserQueries = {
+  manager: `SELECT m.id, m.name, m.email, m.departmentId, d.name as department, m.sportId, sp.name as sport, m.teamId,
+              mc.mustChangePassword
+            FROM managers m
+            LEFT JOIN departments d ON m.departmentId = d.id
+            LEFT JOIN sports sp ON m.sportId = sp.id
+            LEFT JOIN manager_credentials mc ON mc.managerId = m.id
+            WHERE m.id = ?`,
+  admin: 'SELECT id, name, email FROM admins WHERE id = ? AND isActive = TRUE',
+  student: 'SELECT id, name, prn_uid, managerId FROM students WHERE id = ?',
+};
+
+// Resolve the bearer token, if any, into req.user. Requests without a valid token
+// continue anonymously; the authorization middleware decides whether that is allowed.
+const authenticate = async (req, res, next) => {
+  req.user = null;
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  const tokenHash = verifySessionToken(token);
+  if (!tokenHash) {
+    req.authError = 'Invalid or expired session';
+    return next();
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const sessions = await conn.query(
+      `SELECT id, userType, userId FROM sessions
+       WHERE tokenHash = ? AND revokedAt IS NULL AND expiresAt > NOW()`,
+      [tokenHash]
+    );
+
+    const session = sessions[0];
+    const userQuery = session && sessionUserQueries[session.userType];
+    const users = userQuery ? await conn.query(userQuery, [session.userId]) : [];
+    conn.release();
+    conn = null;
+
+    if (users.length === 0) {
+      req.authError = 'Invalid or expired session';
+      return next();
+    }
+
+    req.user = { ...users[0], role: session.userType, sessionId: session.id };
+    if (session.userType === 'manager') {
+      req.manager = req.user;
+    }
+    next();
+  } catch (error) {
+    console.error('Error verifying session:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+};
+
+// ==================== AUTHORIZATION ====================
+
+// Roles: "public" (anyone, including anonymous), "manager" (own students, coaches,
+// selections and links), "admin" (sports, teams, managers, notices, event images)
+// and "student" (own record through the student portal).
+// The first matching policy wins. API routes without a policy are admin-only.
+const accessPolicies = compilePolicies([
+  ['OPTIONS', '*', ['public']],
+  ['GET', '/api/health', ['public']],
+
+  ['POST', '/api/admins/login', ['public']],
+  ['POST', '/api/admins/logout', ['admin']],
+  ['GET', '/api/admins/me', ['admin']],
+  ['GET', '/api/admins', ['admin']],
+  ['POST', '/api/admins', ['admin']],
+  ['PUT', '/api/admins/:id/disable', ['admin']],
+
+  ['GET', '/api/audit-log', ['admin']],
+
+  ['GET', '/api/seasons', ['public']],
+  ['GET', '/api/seasons/active', ['public']],
+
+  ['POST', '/api/student-portal/login', ['public']],
+  ['*', '/api/student-portal/:path', ['student']],
+
+  ['GET', '/api/team-images', ['public']],
+  ['POST', '/api/team-images/upload', ['admin']],
+  ['PUT', '/api/team-images/:id', ['admin']],
+  ['DELETE', '/api/team-images/:id', ['admin']],
+
+  ['POST', '/api/managers/login', ['public']],
+  ['POST', '/api/managers/logout', ['manager']],
+  ['GET', '/api/managers/me', ['manager']],
+  ['PUT', '/api/managers/password', ['manager']],
+  ['GET', '/api/managers/count', ['public']],
+  ['GET', '/api/managers', ['admin']],
+  ['GET', '/api/managers/email/:email', ['admin']],
+  ['POST', '/api/managers', ['admin']],
+  ['PUT', '/api/managers/:id', ['admin']],
+  ['POST', '/api/managers/:id/reset-password', ['admin']],
+  ['DELETE', '/api/managers/:id', ['admin']],
+
+  ['GET', '/api/sports', ['public']],
+  ['GET', '/api/sports/:id', ['public']],
+  ['POST', '/api/sports', ['admin']],
+  ['PUT', '/api/sports/:id', ['admin']],
+  ['DELETE', '/api/sports/:id', ['admin']],
+
+  ['GET', '/api/departments', ['public']],
+
+  ['GET', '/api/teams', ['public']],
+  ['GET', '/api/teams/:id', ['public']],
+  ['POST', '/api/teams', ['admin']],
+  ['PUT', '/api/teams/:id', ['admin']],
+  ['DELETE', '/api/teams/:id', ['admin']],
+  ['POST', '/api/teams/:id/roster', ['admin', 'manager']],
+  ['*', '/api/teams/:id/roster/:entryId', ['admin', 'manager']],
+  ['POST', '/api/teams/:id/coaches', ['admin', 'manager']],
+  ['DELETE', '/api/teams/:id/coaches/:assignmentId', ['admin', 'manager']],
+
+  ['GET', '/api/event-images', ['public']],
+  ['GET', '/api/event-images/:id', ['public']],
+  ['POST', '/api/event-images', ['admin']],
+  ['PUT', '/api/event-images/:id', ['admin']],
+  ['DELETE', '/api/event-images/:id', ['admin']],
+  ['GET', '/api/event-albums', ['public']],
+  ['GET', '/api/event-albums/:id', ['public']],
+  ['POST', '/api/event-albums', ['admin']],
+  ['PUT', '/api/event-albums/:id', ['admin']],
+  ['DELETE', '/api/event-albums/:id', ['admin']],
+  ['POST', '/api/event-albums/:id/images', ['admin']],
+  ['PUT', '/api/event-albums/:id/order', ['admin']],
+
+  ['GET', '/api/events', ['public']],
+  ['GET', '/api/events/:id', ['public']],
+  ['POST', '/api/events', ['admin']],
+  ['PUT', '/api/events/:id', ['admin']],
+  ['DELETE', '/api/events/:id', ['admin']],
+  ['POST', '/api/events/:id/teams', ['admin', 'manager']],
+  ['DELETE', '/api/events/:id/teams/:teamId', ['admin', 'manager']],
+  ['GET', '/api/events/:id/fixtures', ['public']],
+  ['POST', '/api/events/:id/fixtures/generate', ['admin']],
+  ['POST', '/api/events/:id/fixtures/publish', ['admin']],
+  ['DELETE', '/api/events/:id/fixtures', ['admin']],
+  ['PUT', '/api/matches/:id', ['admin']],
+  ['PUT', '/api/matches/:id/result', ['admin']],
+  ['GET', '/api/events/:id/standings', ['public']],
+  ['GET', '/api/matches/:id/lineups', ['public']],
+  ['POST', '/api/matches/:id/lineups', ['admin', 'manager']],
+  ['DELETE', '/api/matches/:id/lineups/:entryId', ['admin', 'manager']],
+  ['GET', '/api/venues', ['public']],
+  ['GET', '/api/venues/:id', ['public']],
+  ['GET', '/api/venues/:id/availability', ['public']],
+  ['*', '/api/venue-bookings', ['admin', 'manager']],
+  ['*', '/api/venue-bookings/:id', ['admin', 'manager']],
+  ['GET', '/api/equipment', ['admin', 'manager']],
+  ['GET', '/api/equipment/:id', ['admin', 'manager']],
+  ['GET', '/api/equipment-issues', ['admin', 'manager']],
+  ['GET', '/api/equipment-reports/outstanding', ['admin', 'manager']],
+  ['*', '/api/achievements', ['admin', 'manager']],
+  ['*', '/api/achievements/:id', ['admin', 'manager']],
+  ['POST', '/api/achievements/:id/certificates', ['admin', 'manager']],
+  ['GET', '/api/certificates', ['admin', 'manager']],
+  ['GET', '/api/certificates/verify/:code', ['public']],
+  ['GET', '/api/certificates/:id/pdf', ['admin', 'manager', 'student']],
+
+  ['GET', '/api/notices', ['public']],
+  ['GET', '/api/notices/:id', ['public']],
+  ['POST', '/api/notices', ['admin']],
+  ['PUT', '/api/notices/:id', ['admin']],
+  ['DELETE', '/api/notices/:id', ['admin']],
+  ['POST', '/api/notices/:id/attachments', ['admin']],
+  ['PUT', '/api/notices/:id/attachments/:attachmentId', ['admin']],
+  ['DELETE', '/api/notices/:id/attachments/:attachmentId', ['admin']],
+
+  ['GET', '/api/students', ['manager', 'admin']],
+  ['*', '/api/students', ['manager']],
+  ['*', '/api/students/:id', ['manager']],
+  ['*', '/api/coaches', ['manager']],
+  ['*', '/api/coaches/:id', ['manager']],
+  ['GET', '/api/student-selections', ['manager']],
+  ['POST', '/api/student-selections/toggle', ['manager']],
+  ['GET', '/api/students-with-selections', ['manager']],
+  ['*', '/api/practice-sessions', ['manager']],
+  ['*', '/api/practice-sessions/:id', ['manager']],
+  ['PUT', '/api/practice-sessions/:id/attendance', ['manager']],
+  ['GET', '/api/practice-attendance/summary', ['manager']],
+  ['GET', '/api/student-waitlist', ['manager']],
+  ['POST', '/api/student-waitlist/:studentId/promote', ['manager']],
+  ['PUT', '/api/student-waitlist/settings', ['manager']],
+  ['*', '/api/students/:id/documents', ['admin', 'manager']],
+  ['GET', '/api/student-documents/:id/file', ['admin', 'manager', 'student']],
+  ['PUT', '/api/student-documents/:id/verify', ['admin', 'manager']],
+  ['DELETE', '/api/student-documents/:id', ['admin', 'manager']],
+  ['GET', '/api/events/:id/missing-documents', ['admin', 'manager']],
+  ['GET', '/api/fitness-tests', ['admin', 'manager']],
+  ['GET', '/api/fitness-results', ['admin', 'manager']],
+  ['GET', '/api/fitness-results/squad', ['manager']],
+  ['POST', '/api/fitness-results', ['manager']],
+  ['*', '/api/fitness-results/:id', ['admin', 'manager']],
+  ['GET', '/api/students/:id/fitness-progress', ['admin', 'manager']],
+  ['*', '/api/injuries', ['admin', 'manager']],
+  ['*', '/api/injuries/:id', ['admin', 'manager']],
+
+  ['GET', '/api/student-links/token/:token', ['public']],
+  ['POST', '/api/student-links/submit', ['public']],
+  ['*', '/api/student-links', ['manager']],
+  ['*', '/api/student-links/:id', ['manager']],
+  ['GET', '/api/student-links/:linkId/students', ['manager']],
+]);
+
+// The only routes a manager still on their initial password may use
+const passwordChangeRoutes = [
+  ['PUT', '/api/managers/password'],
+  ['POST', '/api/managers/logout'],
+];
+
+const authorize = createAuthorize(accessPolicies, { passwordChangeRoutes });
+
+app.use(authenticate);
+app.use(authorize);
+
+// ==================== RATE LIMITING ====================
+
+// RATE_LIMIT_STORE=database keeps counters in the rate_limits table so they are
+// shared between processes and survive restarts. The default is in memory.
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'database'
+  ? createDatabaseStore(pool)
+  : createMemoryStore();
+
+const minutesFromEnv = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 60 * 1000;
+const numberFromEnv = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const loginWindowMs = minutesFromEnv('LOGIN_RATE_LIMIT_WINDOW_MINUTES', 15);
+const submitWindowMs = minutesFromEnv('SUBMIT_RATE_LIMIT_WINDOW_MINUTES', 60);
+
+// Managers and admins log in by email, students by PRN/UID
+const loginAccountKey = (req) => {
+  const account = req.body && (req.body.email || req.body.prn_uid);
+  return typeof account === 'string' ? account.trim().toLowerCase() : null;
+};
+
+// Login attempts per IP and per account
+const loginIpLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'login-ip',
+  windowMs: loginWindowMs,
+  max: numberFromEnv('LOGIN_RATE_LIMIT_MAX_PER_IP', 20),
+  keyGenerator: (req) => req.ip,
+  message: 'Too many login attempts. Please try again later.',
+});
+
+const loginAccountLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'login-account',
+  windowMs: loginWindowMs,
+  max: numberFromEnv('LOGIN_RATE_LIMIT_MAX_PER_ACCOUNT', 10),
+  keyGenerator: loginAccountKey,
+  message: 'Too many login attempts for this account. Please try again later.',
+});
+
+// Temporary lockout after repeated failed logins for the same account
+const loginGuard = createLoginGuard({
+  store: rateLimitStore,
+  name: 'login',
+  maxFailures: numberFromEnv('LOGIN_LOCKOUT_THRESHOLD', 5),
+  failureWindowMs: loginWindowMs,
+  lockoutMs: minutesFromEnv('LOGIN_LOCKOUT_MINUTES', 15),
+});
+
+// Link form submissions per IP and per link
+const submitIpLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'submit-ip',
+  windowMs: submitWindowMs,
+  max: numberFromEnv('SUBMIT_RATE_LIMIT_MAX_PER_IP', 10),
+  keyGenerator: (req) => req.ip,
+  message: 'Too many submissions. Please try again later.',
+});
+
+const submitLinkLimit = rateLimit({
+  store: rateLimitStore,
+  name: 'submit-link',
+  windowMs: submitWindowMs,
+  max: numberFromEnv('SUBMIT_RATE_LIMIT_MAX_PER_LINK', 200),
+  keyGenerator: (req) => req.body && typeof req.body.token === 'string' ? req.body.token : null,
+  message: 'Too many submissions for this link. Please try again later.',
+});
+
+// Answer 429 if the account in the login body is locked out
+const rejectLockedAccount = async (req, res, next) => {
+  try {
+    const account = loginAccountKey(req);
+    const lockedUntil = account ? await loginGuard.lockedUntil(`${req.path}:${account}`) : null;
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, 'Account temporarily locked after repeated failed logins. Please try again later.');
+    }
+    next();
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+    next();
+  }
+};
+
+// Track a login outcome for the lockout counter. Store errors never fail the login itself.
+const recordLoginAttempt = async (req, succeeded) => {
+  try {
+    const account = `${req.path}:${loginAccountKey(req)}`;
+    if (succeeded) {
+      await loginGuard.recordSuccess(account);
+    } else {
+      await loginGuard.recordFailure(account);
+    }
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+  }
+};
+
+const loginProtection = [loginIpLimit, loginAccountLimit, rejectLockedAccount];
+
+// ==================== AUDIT LOG ====================
+
+// Fields left out of audit diffs
+const auditIgnoredFields = ['createdAt', 'updatedAt', 'passwordHash'];
+
+const toAuditValue = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value, (key, val) =>
+  typeof val === 'bigint' ? Number(val) : val
+));
+
+// Reduce two versions of a row to the fields that changed. Creates keep the
+// whole new row in "after", deletes the whole old row in "before".
+const diffRows = (before, after) => {
+  const clean = (row) => {
+    if (!row) return null;
+    const copy = toAuditValue(row);
+    auditIgnoredFields.forEach(field => delete copy[field]);
+    return copy;
+  };
+
+  const oldRow = clean(before);
+  const newRow = clean(after);
+  if (!oldRow || !newRow) {
+    return { before: oldRow, after: newRow };
+  }
+
+  const diff = { before: {}, after: {} };
+  Object.keys(newRow).forEach(field => {
+    if (field in oldRow && JSON.stringify(oldRow[field]) !== JSON.stringify(newRow[field])) {
+      diff.before[field] = oldRow[field];
+      diff.after[field] = newRow[field];
+    }
+  });
+  return diff;
+};
+
+// Record a create, update or delete against audit_log. The actor comes from the
+// session; anonymous callers (e.g. link submissions) are logged as "public".
+// A failure here is logged but never fails the request that made the change.
+const recordAudit = async (req, action, entityType, entityId, before = null, after = null) => {
+  try {
+    const actor = req.user || {};
+    await pool.query(
+      `INSERT INTO audit_log (actorType, actorId, actorName, action, entityType, entityId, changes, ipAddress)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor.role || 'public',
+        actor.id || null,
+        actor.name || null,
+        action,
+        entityType,
+        entityId === null || entityId === undefined ? null : String(entityId),
+        JSON.stringify(diffRows(before, after)),
+        req.ip || null,
+      ]
+    );
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// Check that a student is a member of the given manager's squad, in any
+// season unless `seasonId` is given. Waitlisted students count unless `activeOnly`.
+const isStudentOfManager = async (conn, studentId, managerId, { seasonId, activeOnly = false } = {}) => {
+  const conditions = ['studentId = ?', 'managerId = ?'];
+  const params = [studentId, managerId];
+  if (seasonId) {
+    conditions.push('seasonId = ?');
+    params.push(seasonId);
+  }
+  if (activeOnly) {
+    conditions.push("status = 'active'");
+  }
+  const rows = await conn.query(`SELECT id FROM student_memberships WHERE ${conditions.join(' AND ')}`, params);
+  return rows.length > 0;
+};
+
+// Whether the caller may see a student's records: admins all, managers their
+// own students and students themselves
+const canAccessStudent = async (conn, req, studentId) => {
+  if (req.user.role === 'admin') {
+    return true;
+  }
+  if (req.user.role === 'manager') {
+    return isStudentOfManager(conn, studentId, req.manager.id);
+  }
+  return req.user.role === 'student' && Number(studentId) === req.user.id;
+};
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -118,7 +572,7 @@ app.get('/api/team-images', (req, res) => {
 });
 
 // Upload team image
-app.post('/api/team-images/upload', upload.single('image'), (req, res) => {
+app.post('/api/team-images/upload', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -159,6 +613,7 @@ app.post('/api/team-images/upload', upload.single('image'), (req, res) => {
     images.push(newImage);
     fs.writeFileSync(filePath, JSON.stringify(images, null, 2));
 
+    await recordAudit(req, 'create', 'team_image', newImage.id, null, newImage);
     res.json({ success: true, image: newImage });
   } catch (error) {
     console.error('Error uploading image:', error);
@@ -170,7 +625,7 @@ app.post('/api/team-images/upload', upload.single('image'), (req, res) => {
 });
 
 // Update team image
-app.put('/api/team-images/:id', upload.single('image'), (req, res) => {
+app.put('/api/team-images/:id', upload.single('image'), async (req, res) => {
   try {
     const { id } = req.params;
     const { teamName, sport, imageUrl } = req.body;
@@ -187,6 +642,8 @@ app.put('/api/team-images/:id', upload.single('image'), (req, res) => {
       return res.status(404).json({ error: 'Image not found' });
     }
 
+    const before = { ...images[imageIndex] };
+
     // If new file uploaded, delete old file
     if (req.file) {
       const oldImage = images[imageIndex];
@@ -206,6 +663,7 @@ app.put('/api/team-images/:id', upload.single('image'), (req, res) => {
     images[imageIndex].sport = sport;
 
     fs.writeFileSync(dataPath, JSON.stringify(images, null, 2));
+    await recordAudit(req, 'update', 'team_image', id, before, images[imageIndex]);
     res.json({ success: true, image: images[imageIndex] });
   } catch (error) {
     console.error('Error updating image:', error);
@@ -214,7 +672,7 @@ app.put('/api/team-images/:id', upload.single('image'), (req, res) => {
 });
 
 // Delete team image
-app.delete('/api/team-images/:id', (req, res) => {
+app.delete('/api/team-images/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -241,6 +699,7 @@ app.delete('/api/team-images/:id', (req, res) => {
 
     images.splice(imageIndex, 1);
     fs.writeFileSync(dataPath, JSON.stringify(images, null, 2));
+    await recordAudit(req, 'delete', 'team_image', id, image, null);
 
     res.json({ success: true, message: 'Image deleted successfully' });
   } catch (error) {
@@ -249,1715 +708,9301 @@ app.delete('/api/team-images/:id', (req, res) => {
   }
 });
 
-// ==================== MANAGERS API ENDPOINTS ====================
+// ==================== ADMINS API ENDPOINTS ====================
 
-// Get all managers
-app.get('/api/managers', async (req, res) => {
+// Admin login (email + password). Returns a signed session token.
+app.post('/api/admins/login', loginProtection, async (req, res) => {
   let conn;
   try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
     conn = await pool.getConnection();
-    const managers = await conn.query(
-      `SELECT m.id, m.name, m.department, m.sport, m.contact, m.email, m.studentCount, m.teamId, m.createdAt, m.updatedAt,
-              t.name as teamName, t.department as teamDepartment
-       FROM managers m
-       LEFT JOIN teams t ON m.teamId = t.id
-       ORDER BY m.createdAt DESC`
+    const admins = await conn.query(
+      'SELECT id, name, email, passwordHash, isActive FROM admins WHERE email = ?',
+      [email.trim()]
     );
-    res.json(managers);
+
+    if (admins.length === 0 || !(await verifyPassword(password, admins[0].passwordHash))) {
+      conn.release();
+      await recordLoginAttempt(req, false);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await recordLoginAttempt(req, true);
+
+    if (!admins[0].isActive) {
+      conn.release();
+      return res.status(403).json({ error: 'This admin account has been disabled' });
+    }
+
+    const { passwordHash, isActive, ...admin } = admins[0];
+    const { token, tokenHash } = createSessionToken();
+    const expiresAt = getSessionExpiry();
+
+    await conn.query(
+      "INSERT INTO sessions (userType, userId, tokenHash, expiresAt) VALUES ('admin', ?, ?, ?)",
+      [admin.id, tokenHash, expiresAt]
+    );
+    await conn.query('UPDATE admins SET lastLoginAt = NOW() WHERE id = ?', [admin.id]);
+
+    conn.release();
+    res.json({ success: true, token, expiresAt, admin });
   } catch (error) {
-    console.error('Error fetching managers:', error);
-    res.status(500).json({ error: 'Failed to fetch managers' });
-  } finally {
+    console.error('Error during admin login:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Get manager count
-app.get('/api/managers/count', async (req, res) => {
+// Admin logout (revokes the current session)
+app.post('/api/admins/logout', async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
-    const result = await conn.query('SELECT COUNT(*) as count FROM managers');
-    res.json({ count: result[0].count });
+    await conn.query('UPDATE sessions SET revokedAt = NOW() WHERE id = ?', [req.user.sessionId]);
+    conn.release();
+    res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Error fetching manager count:', error);
-    res.status(500).json({ error: 'Failed to fetch manager count' });
-  } finally {
+    console.error('Error during admin logout:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Logout failed' });
   }
 });
 
-// Get manager by email (for login/authentication)
-app.get('/api/managers/email/:email', async (req, res) => {
+// Get the logged-in admin
+app.get('/api/admins/me', (req, res) => {
+  const { sessionId, ...admin } = req.user;
+  res.json(admin);
+});
+
+// Get all admins
+app.get('/api/admins', async (req, res) => {
   let conn;
   try {
-    const { email } = req.params;
     conn = await pool.getConnection();
-    const managers = await conn.query(
-      `SELECT m.id, m.name, m.department, m.sport, m.contact, m.email, m.studentCount, m.teamId,
-              t.name as teamName
-       FROM managers m
-       LEFT JOIN teams t ON m.teamId = t.id
-       WHERE m.email = ?`,
-      [email]
+    const admins = await conn.query(
+      'SELECT id, name, email, isActive, createdBy, lastLoginAt, createdAt, updatedAt FROM admins ORDER BY createdAt ASC'
     );
-    
-    if (managers.length === 0) {
-      return res.status(404).json({ error: 'Manager not found' });
-    }
-    
-    res.json(managers[0]);
+    conn.release();
+    res.json(admins.map(admin => ({ ...admin, isActive: Boolean(admin.isActive) })));
   } catch (error) {
-    console.error('Error fetching manager by email:', error);
-    res.status(500).json({ error: 'Failed to fetch manager' });
-  } finally {
+    console.error('Error fetching admins:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch admins' });
   }
 });
 
-// Create new manager
-app.post('/api/managers', async (req, res) => {
+// Create new admin
+app.post('/api/admins', async (req, res) => {
   let conn;
   try {
-    const { name, department, sport, contact, email, studentCount, teamId } = req.body;
+    const { name, email, password } = req.body;
 
-    // Validation
-    if (!name || !department || !sport || !contact || !email || !studentCount) {
-      return res.status(400).json({ error: 'All fields are required' });
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email and password are required' });
     }
 
-    // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
       return res.status(400).json({ error: 'Invalid email format' });
     }
 
-    // Validate student count is a positive integer
-    const count = parseInt(studentCount);
-    if (isNaN(count) || count <= 0) {
-      return res.status(400).json({ error: 'Student count must be a positive number' });
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
     }
 
     conn = await pool.getConnection();
-    
-    // Check if email already exists
-    const existing = await conn.query('SELECT id FROM managers WHERE email = ?', [email]);
+
+    const existing = await conn.query('SELECT id FROM admins WHERE email = ?', [email.trim()]);
     if (existing.length > 0) {
+      conn.release();
       return res.status(400).json({ error: 'Email already exists' });
     }
 
-    // Insert new manager
     const result = await conn.query(
-      `INSERT INTO managers (name, department, sport, contact, email, studentCount, teamId) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [name.trim(), department.trim(), sport.trim(), contact.trim(), email.trim(), count, teamId || null]
+      'INSERT INTO admins (name, email, passwordHash, createdBy) VALUES (?, ?, ?, ?)',
+      [name.trim(), email.trim(), await hashPassword(password), req.user.id]
     );
 
-    // Fetch the created manager
-    const newManager = await conn.query(
-      `SELECT m.id, m.name, m.department, m.sport, m.contact, m.email, m.studentCount, m.teamId, m.createdAt,
-              t.name as teamName, t.department as teamDepartment
-       FROM managers m
-       LEFT JOIN teams t ON m.teamId = t.id
-       WHERE m.id = ?`,
+    const newAdmin = await conn.query(
+      'SELECT id, name, email, isActive, createdBy, createdAt FROM admins WHERE id = ?',
       [result.insertId]
     );
 
-    res.status(201).json({ success: true, manager: newManager[0] });
+    conn.release();
+    await recordAudit(req, 'create', 'admin', result.insertId, null, newAdmin[0]);
+    res.status(201).json({ success: true, admin: { ...newAdmin[0], isActive: Boolean(newAdmin[0].isActive) } });
   } catch (error) {
-    console.error('Error creating manager:', error);
+    console.error('Error creating admin:', error);
+    if (conn) conn.release();
     if (error.code === 'ER_DUP_ENTRY') {
-      res.status(400).json({ error: 'Email already exists' });
-    } else {
-      res.status(500).json({ error: 'Failed to create manager' });
+      return res.status(400).json({ error: 'Email already exists' });
     }
-  } finally {
-    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create admin' });
   }
 });
 
-// Update manager
-app.put('/api/managers/:id', async (req, res) => {
+// Disable admin (revokes their sessions). The last active admin cannot be disabled.
+app.put('/api/admins/:id/disable', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
-    const { name, department, sport, contact, email, studentCount, teamId } = req.body;
-
-    // Validation
-    if (!name || !department || !sport || !contact || !email || !studentCount) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
 
-    // Validate student count
-    const count = parseInt(studentCount);
-    if (isNaN(count) || count <= 0) {
-      return res.status(400).json({ error: 'Student count must be a positive number' });
+    if (Number(id) === req.user.id) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
     }
 
     conn = await pool.getConnection();
-    
-    // Check if manager exists
-    const existing = await conn.query('SELECT id FROM managers WHERE id = ?', [id]);
+
+    const existing = await conn.query('SELECT id, name, email, isActive FROM admins WHERE id = ?', [id]);
     if (existing.length === 0) {
-      return res.status(404).json({ error: 'Manager not found' });
+      conn.release();
+      return res.status(404).json({ error: 'Admin not found' });
     }
 
-    // Check if email is already used by another manager
-    const emailCheck = await conn.query('SELECT id FROM managers WHERE email = ? AND id != ?', [email, id]);
-    if (emailCheck.length > 0) {
-      return res.status(400).json({ error: 'Email already exists' });
+    const active = await conn.query('SELECT COUNT(*) as count FROM admins WHERE isActive = TRUE AND id != ?', [id]);
+    if (Number(active[0].count) === 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Cannot disable the last active admin' });
     }
 
-    // Update manager
+    await conn.query('UPDATE admins SET isActive = FALSE WHERE id = ?', [id]);
     await conn.query(
-      `UPDATE managers 
-       SET name = ?, department = ?, sport = ?, contact = ?, email = ?, studentCount = ?, teamId = ? 
-       WHERE id = ?`,
-      [name.trim(), department.trim(), sport.trim(), contact.trim(), email.trim(), count, teamId || null, id]
-    );
-
-    // Fetch updated manager
-    const updated = await conn.query(
-      `SELECT m.id, m.name, m.department, m.sport, m.contact, m.email, m.studentCount, m.teamId, m.createdAt, m.updatedAt,
-              t.name as teamName, t.department as teamDepartment
-       FROM managers m
-       LEFT JOIN teams t ON m.teamId = t.id
-       WHERE m.id = ?`,
+      "UPDATE sessions SET revokedAt = NOW() WHERE userType = 'admin' AND userId = ? AND revokedAt IS NULL",
       [id]
     );
 
-    res.json({ success: true, manager: updated[0] });
+    conn.release();
+    await recordAudit(req, 'update', 'admin', id, existing[0], { ...existing[0], isActive: 0 });
+    res.json({ success: true, message: 'Admin disabled successfully' });
   } catch (error) {
-    console.error('Error updating manager:', error);
-    res.status(500).json({ error: 'Failed to update manager' });
-  } finally {
+    console.error('Error disabling admin:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to disable admin' });
   }
 });
 
-// Delete manager
-app.delete('/api/managers/:id', async (req, res) => {
+// ==================== AUDIT LOG API ENDPOINTS ====================
+
+// Get audit log entries, newest first.
+// Filters: entityType, entityId, actorType, actorId, action, from, to (dates), limit, offset
+app.get('/api/audit-log', async (req, res) => {
   let conn;
   try {
-    const { id } = req.params;
-    conn = await pool.getConnection();
-    
-    // Check if manager exists
-    const existing = await conn.query('SELECT id FROM managers WHERE id = ?', [id]);
-    if (existing.length === 0) {
-      return res.status(404).json({ error: 'Manager not found' });
+    const { entityType, entityId, actorType, actorId, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const conditions = [];
+    const params = [];
+
+    if (entityType) {
+      conditions.push('entityType = ?');
+      params.push(entityType);
+    }
+    if (entityId) {
+      conditions.push('entityId = ?');
+      params.push(String(entityId));
+    }
+    if (actorType) {
+      conditions.push('actorType = ?');
+      params.push(actorType);
+    }
+    if (actorId) {
+      conditions.push('actorId = ?');
+      params.push(actorId);
+    }
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (from) {
+      conditions.push('createdAt >= ?');
+      params.push(from);
+    }
+    if (to) {
+      // A plain date includes the whole day
+      conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? 'createdAt < DATE_ADD(?, INTERVAL 1 DAY)' : 'createdAt <= ?');
+      params.push(to);
     }
 
-    // Delete manager
-    await conn.query('DELETE FROM managers WHERE id = ?', [id]);
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
 
-    res.json({ success: true, message: 'Manager deleted successfully' });
+    conn = await pool.getConnection();
+    const entries = await conn.query(
+      `SELECT id, actorType, actorId, actorName, action, entityType, entityId, changes, ipAddress, createdAt
+       FROM audit_log${where}
+       ORDER BY createdAt DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const total = await conn.query(`SELECT COUNT(*) as count FROM audit_log${where}`, params);
+
+    conn.release();
+    res.json({
+      total: Number(total[0].count),
+      limit,
+      offset,
+      entries: entries.map(entry => ({
+        ...entry,
+        id: Number(entry.id),
+        changes: entry.changes ? JSON.parse(entry.changes) : null,
+      })),
+    });
   } catch (error) {
-    console.error('Error deleting manager:', error);
-    res.status(500).json({ error: 'Failed to delete manager' });
-  } finally {
+    console.error('Error fetching audit log:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch audit log' });
   }
 });
 
-// Manager login/authentication (email as userID, contact as password)
-app.post('/api/managers/login', async (req, res) => {
-  let conn;
-  try {
-    const { email, contact } = req.body;
+// ==================== SEASONS API ENDPOINTS ====================
 
-    if (!email || !contact) {
-      return res.status(400).json({ error: 'Email and contact are required' });
-    }
+// Seasons are academic years such as "2026-27". Exactly one is active: new
+// managers, squad memberships, selections, notices and links are stamped with
+// it and list endpoints default to it (`?season=` takes an id or a name).
+const seasonColumns = 'id, name, startDate, endDate, isActive, createdAt, updatedAt';
 
-    conn = await pool.getConnection();
-    const managers = await conn.query(
-      'SELECT id, name, department, sport, contact, email, studentCount FROM managers WHERE email = ? AND contact = ?',
-      [email, contact]
-    );
+// Answer for season-scoped changes made while no season is active
+const noActiveSeasonError = 'No active season. An admin needs to activate a season first.';
 
-    if (managers.length === 0) {
-      return res.status(401).json({ error: 'Invalid email or contact number' });
-    }
+const getActiveSeason = async (conn) => {
+  const rows = await conn.query(
+    `SELECT ${seasonColumns} FROM seasons WHERE isActive = TRUE ORDER BY startDate DESC LIMIT 1`
+  );
+  return rows[0] || null;
+};
 
-    res.json({ success: true, manager: managers[0] });
-  } catch (error) {
-    console.error('Error during manager login:', error);
-    res.status(500).json({ error: 'Login failed' });
-  } finally {
-    if (conn) conn.release();
+// Season given by a ?season= value, or the active season when it is empty.
+// Null when no such season exists.
+const findRequestedSeason = async (conn, value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return getActiveSeason(conn);
   }
-});
+  const text = String(value).trim();
+  const rows = await conn.query(
+    `SELECT ${seasonColumns} FROM seasons WHERE id = ? OR name = ?`,
+    [/^\d+$/.test(text) ? parseInt(text) : null, text]
+  );
+  return rows[0] || null;
+};
 
-// ==================== SPORTS API ENDPOINTS ====================
+// Validate season fields for create (all required) and update (merged with current values)
+const validateSeason = (body, current = {}) => {
+  const name = body.name !== undefined ? String(body.name).trim() : current.name;
+  const startDate = body.startDate !== undefined ? body.startDate : toDateString(current.startDate);
+  const endDate = body.endDate !== undefined ? body.endDate : toDateString(current.endDate);
 
-// Test endpoint
-app.get('/api/sports/test', (req, res) => {
-  res.json({ message: 'Sports API is working' });
-});
+  if (!name || !startDate || !endDate) {
+    return { error: 'Name, start date and end date are required' };
+  }
+  const match = /^(\d{4})-(\d{2})$/.exec(name);
+  if (!match || (parseInt(match[1]) + 1) % 100 !== parseInt(match[2])) {
+    return { error: 'Name must be an academic year such as 2026-27' };
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+  if (endDate <= startDate) {
+    return { error: 'End date must be after start date' };
+  }
+  return { name, startDate, endDate };
+};
 
-// Get all sports
-app.get('/api/sports', async (req, res) => {
+// Get all seasons, newest first
+app.get('/api/seasons', async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
-    const sports = await conn.query(
-      'SELECT id, name, description, createdAt, updatedAt FROM sports ORDER BY name ASC'
-    );
-    res.json(sports);
+    const seasons = await conn.query(`SELECT ${seasonColumns} FROM seasons ORDER BY startDate DESC`);
+    res.json(seasons);
   } catch (error) {
-    console.error('Error fetching sports:', error);
-    res.status(500).json({ error: 'Failed to fetch sports' });
+    console.error('Error fetching seasons:', error);
+    res.status(500).json({ error: 'Failed to fetch seasons' });
   } finally {
     if (conn) conn.release();
   }
 });
 
-// Get sport by ID
-app.get('/api/sports/:id', async (req, res) => {
+// Get the active season
+app.get('/api/seasons/active', async (req, res) => {
   let conn;
   try {
-    const { id } = req.params;
     conn = await pool.getConnection();
-    const sports = await conn.query(
-      'SELECT id, name, description, createdAt, updatedAt FROM sports WHERE id = ?',
-      [id]
-    );
-    
-    if (sports.length === 0) {
-      return res.status(404).json({ error: 'Sport not found' });
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      return res.status(404).json({ error: 'No active season' });
     }
-    
-    res.json(sports[0]);
+    res.json(season);
   } catch (error) {
-    console.error('Error fetching sport:', error);
-    res.status(500).json({ error: 'Failed to fetch sport' });
+    console.error('Error fetching active season:', error);
+    res.status(500).json({ error: 'Failed to fetch active season' });
   } finally {
     if (conn) conn.release();
   }
 });
 
-// Create new sport
-app.post('/api/sports', async (req, res) => {
+// Create a season (inactive until activated or rolled over into)
+app.post('/api/seasons', async (req, res) => {
   let conn;
   try {
-    const { name, description } = req.body;
-
-    console.log('Received sport data:', { name, description });
-
-    // Validation
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Sport name is required' });
-    }
-
-    try {
-      conn = await pool.getConnection();
-      console.log('Database connection acquired');
-    } catch (connError) {
-      console.error('Failed to get database connection:', connError);
-      return res.status(500).json({ 
-        error: 'Database connection failed',
-        details: connError.message || 'Unable to connect to database'
-      });
-    }
-    
-    // Check if sport name already exists
-    const existing = await conn.query('SELECT id FROM sports WHERE name = ?', [name.trim()]);
-    if (existing.length > 0) {
-      conn.release();
-      return res.status(400).json({ error: 'Sport name already exists' });
+    const season = validateSeason(req.body);
+    if (season.error) {
+      return res.status(400).json({ error: season.error });
     }
 
-    // Insert new sport
+    conn = await pool.getConnection();
     const result = await conn.query(
-      `INSERT INTO sports (name, description) VALUES (?, ?)`,
-      [name.trim(), description ? description.trim() : null]
-    );
-
-    console.log('Sport inserted with ID:', result.insertId);
-
-    // Fetch the created sport
-    const newSport = await conn.query(
-      'SELECT id, name, description, createdAt FROM sports WHERE id = ?',
-      [result.insertId]
+      'INSERT INTO seasons (name, startDate, endDate) VALUES (?, ?, ?)',
+      [season.name, season.startDate, season.endDate]
     );
 
-    conn.release();
-    res.status(201).json({ success: true, sport: newSport[0] });
+    const created = await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [result.insertId]);
+    await recordAudit(req, 'create', 'season', result.insertId, null, created[0]);
+    res.status(201).json({ success: true, season: created[0] });
   } catch (error) {
-    console.error('Error creating sport:', error);
-    console.error('Error details:', {
-      code: error.code,
-      errno: error.errno,
-      sqlState: error.sqlState,
-      message: error.message,
-      sql: error.sql
-    });
-    
-    if (conn) {
-      try {
-        conn.release();
-      } catch (releaseError) {
-        console.error('Error releasing connection:', releaseError);
-      }
-    }
-    
-    // Ensure we always send JSON response
+    console.error('Error creating season:', error);
     if (error.code === 'ER_DUP_ENTRY') {
-      return res.status(400).json({ error: 'Sport name already exists' });
-    } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(500).json({ error: 'Database connection failed. Please check database configuration.' });
-    } else if (error.code === 'ER_NO_SUCH_TABLE') {
-      return res.status(500).json({ error: 'Sports table not found. Please restart the server to initialize database tables.' });
+      res.status(400).json({ error: 'Season already exists' });
     } else {
-      return res.status(500).json({ 
-        error: 'Failed to create sport',
-        details: error.message || 'Unknown database error'
-      });
+      res.status(500).json({ error: 'Failed to create season' });
     }
+  } finally {
+    if (conn) conn.release();
   }
 });
 
-// Update sport
-app.put('/api/sports/:id', async (req, res) => {
+// Update a season's name or dates
+app.put('/api/seasons/:id', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
-    const { name, description } = req.body;
-
-    // Validation
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Sport name is required' });
-    }
-
     conn = await pool.getConnection();
-    
-    // Check if sport exists
-    const existing = await conn.query('SELECT id FROM sports WHERE id = ?', [id]);
+
+    const existing = await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [id]);
     if (existing.length === 0) {
-      return res.status(404).json({ error: 'Sport not found' });
+      return res.status(404).json({ error: 'Season not found' });
     }
 
-    // Check if name is already used by another sport
-    const nameCheck = await conn.query('SELECT id FROM sports WHERE name = ? AND id != ?', [name.trim(), id]);
-    if (nameCheck.length > 0) {
-      return res.status(400).json({ error: 'Sport name already exists' });
+    const season = validateSeason(req.body, existing[0]);
+    if (season.error) {
+      return res.status(400).json({ error: season.error });
     }
 
-    // Update sport
     await conn.query(
-      `UPDATE sports SET name = ?, description = ? WHERE id = ?`,
-      [name.trim(), description ? description.trim() : null, id]
-    );
-
-    // Fetch updated sport
-    const updated = await conn.query(
-      'SELECT id, name, description, createdAt, updatedAt FROM sports WHERE id = ?',
-      [id]
+      'UPDATE seasons SET name = ?, startDate = ?, endDate = ? WHERE id = ?',
+      [season.name, season.startDate, season.endDate, id]
     );
 
-    res.json({ success: true, sport: updated[0] });
+    const updated = await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [id]);
+    await recordAudit(req, 'update', 'season', id, existing[0], updated[0]);
+    res.json({ success: true, season: updated[0] });
   } catch (error) {
-    console.error('Error updating sport:', error);
-    res.status(500).json({ error: 'Failed to update sport' });
+    console.error('Error updating season:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'Season already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to update season' });
+    }
   } finally {
     if (conn) conn.release();
   }
 });
 
-// Delete sport
-app.delete('/api/sports/:id', async (req, res) => {
+// Make a season the active one (the previous one is deactivated)
+app.post('/api/seasons/:id/activate', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
     conn = await pool.getConnection();
-    
-    // Check if sport exists
-    const existing = await conn.query('SELECT id FROM sports WHERE id = ?', [id]);
+
+    const existing = await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [id]);
     if (existing.length === 0) {
-      return res.status(404).json({ error: 'Sport not found' });
+      return res.status(404).json({ error: 'Season not found' });
     }
 
-    // Check if sport is used by any managers
-    const managersUsingSport = await conn.query('SELECT COUNT(*) as count FROM managers WHERE sport = (SELECT name FROM sports WHERE id = ?)', [id]);
-    if (managersUsingSport[0].count > 0) {
-      return res.status(400).json({ error: 'Cannot delete sport. It is being used by managers.' });
+    await conn.beginTransaction();
+    try {
+      await conn.query('UPDATE seasons SET isActive = FALSE WHERE isActive = TRUE AND id != ?', [id]);
+      await conn.query('UPDATE seasons SET isActive = TRUE WHERE id = ?', [id]);
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
     }
 
-    // Delete sport
-    await conn.query('DELETE FROM sports WHERE id = ?', [id]);
-
-    res.json({ success: true, message: 'Sport deleted successfully' });
+    const updated = await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [id]);
+    await recordAudit(req, 'update', 'season', id, existing[0], updated[0]);
+    res.json({ success: true, season: updated[0] });
   } catch (error) {
-    console.error('Error deleting sport:', error);
-    res.status(500).json({ error: 'Failed to delete sport' });
+    console.error('Error activating season:', error);
+    res.status(500).json({ error: 'Failed to activate season' });
   } finally {
     if (conn) conn.release();
   }
 });
 
-// ==================== STUDENTS API ENDPOINTS ====================
-
-// Get all students for a manager
-app.get('/api/students', async (req, res) => {
+// Roll over into a season: the managers and squad memberships of the source
+// season (the active one unless `fromSeasonId` is given) are copied into it.
+// Selections start afresh and nothing in the source season is changed.
+// The target becomes the active season unless `activate` is false.
+app.post('/api/seasons/:id/rollover', async (req, res) => {
   let conn;
   try {
-    const { managerId } = req.query;
+    const { id } = req.params;
+    const { fromSeasonId, activate } = req.body;
     conn = await pool.getConnection();
-    
-    let query = 'SELECT id, name, prn_uid, contact, email, address, birthDate, age, managerId, createdAt, updatedAt FROM students';
-    let params = [];
-    
-    if (managerId) {
-      query += ' WHERE managerId = ?';
-      params.push(managerId);
-    }
-    
-    query += ' ORDER BY createdAt DESC';
-    
-    const students = await conn.query(query, params);
-    res.json(students);
-  } catch (error) {
-    console.error('Error fetching students:', error);
-    res.status(500).json({ error: 'Failed to fetch students' });
-  } finally {
-    if (conn) conn.release();
-  }
-});
 
-// Create new student
-app.post('/api/students', async (req, res) => {
-  let conn;
-  try {
-    const { name, prn_uid, contact, email, address, birthDate, managerId } = req.body;
-
-    // Validation
-    if (!name || !prn_uid || !contact || !birthDate || !managerId) {
-      return res.status(400).json({ error: 'Name, PRN/UID, Contact, Birth Date, and Manager ID are required' });
+    const targets = await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [id]);
+    if (targets.length === 0) {
+      return res.status(404).json({ error: 'Season not found' });
     }
 
-    // Calculate age from birth date
-    const birth = new Date(birthDate);
-    const today = new Date();
-    let age = today.getFullYear() - birth.getFullYear();
-    const monthDiff = today.getMonth() - birth.getMonth();
-    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-      age--;
+    const source = fromSeasonId
+      ? (await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [fromSeasonId]))[0]
+      : await getActiveSeason(conn);
+    if (!source) {
+      return res.status(404).json({ error: 'Source season not found' });
     }
-
-    conn = await pool.getConnection();
-    
-    // Check if PRN/UID already exists
-    const existing = await conn.query('SELECT id FROM students WHERE prn_uid = ?', [prn_uid.trim()]);
-    if (existing.length > 0) {
-      conn.release();
-      return res.status(400).json({ error: 'PRN/UID already exists' });
+    if (source.id === targets[0].id) {
+      return res.status(400).json({ error: 'Cannot roll a season over into itself' });
     }
 
-    // Insert new student
-    const result = await conn.query(
-      `INSERT INTO students (name, prn_uid, contact, email, address, birthDate, age, managerId) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        name.trim(),
-        prn_uid.trim(),
-        contact.trim(),
-        email ? email.trim() : null,
-        address ? address.trim() : null,
-        birthDate,
-        age,
-        managerId
-      ]
-    );
+    const shouldActivate = activate === undefined ? true : activate === true || activate === 'true';
+    let managerCount;
+    let membershipCount;
 
-    // Fetch the created student
-    const newStudent = await conn.query(
-      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, managerId, createdAt FROM students WHERE id = ?',
-      [result.insertId]
-    );
+    await conn.beginTransaction();
+    try {
+      const managerResult = await conn.query(
+        `INSERT IGNORE INTO manager_seasons (managerId, seasonId)
+         SELECT managerId, ? FROM manager_seasons WHERE seasonId = ?`,
+        [id, source.id]
+      );
+      const membershipResult = await conn.query(
+        `INSERT IGNORE INTO student_memberships (studentId, managerId, seasonId, status)
+         SELECT sm.studentId, sm.managerId, ?, sm.status
+         FROM student_memberships sm
+         JOIN manager_seasons ms ON ms.managerId = sm.managerId AND ms.seasonId = ?
+         WHERE sm.seasonId = ?`,
+        [id, id, source.id]
+      );
+      managerCount = Number(managerResult.affectedRows);
+      membershipCount = Number(membershipResult.affectedRows);
 
-    conn.release();
-    res.status(201).json({ success: true, student: newStudent[0] });
+      if (shouldActivate) {
+        await conn.query('UPDATE seasons SET isActive = FALSE WHERE isActive = TRUE AND id != ?', [id]);
+        await conn.query('UPDATE seasons SET isActive = TRUE WHERE id = ?', [id]);
+      }
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const season = await conn.query(`SELECT ${seasonColumns} FROM seasons WHERE id = ?`, [id]);
+    const summary = { fromSeasonId: source.id, managers: managerCount, memberships: membershipCount, activated: shouldActivate };
+    await recordAudit(req, 'create', 'season_rollover', id, null, summary);
+    res.json({ success: true, season: season[0], ...summary });
   } catch (error) {
-    console.error('Error creating student:', error);
+    console.error('Error rolling over season:', error);
+    res.status(500).json({ error: 'Failed to roll over season' });
+  } finally {
     if (conn) conn.release();
-    
-    if (error.code === 'ER_DUP_ENTRY') {
-      res.status(400).json({ error: 'PRN/UID already exists' });
-    } else {
-      res.status(500).json({ error: 'Failed to create student', details: error.message });
-    }
   }
 });
 
-// Update student
-app.put('/api/students/:id', async (req, res) => {
-  let conn;
-  try {
-    const { id } = req.params;
-    const { name, prn_uid, contact, email, address, birthDate } = req.body;
+// ==================== MANAGERS API ENDPOINTS ====================
 
-    if (!name || !prn_uid || !contact || !birthDate) {
-      return res.status(400).json({ error: 'Name, PRN/UID, Contact, and Birth Date are required' });
+// Department and sport of a manager payload. Each is given by id
+// (departmentId, sportId) or, as older clients do, by name (department, sport).
+// Unknown department names are added; sports must already exist.
+// Returns { departmentId, sportId } or { error }.
+const resolveManagerReferences = async (conn, body) => {
+  const { departmentId, sportId, department, sport } = body;
+  const result = {};
+
+  if (departmentId) {
+    const departments = await conn.query('SELECT id FROM departments WHERE id = ?', [departmentId]);
+    if (departments.length === 0) {
+      return { error: 'Department not found' };
     }
+    result.departmentId = departments[0].id;
+  } else {
+    const departments = await conn.query('SELECT id FROM departments WHERE name = ?', [department.trim()]);
+    result.departmentId = departments.length > 0
+      ? departments[0].id
+      : Number((await conn.query('INSERT INTO departments (name) VALUES (?)', [department.trim()])).insertId);
+  }
 
-    // Calculate age
-    const birth = new Date(birthDate);
-    const today = new Date();
-    let age = today.getFullYear() - birth.getFullYear();
-    const monthDiff = today.getMonth() - birth.getMonth();
-    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-      age--;
-    }
+  const sports = sportId
+    ? await conn.query('SELECT id FROM sports WHERE id = ?', [sportId])
+    : await conn.query('SELECT id FROM sports WHERE name = ?', [sport.trim()]);
+  if (sports.length === 0) {
+    return { error: 'Sport not found' };
+  }
+  result.sportId = sports[0].id;
 
-    conn = await pool.getConnection();
-    
-    // Check if student exists
-    const existing = await conn.query('SELECT id FROM students WHERE id = ?', [id]);
-    if (existing.length === 0) {
-      conn.release();
-      return res.status(404).json({ error: 'Student not found' });
-    }
+  return result;
+};
 
-    // Check if PRN/UID is used by another student
-    const prnCheck = await conn.query('SELECT id FROM students WHERE prn_uid = ? AND id != ?', [prn_uid.trim(), id]);
-    if (prnCheck.length > 0) {
-      conn.release();
-      return res.status(400).json({ error: 'PRN/UID already exists' });
+// Get all managers of a season (?season=, defaults to the active season)
+app.get('/api/managers', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
     }
-
-    // Update student
-    await conn.query(
-      `UPDATE students SET name = ?, prn_uid = ?, contact = ?, email = ?, address = ?, birthDate = ?, age = ? WHERE id = ?`,
-      [name.trim(), prn_uid.trim(), contact.trim(), email ? email.trim() : null, address ? address.trim() : null, birthDate, age, id]
-    );
-
-    // Fetch updated student
-    const updated = await conn.query(
-      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, managerId, createdAt, updatedAt FROM students WHERE id = ?',
-      [id]
+    const managers = await conn.query(
+      `SELECT m.id, m.name, m.departmentId, d.name as department, m.sportId, sp.name as sport, m.contact, m.email, m.studentCount, m.teamId, m.createdAt, m.updatedAt,
+              t.name as teamName, t.department as teamDepartment
+       FROM managers m
+       LEFT JOIN departments d ON m.departmentId = d.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       JOIN manager_seasons ms ON ms.managerId = m.id AND ms.seasonId = ?
+       LEFT JOIN teams t ON m.teamId = t.id
+       ORDER BY m.createdAt DESC`,
+      [season.id]
     );
-
-    conn.release();
-    res.json({ success: true, student: updated[0] });
+    res.json(managers);
   } catch (error) {
-    console.error('Error updating student:', error);
+    console.error('Error fetching managers:', error);
+    res.status(500).json({ error: 'Failed to fetch managers' });
+  } finally {
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to update student' });
   }
 });
 
-// Delete student
-app.delete('/api/students/:id', async (req, res) => {
+// Get manager count
+app.get('/api/managers/count', async (req, res) => {
   let conn;
   try {
-    const { id } = req.params;
     conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id FROM students WHERE id = ?', [id]);
-    if (existing.length === 0) {
-      conn.release();
-      return res.status(404).json({ error: 'Student not found' });
-    }
-
-    await conn.query('DELETE FROM students WHERE id = ?', [id]);
-    conn.release();
-    res.json({ success: true, message: 'Student deleted successfully' });
+    const result = await conn.query('SELECT COUNT(*) as count FROM managers');
+    res.json({ count: result[0].count });
   } catch (error) {
-    console.error('Error deleting student:', error);
+    console.error('Error fetching manager count:', error);
+    res.status(500).json({ error: 'Failed to fetch manager count' });
+  } finally {
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to delete student' });
   }
 });
 
-// ==================== COACHES API ENDPOINTS ====================
-
-// Get all coaches for a manager
-app.get('/api/coaches', async (req, res) => {
+// Get manager by email (for login/authentication)
+app.get('/api/managers/email/:email', async (req, res) => {
   let conn;
   try {
-    const { managerId } = req.query;
+    const { email } = req.params;
     conn = await pool.getConnection();
+    const managers = await conn.query(
+      `SELECT m.id, m.name, m.departmentId, d.name as department, m.sportId, sp.name as sport, m.contact, m.email, m.studentCount, m.teamId,
+              t.name as teamName
+       FROM managers m
+       LEFT JOIN departments d ON m.departmentId = d.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       LEFT JOIN teams t ON m.teamId = t.id
+       WHERE m.email = ?`,
+      [email]
+    );
     
-    let query = 'SELECT id, name, contact, email, specialization, managerId, createdAt, updatedAt FROM coaches';
-    let params = [];
-    
-    if (managerId) {
-      query += ' WHERE managerId = ?';
-      params.push(managerId);
+    if (managers.length === 0) {
+      return res.status(404).json({ error: 'Manager not found' });
     }
     
-    query += ' ORDER BY createdAt DESC';
-    
-    const coaches = await conn.query(query, params);
-    res.json(coaches);
+    res.json(managers[0]);
   } catch (error) {
-    console.error('Error fetching coaches:', error);
-    res.status(500).json({ error: 'Failed to fetch coaches' });
+    console.error('Error fetching manager by email:', error);
+    res.status(500).json({ error: 'Failed to fetch manager' });
   } finally {
     if (conn) conn.release();
   }
 });
 
-// Create new coach
-app.post('/api/coaches', async (req, res) => {
+// Create new manager
+app.post('/api/managers', async (req, res) => {
   let conn;
   try {
-    const { name, contact, email, specialization, managerId } = req.body;
+    const { name, department, departmentId, sport, sportId, contact, email, studentCount, teamId, password } = req.body;
+
+    // Validation
+    if (!name || !(department || departmentId) || !(sport || sportId) || !contact || !email || !studentCount) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    if (password && password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
 
-    if (!name || !contact || !managerId) {
-      return res.status(400).json({ error: 'Name, Contact, and Manager ID are required' });
+    // Validate student count is a positive integer
+    const count = parseInt(studentCount);
+    if (isNaN(count) || count <= 0) {
+      return res.status(400).json({ error: 'Student count must be a positive number' });
     }
 
     conn = await pool.getConnection();
     
+    // Check if email already exists
+    const existing = await conn.query('SELECT id FROM managers WHERE email = ?', [email]);
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+
+    const references = await resolveManagerReferences(conn, req.body);
+    if (references.error) {
+      return res.status(400).json({ error: references.error });
+    }
+
+    // Insert new manager
     const result = await conn.query(
-      `INSERT INTO coaches (name, contact, email, specialization, managerId) VALUES (?, ?, ?, ?, ?)`,
-      [name.trim(), contact.trim(), email ? email.trim() : null, specialization ? specialization.trim() : null, managerId]
+      `INSERT INTO managers (name, departmentId, sportId, contact, email, studentCount, teamId) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name.trim(), references.departmentId, references.sportId, contact.trim(), email.trim(), count, teamId || null]
     );
 
-    const newCoach = await conn.query(
-      'SELECT id, name, contact, email, specialization, managerId, createdAt FROM coaches WHERE id = ?',
+    // Initial password (a random one-time password unless one is given) must be
+    // changed on first login. A generated password is only returned in this response.
+    const initialPassword = password || createOneTimePassword();
+    await conn.query(
+      'INSERT INTO manager_credentials (managerId, passwordHash, mustChangePassword) VALUES (?, ?, TRUE)',
+      [result.insertId, await hashPassword(initialPassword)]
+    );
+
+    // New managers run a squad in the active season
+    const activeSeason = await getActiveSeason(conn);
+    if (activeSeason) {
+      await conn.query('INSERT INTO manager_seasons (managerId, seasonId) VALUES (?, ?)', [result.insertId, activeSeason.id]);
+    }
+
+    // Fetch the created manager
+    const newManager = await conn.query(
+      `SELECT m.id, m.name, m.departmentId, d.name as department, m.sportId, sp.name as sport, m.contact, m.email, m.studentCount, m.teamId, m.createdAt,
+              t.name as teamName, t.department as teamDepartment
+       FROM managers m
+       LEFT JOIN departments d ON m.departmentId = d.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       LEFT JOIN teams t ON m.teamId = t.id
+       WHERE m.id = ?`,
       [result.insertId]
     );
 
-    conn.release();
-    res.status(201).json({ success: true, coach: newCoach[0] });
+    await recordAudit(req, 'create', 'manager', result.insertId, null, newManager[0]);
+    res.status(201).json({ success: true, manager: newManager[0], ...(password ? {} : { initialPassword }) });
   } catch (error) {
-    console.error('Error creating coach:', error);
+    console.error('Error creating manager:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'Email already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to create manager' });
+    }
+  } finally {
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to create coach', details: error.message });
   }
 });
 
-// Update coach
-app.put('/api/coaches/:id', async (req, res) => {
+// Manager login (email + password). Returns a signed session token.
+app.post('/api/managers/login', loginProtection, async (req, res) => {
   let conn;
   try {
-    const { id } = req.params;
-    const { name, contact, email, specialization } = req.body;
+    const { email, password } = req.body;
 
-    if (!name || !contact) {
-      return res.status(400).json({ error: 'Name and Contact are required' });
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
     }
 
     conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id FROM coaches WHERE id = ?', [id]);
-    if (existing.length === 0) {
+    const managers = await conn.query(
+      `SELECT m.id, m.name, m.departmentId, d.name as department, m.sportId, sp.name as sport, m.contact, m.email, m.studentCount, m.teamId,
+              mc.passwordHash, mc.mustChangePassword
+       FROM managers m
+       LEFT JOIN departments d ON m.departmentId = d.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       JOIN manager_credentials mc ON mc.managerId = m.id
+       WHERE m.email = ?`,
+      [email.trim()]
+    );
+
+    if (managers.length === 0 || !(await verifyPassword(password, managers[0].passwordHash))) {
       conn.release();
-      return res.status(404).json({ error: 'Coach not found' });
+      await recordLoginAttempt(req, false);
+      return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    await conn.query(
-      `UPDATE coaches SET name = ?, contact = ?, email = ?, specialization = ? WHERE id = ?`,
-      [name.trim(), contact.trim(), email ? email.trim() : null, specialization ? specialization.trim() : null, id]
-    );
+    await recordLoginAttempt(req, true);
+    const { passwordHash, mustChangePassword, ...manager } = managers[0];
+    const { token, tokenHash } = createSessionToken();
+    const expiresAt = getSessionExpiry();
 
-    const updated = await conn.query(
-      'SELECT id, name, contact, email, specialization, managerId, createdAt, updatedAt FROM coaches WHERE id = ?',
-      [id]
+    await conn.query(
+      "INSERT INTO sessions (userType, userId, tokenHash, expiresAt) VALUES ('manager', ?, ?, ?)",
+      [manager.id, tokenHash, expiresAt]
     );
 
     conn.release();
-    res.json({ success: true, coach: updated[0] });
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      mustChangePassword: Boolean(mustChangePassword),
+      manager,
+    });
   } catch (error) {
-    console.error('Error updating coach:', error);
+    console.error('Error during manager login:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to update coach' });
+    res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Delete coach
-app.delete('/api/coaches/:id', async (req, res) => {
+// Manager logout (revokes the current session)
+app.post('/api/managers/logout', async (req, res) => {
   let conn;
   try {
-    const { id } = req.params;
     conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id FROM coaches WHERE id = ?', [id]);
-    if (existing.length === 0) {
-      conn.release();
-      return res.status(404).json({ error: 'Coach not found' });
-    }
-
-    await conn.query('DELETE FROM coaches WHERE id = ?', [id]);
+    await conn.query('UPDATE sessions SET revokedAt = NOW() WHERE id = ?', [req.manager.sessionId]);
     conn.release();
-    res.json({ success: true, message: 'Coach deleted successfully' });
+    res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Error deleting coach:', error);
+    console.error('Error during manager logout:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to delete coach' });
+    res.status(500).json({ error: 'Logout failed' });
   }
 });
 
-// ==================== STUDENT SELECTIONS API ENDPOINTS ====================
-
-// Get student selections for a manager
-app.get('/api/student-selections', async (req, res) => {
+// Get the logged-in manager
+app.get('/api/managers/me', async (req, res) => {
   let conn;
   try {
-    const { managerId } = req.query;
-    
-    if (!managerId) {
-      return res.status(400).json({ error: 'Manager ID is required' });
-    }
-
     conn = await pool.getConnection();
-    
-    const selections = await conn.query(
-      `SELECT ss.id, ss.studentId, ss.managerId, ss.isSelected, ss.createdAt, ss.updatedAt,
-              s.name as studentName, s.prn_uid, s.contact, s.email
-       FROM student_selections ss
-       JOIN students s ON ss.studentId = s.id
-       WHERE ss.managerId = ?
-       ORDER BY ss.updatedAt DESC`,
-      [managerId]
+    const managers = await conn.query(
+      `SELECT m.id, m.name, m.departmentId, d.name as department, m.sportId, sp.name as sport, m.contact, m.email, m.studentCount, m.teamId,
+              t.name as teamName, mc.mustChangePassword
+       FROM managers m
+       LEFT JOIN departments d ON m.departmentId = d.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       LEFT JOIN teams t ON m.teamId = t.id
+       LEFT JOIN manager_credentials mc ON mc.managerId = m.id
+       WHERE m.id = ?`,
+      [req.manager.id]
     );
-    
+
     conn.release();
-    res.json(selections);
+    res.json({ ...managers[0], mustChangePassword: Boolean(managers[0].mustChangePassword) });
   } catch (error) {
-    console.error('Error fetching student selections:', error);
+    console.error('Error fetching current manager:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to fetch student selections' });
+    res.status(500).json({ error: 'Failed to fetch manager' });
   }
 });
 
-// Get all students with selection status for a manager
-app.get('/api/students-with-selections', async (req, res) => {
+// Change the logged-in manager's password. Other sessions are revoked.
+app.put('/api/managers/password', async (req, res) => {
   let conn;
   try {
-    const { managerId } = req.query;
-    
-    if (!managerId) {
-      return res.status(400).json({ error: 'Manager ID is required' });
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
     }
 
     conn = await pool.getConnection();
-    
-    const students = await conn.query(
-      `SELECT s.*, 
-              COALESCE(ss.isSelected, FALSE) as isSelected,
-              ss.id as selectionId
-       FROM students s
-       LEFT JOIN student_selections ss ON s.id = ss.studentId AND ss.managerId = ?
-       WHERE s.managerId = ?
-       ORDER BY s.name ASC`,
-      [managerId, managerId]
+    const credentials = await conn.query(
+      'SELECT passwordHash FROM manager_credentials WHERE managerId = ?',
+      [req.manager.id]
     );
-    
+
+    if (credentials.length === 0 || !(await verifyPassword(currentPassword, credentials[0].passwordHash))) {
+      conn.release();
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await conn.query(
+      'UPDATE manager_credentials SET passwordHash = ?, mustChangePassword = FALSE, passwordChangedAt = NOW() WHERE managerId = ?',
+      [await hashPassword(newPassword), req.manager.id]
+    );
+    await conn.query(
+      "UPDATE sessions SET revokedAt = NOW() WHERE userType = 'manager' AND userId = ? AND id != ? AND revokedAt IS NULL",
+      [req.manager.id, req.manager.sessionId]
+    );
+
     conn.release();
-    res.json(students);
+    await recordAudit(req, 'update', 'manager_credentials', req.manager.id, { passwordChanged: false }, { passwordChanged: true });
+    res.json({ success: true, message: 'Password changed successfully' });
   } catch (error) {
-    console.error('Error fetching students with selections:', error);
+    console.error('Error changing manager password:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to fetch students with selections' });
+    res.status(500).json({ error: 'Failed to change password' });
   }
 });
 
-// Toggle student selection
-app.post('/api/student-selections/toggle', async (req, res) => {
+// Issue a manager a new one-time password (returned only in this response). The
+// manager must change it on next login and their sessions are revoked.
+app.post('/api/managers/:id/reset-password', async (req, res) => {
   let conn;
   try {
-    const { studentId, managerId, isSelected } = req.body;
+    const { id } = req.params;
+    conn = await pool.getConnection();
 
-    if (!studentId || !managerId || typeof isSelected !== 'boolean') {
-      return res.status(400).json({ error: 'Student ID, Manager ID, and isSelected (boolean) are required' });
+    const managers = await conn.query('SELECT id FROM managers WHERE id = ?', [id]);
+    if (managers.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Manager not found' });
     }
 
-    conn = await pool.getConnection();
-    
-    // Check if selection exists
-    const existing = await conn.query(
-      'SELECT id FROM student_selections WHERE studentId = ? AND managerId = ?',
-      [studentId, managerId]
+    const initialPassword = createOneTimePassword();
+    await conn.query(
+      `INSERT INTO manager_credentials (managerId, passwordHash, mustChangePassword) VALUES (?, ?, TRUE)
+       ON DUPLICATE KEY UPDATE passwordHash = VALUES(passwordHash), mustChangePassword = TRUE, passwordChangedAt = NULL`,
+      [id, await hashPassword(initialPassword)]
+    );
+    await conn.query(
+      "UPDATE sessions SET revokedAt = NOW() WHERE userType = 'manager' AND userId = ? AND revokedAt IS NULL",
+      [id]
     );
-
-    if (existing.length > 0) {
-      // Update existing selection
-      await conn.query(
-        'UPDATE student_selections SET isSelected = ? WHERE studentId = ? AND managerId = ?',
-        [isSelected, studentId, managerId]
-      );
-    } else {
-      // Create new selection
-      await conn.query(
-        'INSERT INTO student_selections (studentId, managerId, isSelected) VALUES (?, ?, ?)',
-        [studentId, managerId, isSelected]
-      );
-    }
 
     conn.release();
-    res.json({ success: true, message: `Student ${isSelected ? 'selected' : 'deselected'} successfully` });
+    await recordAudit(req, 'update', 'manager_credentials', id, { passwordReset: false }, { passwordReset: true });
+    res.json({ success: true, initialPassword });
   } catch (error) {
-    console.error('Error toggling student selection:', error);
+    console.error('Error resetting manager password:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to toggle student selection' });
+    res.status(500).json({ error: 'Failed to reset password' });
   }
 });
 
-// ==================== TEAMS API ENDPOINTS ====================
-
-// Test teams endpoint
-app.get('/api/teams/test', (req, res) => {
-  res.json({ message: 'Teams API is working', timestamp: new Date().toISOString() });
-});
-
-// Get all teams
-app.get('/api/teams', async (req, res) => {
+// Update manager
+app.put('/api/managers/:id', async (req, res) => {
   let conn;
   try {
-    console.log('GET /api/teams - Request received');
+    const { id } = req.params;
+    const { name, department, departmentId, sport, sportId, contact, email, studentCount, teamId } = req.body;
+
+    // Validation
+    if (!name || !(department || departmentId) || !(sport || sportId) || !contact || !email || !studentCount) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    // Validate student count
+    const count = parseInt(studentCount);
+    if (isNaN(count) || count <= 0) {
+      return res.status(400).json({ error: 'Student count must be a positive number' });
+    }
+
     conn = await pool.getConnection();
-    console.log('Database connection acquired for teams');
     
-    const teams = await conn.query(
-      'SELECT id, name, department, logo, color, createdAt, updatedAt FROM teams ORDER BY name ASC'
+    // Check if manager exists
+    const existing = await conn.query('SELECT * FROM managers WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Manager not found' });
+    }
+
+    // Check if email is already used by another manager
+    const emailCheck = await conn.query('SELECT id FROM managers WHERE email = ? AND id != ?', [email, id]);
+    if (emailCheck.length > 0) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+
+    const references = await resolveManagerReferences(conn, req.body);
+    if (references.error) {
+      return res.status(400).json({ error: references.error });
+    }
+
+    // Update manager
+    await conn.query(
+      `UPDATE managers 
+       SET name = ?, departmentId = ?, sportId = ?, contact = ?, email = ?, studentCount = ?, teamId = ? 
+       WHERE id = ?`,
+      [name.trim(), references.departmentId, references.sportId, contact.trim(), email.trim(), count, teamId || null, id]
     );
-    
-    console.log(`Found ${teams.length} teams`);
-    res.json(teams);
+
+    // A larger quota frees places for the waitlist
+    if (count > existing[0].studentCount) {
+      const season = await getActiveSeason(conn);
+      if (season) {
+        await autoPromoteWaitlisted(conn, req, id, season.id);
+      }
+    }
+
+    // Fetch updated manager
+    const updated = await conn.query(
+      `SELECT m.id, m.name, m.departmentId, d.name as department, m.sportId, sp.name as sport, m.contact, m.email, m.studentCount, m.teamId, m.createdAt, m.updatedAt,
+              t.name as teamName, t.department as teamDepartment
+       FROM managers m
+       LEFT JOIN departments d ON m.departmentId = d.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       LEFT JOIN teams t ON m.teamId = t.id
+       WHERE m.id = ?`,
+      [id]
+    );
+
+    await recordAudit(req, 'update', 'manager', id, existing[0], updated[0]);
+    res.json({ success: true, manager: updated[0] });
   } catch (error) {
-    console.error('Error fetching teams:', error);
-    console.error('Error details:', {
-      code: error.code,
-      errno: error.errno,
-      sqlState: error.sqlState,
-      message: error.message
-    });
+    console.error('Error updating manager:', error);
+    res.status(500).json({ error: 'Failed to update manager' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Delete manager
+app.delete('/api/managers/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
     
-    // If table doesn't exist, return empty array instead of error
-    if (error.code === 'ER_NO_SUCH_TABLE') {
-      console.warn('Teams table does not exist yet. Returning empty array.');
-      return res.json([]);
+    // Check if manager exists
+    const existing = await conn.query('SELECT * FROM managers WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Manager not found' });
     }
-    
-    res.status(500).json({ error: 'Failed to fetch teams', details: error.message });
+
+    // Students only in this manager's squad go with it (along with their
+    // document files); students in other squads stay and move to one of those managers
+    const squadOnly = `SELECT studentId FROM student_memberships WHERE managerId = ?
+       AND studentId NOT IN (SELECT studentId FROM student_memberships WHERE managerId != ?)`;
+    const documentFiles = await conn.query(
+      `SELECT filePath FROM student_documents WHERE studentId IN (${squadOnly})`,
+      [id, id]
+    );
+    await conn.query(
+      `DELETE FROM students WHERE id IN (${squadOnly})`,
+      [id, id]
+    );
+    documentFiles.forEach(document => deleteStudentDocumentFile(document.filePath));
+    await conn.query(
+      `UPDATE students s SET s.managerId = (
+         SELECT sm.managerId FROM student_memberships sm
+         WHERE sm.studentId = s.id AND sm.managerId != ? ORDER BY sm.createdAt ASC LIMIT 1
+       ) WHERE s.managerId = ?`,
+      [id, id]
+    );
+
+    // Delete manager and end any open sessions
+    await conn.query('DELETE FROM managers WHERE id = ?', [id]);
+    await conn.query(
+      "UPDATE sessions SET revokedAt = NOW() WHERE userType = 'manager' AND userId = ? AND revokedAt IS NULL",
+      [id]
+    );
+
+    await recordAudit(req, 'delete', 'manager', id, existing[0], null);
+    res.json({ success: true, message: 'Manager deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting manager:', error);
+    res.status(500).json({ error: 'Failed to delete manager' });
   } finally {
-    if (conn) {
-      try {
+    if (conn) conn.release();
+  }
+});
+
+// ==================== STUDENT PORTAL API ENDPOINTS ====================
+
+// Fields a student may change on their own record
+const studentEditableFields = ['contact', 'email', 'address'];
+
+// Normalize a request date string or a DATE column value to YYYY-MM-DD.
+// DATE columns come back as local midnight, so local date parts are used.
+const toDateString = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Normalize a request date-time or a DATETIME column value to "YYYY-MM-DD HH:MM:SS".
+// Strings without a time zone are taken as local wall-clock time.
+const toDateTimeString = (value) => {
+  const local = typeof value === 'string' && value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2})?$/);
+  if (local) {
+    return `${local[1]} ${local[2]}${local[3] || ':00'}`;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${toDateString(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Student login by PRN/UID. On first login (no password yet) the student proves
+// who they are with their contact number and birth date and sets a password.
+app.post('/api/student-portal/login', loginProtection, async (req, res) => {
+  let conn;
+  try {
+    const { prn_uid, password, contact, birthDate } = req.body;
+
+    if (!prn_uid || !password) {
+      return res.status(400).json({ error: 'PRN/UID and password are required' });
+    }
+
+    conn = await pool.getConnection();
+    const students = await conn.query(
+      `SELECT s.id, s.name, s.prn_uid, s.contact, s.birthDate, sc.passwordHash
+       FROM students s
+       LEFT JOIN student_credentials sc ON sc.studentId = s.id
+       WHERE s.prn_uid = ?`,
+      [prn_uid.trim()]
+    );
+    const student = students[0];
+    let firstLogin = false;
+
+    if (student && !student.passwordHash) {
+      // First login: check identity, then set the password
+      if (!contact || !birthDate) {
         conn.release();
-      } catch (releaseError) {
-        console.error('Error releasing connection:', releaseError);
+        return res.status(400).json({
+          error: 'First login: contact and birth date are required to set your password',
+          firstLogin: true,
+        });
+      }
+
+      if (contact.trim() !== student.contact || toDateString(birthDate) !== toDateString(student.birthDate)) {
+        conn.release();
+        await recordLoginAttempt(req, false);
+        return res.status(401).json({ error: 'Invalid PRN/UID or details' });
+      }
+
+      if (password.length < 8) {
+        conn.release();
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      }
+
+      await conn.query(
+        'INSERT INTO student_credentials (studentId, passwordHash, passwordChangedAt) VALUES (?, ?, NOW())',
+        [student.id, await hashPassword(password)]
+      );
+      firstLogin = true;
+    } else if (!student || !(await verifyPassword(password, student.passwordHash))) {
+      conn.release();
+      await recordLoginAttempt(req, false);
+      return res.status(401).json({ error: 'Invalid PRN/UID or password' });
+    }
+
+    await recordLoginAttempt(req, true);
+    const { token, tokenHash } = createSessionToken();
+    const expiresAt = getSessionExpiry();
+
+    await conn.query(
+      "INSERT INTO sessions (userType, userId, tokenHash, expiresAt) VALUES ('student', ?, ?, ?)",
+      [student.id, tokenHash, expiresAt]
+    );
+
+    conn.release();
+    if (firstLogin) {
+      req.user = { role: 'student', id: student.id, name: student.name };
+      await recordAudit(req, 'create', 'student_credentials', student.id, null, { studentId: student.id });
+    }
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      firstLogin,
+      student: { id: student.id, name: student.name, prn_uid: student.prn_uid },
+    });
+  } catch (error) {
+    console.error('Error during student login:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Student logout (revokes the current session)
+app.post('/api/student-portal/logout', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.query('UPDATE sessions SET revokedAt = NOW() WHERE id = ?', [req.user.sessionId]);
+    conn.release();
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error during student logout:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Get the logged-in student's own record
+app.get('/api/student-portal/me', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const students = await conn.query(
+      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, gender, createdAt, updatedAt FROM students WHERE id = ?',
+      [req.user.id]
+    );
+    conn.release();
+    res.json({ ...students[0], editableFields: studentEditableFields });
+  } catch (error) {
+    console.error('Error fetching student profile:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Update the logged-in student's contact details. Other fields stay with the manager.
+app.put('/api/student-portal/me', async (req, res) => {
+  let conn;
+  try {
+    const { contact, email, address } = req.body;
+
+    const blocked = Object.keys(req.body).filter(field => !studentEditableFields.includes(field));
+    if (blocked.length > 0) {
+      return res.status(400).json({ error: `These fields cannot be changed: ${blocked.join(', ')}` });
+    }
+
+    if (contact !== undefined && (!contact || !contact.trim())) {
+      return res.status(400).json({ error: 'Contact cannot be empty' });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (email && !emailRegex.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    conn = await pool.getConnection();
+    const existing = await conn.query('SELECT * FROM students WHERE id = ?', [req.user.id]);
+    const student = existing[0];
+
+    await conn.query(
+      'UPDATE students SET contact = ?, email = ?, address = ? WHERE id = ?',
+      [
+        contact !== undefined ? contact.trim() : student.contact,
+        email !== undefined ? (email ? email.trim() : null) : student.email,
+        address !== undefined ? (address ? address.trim() : null) : student.address,
+        req.user.id,
+      ]
+    );
+
+    const updated = await conn.query(
+      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, gender, createdAt, updatedAt FROM students WHERE id = ?',
+      [req.user.id]
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'student', req.user.id, student, updated[0]);
+    res.json({ success: true, student: updated[0] });
+  } catch (error) {
+    console.error('Error updating student profile:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Change the logged-in student's password. Other sessions are revoked.
+app.put('/api/student-portal/password', async (req, res) => {
+  let conn;
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    conn = await pool.getConnection();
+    const credentials = await conn.query('SELECT passwordHash FROM student_credentials WHERE studentId = ?', [req.user.id]);
+
+    if (credentials.length === 0 || !(await verifyPassword(currentPassword, credentials[0].passwordHash))) {
+      conn.release();
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await conn.query(
+      'UPDATE student_credentials SET passwordHash = ?, passwordChangedAt = NOW() WHERE studentId = ?',
+      [await hashPassword(newPassword), req.user.id]
+    );
+    await conn.query(
+      "UPDATE sessions SET revokedAt = NOW() WHERE userType = 'student' AND userId = ? AND id != ? AND revokedAt IS NULL",
+      [req.user.id, req.user.sessionId]
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'student_credentials', req.user.id, { passwordChanged: false }, { passwordChanged: true });
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error changing student password:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Get the logged-in student's selection status per squad (?season=, defaults to the active season)
+app.get('/api/student-portal/selections', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    const selections = await conn.query(
+      `SELECT ss.id, ss.managerId, ss.seasonId, ss.isSelected, ss.updatedAt,
+              m.name as managerName, sp.name as sport, d.name as department
+       FROM student_selections ss
+       JOIN managers m ON ss.managerId = m.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       LEFT JOIN departments d ON m.departmentId = d.id
+       WHERE ss.studentId = ? AND ss.seasonId = ?
+       ORDER BY ss.updatedAt DESC`,
+      [req.user.id, season.id]
+    );
+    conn.release();
+    res.json(selections.map(selection => ({ ...selection, isSelected: Boolean(selection.isSelected) })));
+  } catch (error) {
+    console.error('Error fetching student selections:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch selections' });
+  }
+});
+
+// Get the sports and teams the logged-in student is registered for (?season=, defaults to the active season)
+app.get('/api/student-portal/registrations', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    const registrations = await conn.query(
+      `SELECT m.id as managerId, m.name as managerName, sp.name as sport, d.name as department,
+              m.sportId, t.id as teamId, t.name as teamName, t.logo as teamLogo, t.color as teamColor,
+              COALESCE(ss.isSelected, FALSE) as isSelected
+       FROM student_memberships sm
+       JOIN managers m ON sm.managerId = m.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       LEFT JOIN departments d ON m.departmentId = d.id
+       LEFT JOIN teams t ON m.teamId = t.id
+       LEFT JOIN student_selections ss ON ss.studentId = sm.studentId AND ss.managerId = m.id AND ss.seasonId = sm.seasonId
+       WHERE sm.studentId = ? AND sm.seasonId = ?
+       ORDER BY sm.createdAt ASC`,
+      [req.user.id, season.id]
+    );
+    conn.release();
+    res.json(registrations.map(registration => ({
+      ...registration,
+      isSelected: Boolean(registration.isSelected),
+    })));
+  } catch (error) {
+    console.error('Error fetching student registrations:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch registrations' });
+  }
+});
+
+// ==================== SPORTS API ENDPOINTS ====================
+
+const sportColumns = `id, name, description, pointsWin, pointsDraw, pointsLoss, tieBreakers,
+  minAge, maxAge, ageCutoffDate, genderCategory, maxSportsPerStudent, minRosterSize, maxRosterSize, createdAt, updatedAt`;
+
+const defaultScoringRules = { pointsWin: 3, pointsDraw: 1, pointsLoss: 0, tieBreakers: 'headToHead,scoreDifference,scoreFor' };
+
+const defaultEligibilityRules = { minAge: null, maxAge: null, ageCutoffDate: null, genderCategory: 'open', maxSportsPerStudent: null };
+
+const defaultRosterLimits = { minRosterSize: null, maxRosterSize: null };
+
+// Validate the scoring rules in a sport payload. Missing values fall back to
+// `current` (the stored sport, or the table defaults for a new one).
+const validateScoringRules = (body, current) => {
+  const rules = {};
+  for (const field of ['pointsWin', 'pointsDraw', 'pointsLoss']) {
+    const value = body[field] !== undefined && body[field] !== '' ? Number(body[field]) : current[field];
+    if (!Number.isInteger(value)) {
+      return { error: `${field} must be a whole number` };
+    }
+    rules[field] = value;
+  }
+
+  if (body.tieBreakers !== undefined) {
+    const tieBreakers = parseTieBreakers(body.tieBreakers);
+    if (!tieBreakers) {
+      return { error: `Tie-breakers must be any of: ${TIE_BREAKERS.join(', ')}` };
+    }
+    rules.tieBreakers = tieBreakers.join(',');
+  } else {
+    rules.tieBreakers = current.tieBreakers;
+  }
+
+  return { rules };
+};
+
+// Validate the eligibility rules in a sport payload. Missing values fall back
+// to `current`; an empty value clears an optional rule.
+const validateEligibilityRules = (body, current) => {
+  const rules = {};
+  for (const field of ['minAge', 'maxAge', 'maxSportsPerStudent']) {
+    if (body[field] === undefined) {
+      rules[field] = current[field];
+    } else if (body[field] === null || body[field] === '') {
+      rules[field] = null;
+    } else {
+      const value = Number(body[field]);
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `${field} must be a whole number` };
+      }
+      rules[field] = value;
+    }
+  }
+  if (rules.minAge !== null && rules.maxAge !== null && rules.minAge > rules.maxAge) {
+    return { error: 'minAge cannot be greater than maxAge' };
+  }
+  if (rules.maxSportsPerStudent === 0) {
+    return { error: 'maxSportsPerStudent must be at least 1' };
+  }
+
+  if (body.ageCutoffDate === undefined) {
+    rules.ageCutoffDate = current.ageCutoffDate ? toDateString(current.ageCutoffDate) : null;
+  } else if (body.ageCutoffDate === null || body.ageCutoffDate === '') {
+    rules.ageCutoffDate = null;
+  } else {
+    rules.ageCutoffDate = toDateString(body.ageCutoffDate);
+    if (!rules.ageCutoffDate) {
+      return { error: 'Invalid age cutoff date' };
+    }
+  }
+
+  rules.genderCategory = body.genderCategory !== undefined ? body.genderCategory : current.genderCategory;
+  if (!GENDER_CATEGORIES.includes(rules.genderCategory)) {
+    return { error: `Gender category must be one of: ${GENDER_CATEGORIES.join(', ')}` };
+  }
+
+  return { rules };
+};
+
+// Validate the team roster size limits in a sport payload. Missing values fall
+// back to `current`; an empty value removes the limit.
+const validateRosterLimits = (body, current) => {
+  const limits = {};
+  for (const field of ['minRosterSize', 'maxRosterSize']) {
+    if (body[field] === undefined) {
+      limits[field] = current[field];
+    } else if (body[field] === null || body[field] === '') {
+      limits[field] = null;
+    } else {
+      const value = Number(body[field]);
+      if (!Number.isInteger(value) || value < 1) {
+        return { error: `${field} must be a whole number of at least 1` };
       }
+      limits[field] = value;
+    }
+  }
+  if (limits.minRosterSize !== null && limits.maxRosterSize !== null && limits.minRosterSize > limits.maxRosterSize) {
+    return { error: 'minRosterSize cannot be greater than maxRosterSize' };
+  }
+  return { limits };
+};
+
+// Test endpoint
+app.get('/api/sports/test', (req, res) => {
+  res.json({ message: 'Sports API is working' });
+});
+
+// Get all sports
+app.get('/api/sports', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const sports = await conn.query(
+      `SELECT ${sportColumns} FROM sports ORDER BY name ASC`
+    );
+    res.json(sports);
+  } catch (error) {
+    console.error('Error fetching sports:', error);
+    res.status(500).json({ error: 'Failed to fetch sports' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Get sport by ID
+app.get('/api/sports/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    const sports = await conn.query(
+      `SELECT ${sportColumns} FROM sports WHERE id = ?`,
+      [id]
+    );
+    
+    if (sports.length === 0) {
+      return res.status(404).json({ error: 'Sport not found' });
+    }
+    
+    res.json(sports[0]);
+  } catch (error) {
+    console.error('Error fetching sport:', error);
+    res.status(500).json({ error: 'Failed to fetch sport' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create new sport
+app.post('/api/sports', async (req, res) => {
+  let conn;
+  try {
+    const { name, description } = req.body;
+
+    console.log('Received sport data:', { name, description });
+
+    // Validation
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Sport name is required' });
+    }
+
+    const { rules, error: rulesError } = validateScoringRules(req.body, defaultScoringRules);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    const { rules: eligibility, error: eligibilityError } = validateEligibilityRules(req.body, defaultEligibilityRules);
+    if (eligibilityError) {
+      return res.status(400).json({ error: eligibilityError });
+    }
+
+    const { limits, error: limitsError } = validateRosterLimits(req.body, defaultRosterLimits);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+
+    try {
+      conn = await pool.getConnection();
+      console.log('Database connection acquired');
+    } catch (connError) {
+      console.error('Failed to get database connection:', connError);
+      return res.status(500).json({ 
+        error: 'Database connection failed',
+        details: connError.message || 'Unable to connect to database'
+      });
+    }
+    
+    // Check if sport name already exists
+    const existing = await conn.query('SELECT id FROM sports WHERE name = ?', [name.trim()]);
+    if (existing.length > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Sport name already exists' });
+    }
+
+    // Insert new sport
+    const result = await conn.query(
+      `INSERT INTO sports (name, description, pointsWin, pointsDraw, pointsLoss, tieBreakers,
+         minAge, maxAge, ageCutoffDate, genderCategory, maxSportsPerStudent, minRosterSize, maxRosterSize)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [name.trim(), description ? description.trim() : null, rules.pointsWin, rules.pointsDraw, rules.pointsLoss, rules.tieBreakers,
+        eligibility.minAge, eligibility.maxAge, eligibility.ageCutoffDate, eligibility.genderCategory, eligibility.maxSportsPerStudent,
+        limits.minRosterSize, limits.maxRosterSize]
+    );
+
+    console.log('Sport inserted with ID:', result.insertId);
+
+    // Fetch the created sport
+    const newSport = await conn.query(
+      `SELECT ${sportColumns} FROM sports WHERE id = ?`,
+      [result.insertId]
+    );
+
+    conn.release();
+    await recordAudit(req, 'create', 'sport', result.insertId, null, newSport[0]);
+    res.status(201).json({ success: true, sport: newSport[0] });
+  } catch (error) {
+    console.error('Error creating sport:', error);
+    console.error('Error details:', {
+      code: error.code,
+      errno: error.errno,
+      sqlState: error.sqlState,
+      message: error.message,
+      sql: error.sql
+    });
+    
+    if (conn) {
+      try {
+        conn.release();
+      } catch (releaseError) {
+        console.error('Error releasing connection:', releaseError);
+      }
+    }
+    
+    // Ensure we always send JSON response
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Sport name already exists' });
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return res.status(500).json({ error: 'Database connection failed. Please check database configuration.' });
+    } else if (error.code === 'ER_NO_SUCH_TABLE') {
+      return res.status(500).json({ error: 'Sports table not found. Please restart the server to initialize database tables.' });
+    } else {
+      return res.status(500).json({ 
+        error: 'Failed to create sport',
+        details: error.message || 'Unknown database error'
+      });
+    }
+  }
+});
+
+// Update sport
+app.put('/api/sports/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    // Validation
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Sport name is required' });
+    }
+
+    conn = await pool.getConnection();
+    
+    // Check if sport exists
+    const existing = await conn.query('SELECT * FROM sports WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Sport not found' });
+    }
+
+    const { rules, error: rulesError } = validateScoringRules(req.body, existing[0]);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    const { rules: eligibility, error: eligibilityError } = validateEligibilityRules(req.body, existing[0]);
+    if (eligibilityError) {
+      return res.status(400).json({ error: eligibilityError });
+    }
+
+    const { limits, error: limitsError } = validateRosterLimits(req.body, existing[0]);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+
+    // Check if name is already used by another sport
+    const nameCheck = await conn.query('SELECT id FROM sports WHERE name = ? AND id != ?', [name.trim(), id]);
+    if (nameCheck.length > 0) {
+      return res.status(400).json({ error: 'Sport name already exists' });
+    }
+
+    // Update sport
+    await conn.query(
+      `UPDATE sports SET name = ?, description = ?, pointsWin = ?, pointsDraw = ?, pointsLoss = ?, tieBreakers = ?,
+         minAge = ?, maxAge = ?, ageCutoffDate = ?, genderCategory = ?, maxSportsPerStudent = ?,
+         minRosterSize = ?, maxRosterSize = ?
+       WHERE id = ?`,
+      [name.trim(), description ? description.trim() : null, rules.pointsWin, rules.pointsDraw, rules.pointsLoss, rules.tieBreakers,
+        eligibility.minAge, eligibility.maxAge, eligibility.ageCutoffDate, eligibility.genderCategory, eligibility.maxSportsPerStudent,
+        limits.minRosterSize, limits.maxRosterSize, id]
+    );
+
+    // Fetch updated sport
+    const updated = await conn.query(
+      `SELECT ${sportColumns} FROM sports WHERE id = ?`,
+      [id]
+    );
+
+    await recordAudit(req, 'update', 'sport', id, existing[0], updated[0]);
+    res.json({ success: true, sport: updated[0] });
+  } catch (error) {
+    console.error('Error updating sport:', error);
+    res.status(500).json({ error: 'Failed to update sport' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Delete sport
+app.delete('/api/sports/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    
+    // Check if sport exists
+    const existing = await conn.query('SELECT * FROM sports WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Sport not found' });
+    }
+
+    // Check if sport is used by any managers
+    const managersUsingSport = await conn.query('SELECT COUNT(*) as count FROM managers WHERE sportId = ?', [id]);
+    if (Number(managersUsingSport[0].count) > 0) {
+      return res.status(400).json({ error: 'Cannot delete sport. It is being used by managers.' });
+    }
+
+    // Delete sport
+    await conn.query('DELETE FROM sports WHERE id = ?', [id]);
+
+    await recordAudit(req, 'delete', 'sport', id, existing[0], null);
+    res.json({ success: true, message: 'Sport deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting sport:', error);
+    res.status(500).json({ error: 'Failed to delete sport' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ==================== DEPARTMENTS API ENDPOINTS ====================
+
+// Get all departments with the number of managers in each
+app.get('/api/departments', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const departments = await conn.query(
+      `SELECT d.id, d.name, d.createdAt, d.updatedAt, COUNT(m.id) as managerCount
+       FROM departments d
+       LEFT JOIN managers m ON m.departmentId = d.id
+       GROUP BY d.id
+       ORDER BY d.name ASC`
+    );
+    res.json(departments.map(department => ({ ...department, managerCount: Number(department.managerCount) })));
+  } catch (error) {
+    console.error('Error fetching departments:', error);
+    res.status(500).json({ error: 'Failed to fetch departments' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create new department
+app.post('/api/departments', async (req, res) => {
+  let conn;
+  try {
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Department name is required' });
+    }
+
+    conn = await pool.getConnection();
+    const result = await conn.query('INSERT INTO departments (name) VALUES (?)', [name.trim()]);
+    const newDepartment = await conn.query(
+      'SELECT id, name, createdAt, updatedAt FROM departments WHERE id = ?',
+      [result.insertId]
+    );
+
+    await recordAudit(req, 'create', 'department', result.insertId, null, newDepartment[0]);
+    res.status(201).json({ success: true, department: newDepartment[0] });
+  } catch (error) {
+    console.error('Error creating department:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'Department name already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to create department' });
+    }
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Rename a department. Managers refer to it by id, so they follow the new name.
+app.put('/api/departments/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Department name is required' });
+    }
+
+    conn = await pool.getConnection();
+    const existing = await conn.query('SELECT id, name, createdAt, updatedAt FROM departments WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    await conn.query('UPDATE departments SET name = ? WHERE id = ?', [name.trim(), id]);
+    const updated = await conn.query('SELECT id, name, createdAt, updatedAt FROM departments WHERE id = ?', [id]);
+
+    await recordAudit(req, 'update', 'department', id, existing[0], updated[0]);
+    res.json({ success: true, department: updated[0] });
+  } catch (error) {
+    console.error('Error updating department:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'Department name already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to update department' });
+    }
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Delete a department that no manager belongs to
+app.delete('/api/departments/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query('SELECT id, name, createdAt, updatedAt FROM departments WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    const managersInDepartment = await conn.query('SELECT COUNT(*) as count FROM managers WHERE departmentId = ?', [id]);
+    if (Number(managersInDepartment[0].count) > 0) {
+      return res.status(400).json({ error: 'Cannot delete department. It is being used by managers.' });
+    }
+
+    await conn.query('DELETE FROM departments WHERE id = ?', [id]);
+    await recordAudit(req, 'delete', 'department', id, existing[0], null);
+    res.json({ success: true, message: 'Department deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting department:', error);
+    res.status(500).json({ error: 'Failed to delete department' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ==================== ELIGIBILITY ====================
+
+// The sport a manager looks after, with its eligibility rules
+const findManagerSport = async (conn, managerId) => {
+  const sports = await conn.query(
+    `SELECT sp.id, sp.name, sp.minAge, sp.maxAge, sp.ageCutoffDate, sp.genderCategory, sp.maxSportsPerStudent
+     FROM managers m
+     JOIN sports sp ON sp.id = m.sportId
+     WHERE m.id = ?`,
+    [managerId]
+  );
+  return sports[0];
+};
+
+// Number of sports other than `sportId` a student is registered for in a
+// season, or with selectedOnly, selected in
+const countStudentSports = async (conn, studentId, sportId, seasonId, { selectedOnly = false } = {}) => {
+  const rows = selectedOnly
+    ? await conn.query(
+      `SELECT COUNT(DISTINCT sp.id) as count
+       FROM student_selections ss
+       JOIN managers m ON ss.managerId = m.id
+       JOIN sports sp ON sp.id = m.sportId
+       WHERE ss.studentId = ? AND ss.isSelected = TRUE AND sp.id != ? AND ss.seasonId = ?`,
+      [studentId, sportId, seasonId]
+    )
+    : await conn.query(
+      `SELECT COUNT(DISTINCT sp.id) as count
+       FROM student_memberships sm
+       JOIN managers m ON sm.managerId = m.id
+       JOIN sports sp ON sp.id = m.sportId
+       WHERE sm.studentId = ? AND sp.id != ? AND sm.seasonId = ?`,
+      [studentId, sportId, seasonId]
+    );
+  return Number(rows[0].count);
+};
+
+// Check a student against the rules of the manager's sport. Returns null when
+// eligible, otherwise the failed rule ({ rule, message }). Pass a student
+// without an id for someone who is not registered yet. Other sports are
+// counted in the active season.
+const findEligibilityFailure = async (conn, student, managerId, { selection = false } = {}) => {
+  const sport = await findManagerSport(conn, managerId);
+  if (!sport) {
+    return null;
+  }
+  const season = await getActiveSeason(conn);
+  const sportsCount = student.id && season
+    ? await countStudentSports(conn, student.id, sport.id, season.id, { selectedOnly: selection })
+    : 0;
+  return checkEligibility(student, sport, { sportsCount });
+};
+
+// ==================== STUDENTS API ENDPOINTS ====================
+
+// Get the students of a season (?season=, defaults to the active season)
+app.get('/api/students', async (req, res) => {
+  let conn;
+  try {
+    // Managers only see their own squad; admins may filter by any manager
+    let { managerId } = req.query;
+    if (req.user.role === 'manager') {
+      if (managerId && Number(managerId) !== req.manager.id) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+      }
+      managerId = req.manager.id;
+    }
+
+    conn = await pool.getConnection();
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    
+    let students;
+    if (managerId) {
+      students = await conn.query(
+        `SELECT s.id, s.name, s.prn_uid, s.contact, s.email, s.address, s.birthDate, s.age, s.gender,
+                sm.managerId, sm.seasonId, sm.status, s.createdAt, s.updatedAt, sm.createdAt as joinedAt
+         FROM students s
+         JOIN student_memberships sm ON sm.studentId = s.id
+         WHERE sm.managerId = ? AND sm.seasonId = ?
+         ORDER BY sm.status = 'waitlisted', sm.createdAt DESC`,
+        [managerId, season.id]
+      );
+    } else {
+      students = await conn.query(
+        `SELECT id, name, prn_uid, contact, email, address, birthDate, age, gender, managerId, createdAt, updatedAt
+         FROM students
+         WHERE id IN (SELECT studentId FROM student_memberships WHERE seasonId = ?)
+         ORDER BY createdAt DESC`,
+        [season.id]
+      );
+    }
+    res.json(students);
+  } catch (error) {
+    console.error('Error fetching students:', error);
+    res.status(500).json({ error: 'Failed to fetch students' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create new student
+app.post('/api/students', async (req, res) => {
+  let conn;
+  try {
+    const { name, prn_uid, contact, email, address, birthDate, gender } = req.body;
+    const managerId = req.manager.id;
+
+    // Validation
+    if (!name || !prn_uid || !contact || !birthDate) {
+      return res.status(400).json({ error: 'Name, PRN/UID, Contact, and Birth Date are required' });
+    }
+
+    if (!parseBirthDate(birthDate)) {
+      return res.status(400).json({ error: 'Invalid birth date' });
+    }
+
+    if (gender && !GENDERS.includes(gender)) {
+      return res.status(400).json({ error: `Gender must be one of: ${GENDERS.join(', ')}` });
+    }
+
+    const age = calculateAge(birthDate);
+
+    conn = await pool.getConnection();
+    
+    // Check if PRN/UID already exists
+    const existing = await conn.query('SELECT id FROM students WHERE prn_uid = ?', [prn_uid.trim()]);
+    if (existing.length > 0) {
+      conn.release();
+      return res.status(400).json({
+        error: 'PRN/UID already exists. Students already registered for another sport can join your squad through your registration link.'
+      });
+    }
+
+    // Insert the student and their membership together. Beyond the squad quota
+    // the student goes onto the waitlist.
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const { studentId, ...membership } = await createStudentInSquad(conn, {
+      name: name.trim(),
+      prn_uid: prn_uid.trim(),
+      contact: contact.trim(),
+      email: email ? email.trim() : null,
+      address: address ? address.trim() : null,
+      birthDate: parseBirthDate(birthDate),
+      age,
+      gender: gender || null,
+    }, { managerId, seasonId: season.id });
+
+    // Fetch the created student
+    const newStudent = await conn.query(
+      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, gender, managerId, createdAt FROM students WHERE id = ?',
+      [studentId]
+    );
+
+    conn.release();
+    await recordAudit(req, 'create', 'student', studentId, null, newStudent[0]);
+    res.status(201).json({ success: true, student: newStudent[0], ...membership });
+  } catch (error) {
+    console.error('Error creating student:', error);
+    if (conn) conn.release();
+    
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'PRN/UID already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to create student', details: error.message });
+    }
+  }
+});
+
+// Update student
+app.put('/api/students/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { name, prn_uid, contact, email, address, birthDate, gender } = req.body;
+
+    if (!name || !prn_uid || !contact || !birthDate) {
+      return res.status(400).json({ error: 'Name, PRN/UID, Contact, and Birth Date are required' });
+    }
+
+    if (!parseBirthDate(birthDate)) {
+      return res.status(400).json({ error: 'Invalid birth date' });
+    }
+
+    if (gender && !GENDERS.includes(gender)) {
+      return res.status(400).json({ error: `Gender must be one of: ${GENDERS.join(', ')}` });
+    }
+
+    const age = calculateAge(birthDate);
+
+    conn = await pool.getConnection();
+    
+    // Check if student exists and belongs to this manager
+    if (!(await isStudentOfManager(conn, id, req.manager.id))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const existing = await conn.query('SELECT * FROM students WHERE id = ?', [id]);
+
+    // Check if PRN/UID is used by another student
+    const prnCheck = await conn.query('SELECT id FROM students WHERE prn_uid = ? AND id != ?', [prn_uid.trim(), id]);
+    if (prnCheck.length > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'PRN/UID already exists' });
+    }
+
+    // Update student
+    await conn.query(
+      `UPDATE students SET name = ?, prn_uid = ?, contact = ?, email = ?, address = ?, birthDate = ?, age = ?, gender = ? WHERE id = ?`,
+      [name.trim(), prn_uid.trim(), contact.trim(), email ? email.trim() : null, address ? address.trim() : null, parseBirthDate(birthDate), age, gender || null, id]
+    );
+
+    // Fetch updated student
+    const updated = await conn.query(
+      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, gender, managerId, createdAt, updatedAt FROM students WHERE id = ?',
+      [id]
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'student', id, existing[0], updated[0]);
+    res.json({ success: true, student: updated[0] });
+  } catch (error) {
+    console.error('Error updating student:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update student' });
+  }
+});
+
+// Delete student
+app.delete('/api/students/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    if (!(await isStudentOfManager(conn, id, req.manager.id, { seasonId: season.id }))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    // Take the student out of this season's squad. Past seasons are kept and the
+    // student record itself is only deleted once they are in no squad at all.
+    const existing = await conn.query('SELECT * FROM students WHERE id = ?', [id]);
+    await conn.query(
+      'DELETE FROM student_memberships WHERE studentId = ? AND managerId = ? AND seasonId = ?',
+      [id, req.manager.id, season.id]
+    );
+    await conn.query(
+      'DELETE FROM student_selections WHERE studentId = ? AND managerId = ? AND seasonId = ?',
+      [id, req.manager.id, season.id]
+    );
+    const promoted = await autoPromoteWaitlisted(conn, req, req.manager.id, season.id);
+    const promotedStudentIds = promoted.map(membership => membership.studentId);
+
+    const remaining = await conn.query(
+      'SELECT managerId FROM student_memberships WHERE studentId = ? ORDER BY createdAt ASC',
+      [id]
+    );
+    if (remaining.length === 0) {
+      const documentFiles = await conn.query('SELECT filePath FROM student_documents WHERE studentId = ?', [id]);
+      await conn.query('DELETE FROM students WHERE id = ?', [id]);
+      documentFiles.forEach(document => deleteStudentDocumentFile(document.filePath));
+      conn.release();
+      await recordAudit(req, 'delete', 'student', id, existing[0], null);
+      return res.json({ success: true, message: 'Student deleted successfully', promoted: promotedStudentIds });
+    }
+
+    if (existing[0].managerId === req.manager.id) {
+      await conn.query('UPDATE students SET managerId = ? WHERE id = ?', [remaining[0].managerId, id]);
+    }
+    conn.release();
+    await recordAudit(req, 'delete', 'student_membership', id, { studentId: Number(id), managerId: req.manager.id, seasonId: season.id }, null);
+    res.json({ success: true, message: 'Student removed from your squad', promoted: promotedStudentIds });
+  } catch (error) {
+    console.error('Error deleting student:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete student' });
+  }
+});
+
+// ==================== COACHES API ENDPOINTS ====================
+
+// Get all coaches for the logged-in manager
+app.get('/api/coaches', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    
+    const coaches = await conn.query(
+      'SELECT id, name, contact, email, specialization, managerId, createdAt, updatedAt FROM coaches WHERE managerId = ? ORDER BY createdAt DESC',
+      [req.manager.id]
+    );
+    res.json(coaches);
+  } catch (error) {
+    console.error('Error fetching coaches:', error);
+    res.status(500).json({ error: 'Failed to fetch coaches' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create new coach
+app.post('/api/coaches', async (req, res) => {
+  let conn;
+  try {
+    const { name, contact, email, specialization } = req.body;
+    const managerId = req.manager.id;
+
+    if (!name || !contact) {
+      return res.status(400).json({ error: 'Name and Contact are required' });
+    }
+
+    conn = await pool.getConnection();
+    
+    const result = await conn.query(
+      `INSERT INTO coaches (name, contact, email, specialization, managerId) VALUES (?, ?, ?, ?, ?)`,
+      [name.trim(), contact.trim(), email ? email.trim() : null, specialization ? specialization.trim() : null, managerId]
+    );
+
+    const newCoach = await conn.query(
+      'SELECT id, name, contact, email, specialization, managerId, createdAt FROM coaches WHERE id = ?',
+      [result.insertId]
+    );
+
+    conn.release();
+    await recordAudit(req, 'create', 'coach', result.insertId, null, newCoach[0]);
+    res.status(201).json({ success: true, coach: newCoach[0] });
+  } catch (error) {
+    console.error('Error creating coach:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create coach', details: error.message });
+  }
+});
+
+// Update coach
+app.put('/api/coaches/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { name, contact, email, specialization } = req.body;
+
+    if (!name || !contact) {
+      return res.status(400).json({ error: 'Name and Contact are required' });
+    }
+
+    conn = await pool.getConnection();
+    
+    const existing = await conn.query('SELECT * FROM coaches WHERE id = ? AND managerId = ?', [id, req.manager.id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Coach not found' });
+    }
+
+    await conn.query(
+      `UPDATE coaches SET name = ?, contact = ?, email = ?, specialization = ? WHERE id = ?`,
+      [name.trim(), contact.trim(), email ? email.trim() : null, specialization ? specialization.trim() : null, id]
+    );
+
+    const updated = await conn.query(
+      'SELECT id, name, contact, email, specialization, managerId, createdAt, updatedAt FROM coaches WHERE id = ?',
+      [id]
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'coach', id, existing[0], updated[0]);
+    res.json({ success: true, coach: updated[0] });
+  } catch (error) {
+    console.error('Error updating coach:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update coach' });
+  }
+});
+
+// Delete coach
+app.delete('/api/coaches/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    
+    const existing = await conn.query('SELECT * FROM coaches WHERE id = ? AND managerId = ?', [id, req.manager.id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Coach not found' });
+    }
+
+    await conn.query('DELETE FROM coaches WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'coach', id, existing[0], null);
+    res.json({ success: true, message: 'Coach deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting coach:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete coach' });
+  }
+});
+
+// ==================== STUDENT SELECTIONS API ENDPOINTS ====================
+
+// Get student selections for the logged-in manager (?season=, defaults to the active season)
+app.get('/api/student-selections', async (req, res) => {
+  let conn;
+  try {
+    const managerId = req.manager.id;
+
+    conn = await pool.getConnection();
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    
+    const selections = await conn.query(
+      `SELECT ss.id, ss.studentId, ss.managerId, ss.seasonId, ss.isSelected, ss.createdAt, ss.updatedAt,
+              s.name as studentName, s.prn_uid, s.contact, s.email
+       FROM student_selections ss
+       JOIN students s ON ss.studentId = s.id
+       WHERE ss.managerId = ? AND ss.seasonId = ?
+       ORDER BY ss.updatedAt DESC`,
+      [managerId, season.id]
+    );
+    
+    conn.release();
+    res.json(selections);
+  } catch (error) {
+    console.error('Error fetching student selections:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch student selections' });
+  }
+});
+
+// Get all students with selection status for the logged-in manager (?season=, defaults to the active season)
+app.get('/api/students-with-selections', async (req, res) => {
+  let conn;
+  try {
+    const managerId = req.manager.id;
+
+    conn = await pool.getConnection();
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    
+    const students = await conn.query(
+      `SELECT s.*, 
+              COALESCE(ss.isSelected, FALSE) as isSelected,
+              ss.id as selectionId
+       FROM students s
+       JOIN student_memberships sm ON sm.studentId = s.id AND sm.managerId = ? AND sm.seasonId = ? AND sm.status = 'active'
+       LEFT JOIN student_selections ss ON s.id = ss.studentId AND ss.managerId = ? AND ss.seasonId = ?
+       ORDER BY s.name ASC`,
+      [managerId, season.id, managerId, season.id]
+    );
+    
+    conn.release();
+    res.json(students);
+  } catch (error) {
+    console.error('Error fetching students with selections:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch students with selections' });
+  }
+});
+
+// Toggle student selection
+app.post('/api/student-selections/toggle', async (req, res) => {
+  let conn;
+  try {
+    const { studentId, isSelected } = req.body;
+    const managerId = req.manager.id;
+
+    if (!studentId || typeof isSelected !== 'boolean') {
+      return res.status(400).json({ error: 'Student ID and isSelected (boolean) are required' });
+    }
+
+    conn = await pool.getConnection();
+
+    // Selections are made in the active season's squad; waitlisted students must be promoted first
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    if (!(await isStudentOfManager(conn, studentId, managerId, { seasonId: season.id, activeOnly: true }))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    if (isSelected) {
+      const students = await conn.query('SELECT id, birthDate, gender FROM students WHERE id = ?', [studentId]);
+      const ineligible = await findEligibilityFailure(conn, students[0], managerId, { selection: true });
+      if (ineligible) {
+        conn.release();
+        return res.status(400).json({ error: ineligible.message, rule: ineligible.rule });
+      }
+
+      const injury = await findUnfitInjury(conn, studentId);
+      if (injury) {
+        conn.release();
+        return res.status(400).json({ error: unfitMessage(injury), injuryId: injury.id });
+      }
+    }
+    
+    // Check if selection exists
+    const existing = await conn.query(
+      'SELECT id, studentId, managerId, seasonId, isSelected FROM student_selections WHERE studentId = ? AND managerId = ? AND seasonId = ?',
+      [studentId, managerId, season.id]
+    );
+
+    // A deselected student gave up their place; selecting them again needs a free one
+    if (isSelected && existing.length > 0 && !existing[0].isSelected) {
+      const quota = await fetchSquadQuota(conn, managerId, season.id);
+      if (quota.freePlaces === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'Your squad is full. Remove or deselect a student first.' });
+      }
+    }
+
+    if (existing.length > 0) {
+      // Update existing selection
+      await conn.query(
+        'UPDATE student_selections SET isSelected = ? WHERE id = ?',
+        [isSelected, existing[0].id]
+      );
+      await recordAudit(req, 'update', 'student_selection', existing[0].id, existing[0], { ...existing[0], isSelected: isSelected ? 1 : 0 });
+    } else {
+      // Create new selection
+      const result = await conn.query(
+        'INSERT INTO student_selections (studentId, managerId, seasonId, isSelected) VALUES (?, ?, ?, ?)',
+        [studentId, managerId, season.id, isSelected]
+      );
+      await recordAudit(req, 'create', 'student_selection', result.insertId, null, { studentId, managerId, seasonId: season.id, isSelected });
+    }
+
+    const promoted = isSelected ? [] : await autoPromoteWaitlisted(conn, req, managerId, season.id);
+
+    conn.release();
+    res.json({
+      success: true,
+      message: `Student ${isSelected ? 'selected' : 'deselected'} successfully`,
+      promoted: promoted.map(membership => membership.studentId),
+    });
+  } catch (error) {
+    console.error('Error toggling student selection:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to toggle student selection' });
+  }
+});
+
+// ==================== SQUAD WAITLIST API ENDPOINTS ====================
+
+// managers.studentCount is the size of a squad. A place is taken by every
+// active member who has not been deselected; students who join once the squad
+// is full are waitlisted in arrival order.
+const countTakenPlaces = async (conn, managerId, seasonId) => {
+  const rows = await conn.query(
+    `SELECT COUNT(*) as count
+     FROM student_memberships sm
+     LEFT JOIN student_selections ss
+       ON ss.studentId = sm.studentId AND ss.managerId = sm.managerId AND ss.seasonId = sm.seasonId
+     WHERE sm.managerId = ? AND sm.seasonId = ? AND sm.status = 'active'
+       AND (ss.id IS NULL OR ss.isSelected = TRUE)`,
+    [managerId, seasonId]
+  );
+  return Number(rows[0].count);
+};
+
+// Place of a waitlisted membership in its squad's queue (1 = next in line)
+const findWaitlistPosition = async (conn, membershipId) => {
+  const rows = await conn.query(
+    `SELECT COUNT(*) as position
+     FROM student_memberships w
+     JOIN student_memberships sm ON sm.id = ?
+     WHERE w.managerId = sm.managerId AND w.seasonId = sm.seasonId AND w.status = 'waitlisted' AND w.id <= sm.id`,
+    [membershipId]
+  );
+  return Number(rows[0].position);
+};
+
+// Add a student to a manager's squad: as an active member while there is room,
+// otherwise at the end of the waitlist. Must run inside a transaction; the
+// manager row is locked so concurrent registrations cannot overfill the squad.
+// Returns { status, membershipId }.
+const addSquadMembership = async (conn, { studentId, managerId, seasonId, linkToken = null }) => {
+  const managers = await conn.query('SELECT studentCount FROM managers WHERE id = ? FOR UPDATE', [managerId]);
+  const taken = await countTakenPlaces(conn, managerId, seasonId);
+  const status = taken < managers[0].studentCount ? 'active' : 'waitlisted';
+  const result = await conn.query(
+    'INSERT INTO student_memberships (studentId, managerId, seasonId, linkToken, status) VALUES (?, ?, ?, ?, ?)',
+    [studentId, managerId, seasonId, linkToken, status]
+  );
+  return { status, membershipId: Number(result.insertId) };
+};
+
+// { status, waitlistPosition } of a membership added by addSquadMembership
+const describeMembership = async (conn, { status, membershipId }) => ({
+  status,
+  waitlistPosition: status === 'waitlisted' ? await findWaitlistPosition(conn, membershipId) : null,
+});
+
+// Add an existing student to a manager's squad in its own transaction.
+// Returns { status, waitlistPosition }.
+const joinSquad = async (conn, options) => {
+  let membership;
+  await conn.beginTransaction();
+  try {
+    membership = await addSquadMembership(conn, options);
+    await conn.commit();
+  } catch (transactionError) {
+    await conn.rollback();
+    throw transactionError;
+  }
+  return describeMembership(conn, membership);
+};
+
+// Insert a new student row and their squad membership in one transaction, so a
+// failed membership leaves no student behind. Returns { studentId, status, waitlistPosition }.
+const createStudentInSquad = async (conn, student, { managerId, seasonId, linkToken = null }) => {
+  let studentId;
+  let membership;
+  await conn.beginTransaction();
+  try {
+    const result = await conn.query(
+      `INSERT INTO students (name, prn_uid, contact, email, address, birthDate, age, gender, managerId, linkToken)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        student.name,
+        student.prn_uid,
+        student.contact,
+        student.email,
+        student.address,
+        student.birthDate,
+        student.age,
+        student.gender,
+        managerId,
+        linkToken
+      ]
+    );
+    studentId = Number(result.insertId);
+    membership = await addSquadMembership(conn, { studentId, managerId, seasonId, linkToken });
+    await conn.commit();
+  } catch (transactionError) {
+    await conn.rollback();
+    throw transactionError;
+  }
+  return { studentId, ...(await describeMembership(conn, membership)) };
+};
+
+// Move waitlisted students into the free places of a squad, first come first
+// served, or only `studentId` when given. Returns the promoted memberships.
+const promoteWaitlisted = async (conn, managerId, seasonId, { studentId } = {}) => {
+  let promoted;
+  await conn.beginTransaction();
+  try {
+    const managers = await conn.query('SELECT studentCount FROM managers WHERE id = ? FOR UPDATE', [managerId]);
+    const free = Math.max(managers[0].studentCount - await countTakenPlaces(conn, managerId, seasonId), 0);
+    promoted = await conn.query(
+      `SELECT id, studentId, managerId, seasonId FROM student_memberships
+       WHERE managerId = ? AND seasonId = ? AND status = 'waitlisted' ${studentId ? 'AND studentId = ?' : ''}
+       ORDER BY id ASC
+       LIMIT ?`,
+      studentId ? [managerId, seasonId, studentId, free] : [managerId, seasonId, free]
+    );
+    for (const membership of promoted) {
+      await conn.query(
+        "UPDATE student_memberships SET status = 'active', promotedAt = NOW() WHERE id = ?",
+        [membership.id]
+      );
+    }
+    await conn.commit();
+  } catch (transactionError) {
+    await conn.rollback();
+    throw transactionError;
+  }
+  return promoted;
+};
+
+const auditPromotions = async (req, promoted) => {
+  for (const membership of promoted) {
+    await recordAudit(req, 'update', 'student_membership', membership.studentId,
+      { ...membership, status: 'waitlisted' }, { ...membership, status: 'active' });
+  }
+};
+
+// After a place frees up: promote from the waitlist when the manager has
+// automatic promotion switched on. Returns the promoted memberships.
+const autoPromoteWaitlisted = async (conn, req, managerId, seasonId) => {
+  const managers = await conn.query('SELECT autoPromoteWaitlist FROM managers WHERE id = ?', [managerId]);
+  if (managers.length === 0 || !managers[0].autoPromoteWaitlist) {
+    return [];
+  }
+  const promoted = await promoteWaitlisted(conn, managerId, seasonId);
+  await auditPromotions(req, promoted);
+  return promoted;
+};
+
+// Quota and places of the logged-in manager's squad
+const fetchSquadQuota = async (conn, managerId, seasonId) => {
+  const managers = await conn.query('SELECT studentCount, autoPromoteWaitlist FROM managers WHERE id = ?', [managerId]);
+  const taken = await countTakenPlaces(conn, managerId, seasonId);
+  return {
+    studentCount: managers[0].studentCount,
+    takenPlaces: taken,
+    freePlaces: Math.max(managers[0].studentCount - taken, 0),
+    autoPromote: Boolean(managers[0].autoPromoteWaitlist),
+  };
+};
+
+// Get the logged-in manager's waitlist in order, with the squad quota (?season=, defaults to the active season)
+app.get('/api/student-waitlist', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const waitlist = await conn.query(
+      `SELECT sm.id as membershipId, s.id as studentId, s.name, s.prn_uid, s.contact, s.email, s.gender,
+              sm.createdAt as joinedAt
+       FROM student_memberships sm
+       JOIN students s ON sm.studentId = s.id
+       WHERE sm.managerId = ? AND sm.seasonId = ? AND sm.status = 'waitlisted'
+       ORDER BY sm.id ASC`,
+      [req.manager.id, season.id]
+    );
+    const quota = await fetchSquadQuota(conn, req.manager.id, season.id);
+
+    conn.release();
+    res.json({
+      ...quota,
+      seasonId: season.id,
+      waitlist: waitlist.map((entry, index) => ({ ...entry, waitlistPosition: index + 1 })),
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+// Promote a waitlisted student into a free place, regardless of their place in the queue
+app.post('/api/student-waitlist/:studentId/promote', async (req, res) => {
+  let conn;
+  try {
+    const { studentId } = req.params;
+    conn = await pool.getConnection();
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const waiting = await conn.query(
+      "SELECT id FROM student_memberships WHERE studentId = ? AND managerId = ? AND seasonId = ? AND status = 'waitlisted'",
+      [studentId, req.manager.id, season.id]
+    );
+    if (waiting.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Student is not on your waitlist' });
+    }
+
+    const promoted = await promoteWaitlisted(conn, req.manager.id, season.id, { studentId });
+    if (promoted.length === 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Your squad is full. Remove or deselect a student first.' });
+    }
+
+    const quota = await fetchSquadQuota(conn, req.manager.id, season.id);
+    conn.release();
+    await auditPromotions(req, promoted);
+    res.json({ success: true, message: 'Student promoted from the waitlist', ...quota });
+  } catch (error) {
+    console.error('Error promoting waitlisted student:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to promote student' });
+  }
+});
+
+// Switch automatic promotion from the waitlist on or off. Turning it on fills any free places.
+app.put('/api/student-waitlist/settings', async (req, res) => {
+  let conn;
+  try {
+    const { autoPromote } = req.body;
+    if (typeof autoPromote !== 'boolean') {
+      return res.status(400).json({ error: 'autoPromote (boolean) is required' });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query('SELECT id, autoPromoteWaitlist FROM managers WHERE id = ?', [req.manager.id]);
+    await conn.query('UPDATE managers SET autoPromoteWaitlist = ? WHERE id = ?', [autoPromote, req.manager.id]);
+    await recordAudit(req, 'update', 'manager', req.manager.id, existing[0], { ...existing[0], autoPromoteWaitlist: autoPromote ? 1 : 0 });
+
+    // Without an active season there is no squad to promote into
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.json({ success: true, autoPromote, promoted: [] });
+    }
+    const promoted = await autoPromoteWaitlisted(conn, req, req.manager.id, season.id);
+    const quota = await fetchSquadQuota(conn, req.manager.id, season.id);
+
+    conn.release();
+    res.json({ success: true, ...quota, promoted: promoted.map(membership => membership.studentId) });
+  } catch (error) {
+    console.error('Error updating waitlist settings:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update waitlist settings' });
+  }
+});
+
+// ==================== PRACTICE ATTENDANCE API ENDPOINTS ====================
+
+const attendanceStatuses = ['present', 'late', 'absent', 'excused'];
+
+const practiceSessionColumns = `ps.id, ps.managerId, ps.coachId, c.name as coachName, ps.sessionDate,
+  ps.startTime, ps.endTime, ps.venue, ps.notes, ps.createdAt, ps.updatedAt`;
+
+// Validate a practice session payload. Returns the values to store, or { error }.
+const validatePracticeSession = async (conn, body, managerId) => {
+  const { sessionDate, startTime, endTime, venue, notes, coachId } = body;
+  const timePattern = /^\d{2}:\d{2}(:\d{2})?$/;
+
+  if (!sessionDate || !startTime) {
+    return { error: 'Session date and start time are required' };
+  }
+  const date = toDateString(sessionDate);
+  if (!date) {
+    return { error: 'Invalid session date' };
+  }
+  if (!timePattern.test(startTime) || (endTime && !timePattern.test(endTime))) {
+    return { error: 'Times must be in HH:MM format' };
+  }
+  if (endTime && endTime <= startTime) {
+    return { error: 'End time must be after the start time' };
+  }
+
+  if (coachId) {
+    const coaches = await conn.query('SELECT id FROM coaches WHERE id = ? AND managerId = ?', [coachId, managerId]);
+    if (coaches.length === 0) {
+      return { error: 'Coach not found' };
+    }
+  }
+
+  return {
+    values: {
+      sessionDate: date,
+      startTime,
+      endTime: endTime || null,
+      venue: venue ? venue.trim() : null,
+      notes: notes ? notes.trim() : null,
+      coachId: coachId || null,
+    },
+  };
+};
+
+// Practice session owned by the manager, or undefined
+const findPracticeSession = async (conn, id, managerId) => {
+  const sessions = await conn.query(
+    `SELECT ${practiceSessionColumns}
+     FROM practice_sessions ps
+     LEFT JOIN coaches c ON ps.coachId = c.id
+     WHERE ps.id = ? AND ps.managerId = ?`,
+    [id, managerId]
+  );
+  return sessions[0];
+};
+
+// Get the logged-in manager's practice sessions (filters: from, to)
+app.get('/api/practice-sessions', async (req, res) => {
+  let conn;
+  try {
+    const { from, to } = req.query;
+    const conditions = ['ps.managerId = ?'];
+    const params = [req.manager.id];
+
+    if (from) {
+      conditions.push('ps.sessionDate >= ?');
+      params.push(toDateString(from));
+    }
+    if (to) {
+      conditions.push('ps.sessionDate <= ?');
+      params.push(toDateString(to));
+    }
+
+    conn = await pool.getConnection();
+
+    const sessions = await conn.query(
+      `SELECT ${practiceSessionColumns},
+         COUNT(pa.id) as markedCount,
+         COALESCE(SUM(pa.status IN ('present', 'late')), 0) as attendedCount
+       FROM practice_sessions ps
+       LEFT JOIN coaches c ON ps.coachId = c.id
+       LEFT JOIN practice_attendance pa ON pa.sessionId = ps.id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY ps.id
+       ORDER BY ps.sessionDate DESC, ps.startTime DESC`,
+      params
+    );
+
+    conn.release();
+    res.json(sessions.map(session => ({
+      ...session,
+      markedCount: Number(session.markedCount),
+      attendedCount: Number(session.attendedCount),
+    })));
+  } catch (error) {
+    console.error('Error fetching practice sessions:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch practice sessions' });
+  }
+});
+
+// Get a practice session with its register. Every student of the manager is
+// listed; status is null until they are marked.
+app.get('/api/practice-sessions/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const session = await findPracticeSession(conn, id, req.manager.id);
+    if (!session) {
+      conn.release();
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+
+    // Register of the active season's squad (empty while no season is active)
+    const season = await getActiveSeason(conn);
+    const register = !season ? [] : await conn.query(
+      `SELECT s.id as studentId, s.name as studentName, s.prn_uid, pa.status, pa.remarks, pa.updatedAt as markedAt
+       FROM students s
+       JOIN student_memberships sm ON sm.studentId = s.id AND sm.managerId = ? AND sm.seasonId = ? AND sm.status = 'active'
+       LEFT JOIN practice_attendance pa ON pa.studentId = s.id AND pa.sessionId = ?
+       ORDER BY s.name ASC`,
+      [req.manager.id, season.id, id]
+    );
+
+    conn.release();
+    res.json({ ...session, attendance: register });
+  } catch (error) {
+    console.error('Error fetching practice session:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch practice session' });
+  }
+});
+
+// Create new practice session
+app.post('/api/practice-sessions', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { values, error: validationError } = await validatePracticeSession(conn, req.body, req.manager.id);
+    if (validationError) {
+      conn.release();
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await conn.query(
+      `INSERT INTO practice_sessions (managerId, coachId, sessionDate, startTime, endTime, venue, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.manager.id, values.coachId, values.sessionDate, values.startTime, values.endTime, values.venue, values.notes]
+    );
+
+    const session = await findPracticeSession(conn, result.insertId, req.manager.id);
+
+    conn.release();
+    await recordAudit(req, 'create', 'practice_session', result.insertId, null, session);
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    console.error('Error creating practice session:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create practice session', details: error.message });
+  }
+});
+
+// Update practice session
+app.put('/api/practice-sessions/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findPracticeSession(conn, id, req.manager.id);
+    if (!existing) {
+      conn.release();
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+
+    const { values, error: validationError } = await validatePracticeSession(conn, req.body, req.manager.id);
+    if (validationError) {
+      conn.release();
+      return res.status(400).json({ error: validationError });
+    }
+
+    await conn.query(
+      `UPDATE practice_sessions SET coachId = ?, sessionDate = ?, startTime = ?, endTime = ?, venue = ?, notes = ?
+       WHERE id = ?`,
+      [values.coachId, values.sessionDate, values.startTime, values.endTime, values.venue, values.notes, id]
+    );
+
+    const session = await findPracticeSession(conn, id, req.manager.id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'practice_session', id, existing, session);
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('Error updating practice session:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update practice session' });
+  }
+});
+
+// Delete practice session (and its register)
+app.delete('/api/practice-sessions/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findPracticeSession(conn, id, req.manager.id);
+    if (!existing) {
+      conn.release();
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+
+    await conn.query('DELETE FROM practice_sessions WHERE id = ?', [id]);
+
+    conn.release();
+    await recordAudit(req, 'delete', 'practice_session', id, existing, null);
+    res.json({ success: true, message: 'Practice session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting practice session:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete practice session' });
+  }
+});
+
+// Mark attendance in bulk. Body: { records: [{ studentId, status, remarks }] }.
+// Students already marked are updated; students not listed are left as they are.
+app.put('/api/practice-sessions/:id/attendance', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { records } = req.body;
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ error: 'Attendance records are required' });
+    }
+
+    for (const record of records) {
+      if (!record || !record.studentId) {
+        return res.status(400).json({ error: 'Each record needs a studentId' });
+      }
+      if (!attendanceStatuses.includes(record.status)) {
+        return res.status(400).json({ error: `Status must be one of: ${attendanceStatuses.join(', ')}` });
+      }
+    }
+
+    conn = await pool.getConnection();
+
+    const session = await findPracticeSession(conn, id, req.manager.id);
+    if (!session) {
+      conn.release();
+      return res.status(404).json({ error: 'Practice session not found' });
+    }
+
+    for (const record of records) {
+      if (!(await isStudentOfManager(conn, record.studentId, req.manager.id))) {
+        conn.release();
+        return res.status(404).json({ error: `Student ${record.studentId} not found` });
+      }
+    }
+
+    const before = await conn.query(
+      'SELECT studentId, status, remarks FROM practice_attendance WHERE sessionId = ? ORDER BY studentId',
+      [id]
+    );
+
+    await conn.beginTransaction();
+    try {
+      for (const record of records) {
+        await conn.query(
+          `INSERT INTO practice_attendance (sessionId, studentId, status, remarks) VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE status = VALUES(status), remarks = VALUES(remarks)`,
+          [id, record.studentId, record.status, record.remarks ? String(record.remarks).trim() : null]
+        );
+      }
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const after = await conn.query(
+      'SELECT studentId, status, remarks FROM practice_attendance WHERE sessionId = ? ORDER BY studentId',
+      [id]
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'practice_attendance', id, { records: before }, { records: after });
+    res.json({ success: true, message: `Attendance marked for ${records.length} students`, attendance: after });
+  } catch (error) {
+    console.error('Error marking attendance:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to mark attendance' });
+  }
+});
+
+// Attendance per student over a date range (filters: from, to, studentId).
+// Late counts as attended; sessions without a mark count as missed.
+app.get('/api/practice-attendance/summary', async (req, res) => {
+  let conn;
+  try {
+    const { from, to, studentId } = req.query;
+    const sessionConditions = ['managerId = ?'];
+    const sessionParams = [req.manager.id];
+
+    if (from) {
+      sessionConditions.push('sessionDate >= ?');
+      sessionParams.push(toDateString(from));
+    }
+    if (to) {
+      sessionConditions.push('sessionDate <= ?');
+      sessionParams.push(toDateString(to));
+    }
+
+    conn = await pool.getConnection();
+
+    const sessionCount = await conn.query(
+      `SELECT COUNT(*) as count FROM practice_sessions WHERE ${sessionConditions.join(' AND ')}`,
+      sessionParams
+    );
+    const totalSessions = Number(sessionCount[0].count);
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const studentConditions = [
+      "s.id IN (SELECT studentId FROM student_memberships WHERE managerId = ? AND seasonId = ? AND status = 'active')"
+    ];
+    const studentParams = [req.manager.id, season.id];
+    if (studentId) {
+      studentConditions.push('s.id = ?');
+      studentParams.push(studentId);
+    }
+
+    const rows = await conn.query(
+      `SELECT s.id as studentId, s.name as studentName, s.prn_uid,
+         COALESCE(ss.isSelected, FALSE) as isSelected,
+         COALESCE(SUM(pa.status = 'present'), 0) as present,
+         COALESCE(SUM(pa.status = 'late'), 0) as late,
+         COALESCE(SUM(pa.status = 'absent'), 0) as absent,
+         COALESCE(SUM(pa.status = 'excused'), 0) as excused
+       FROM students s
+       LEFT JOIN student_selections ss ON ss.studentId = s.id AND ss.managerId = ? AND ss.seasonId = ?
+       LEFT JOIN practice_attendance pa ON pa.studentId = s.id
+         AND pa.sessionId IN (SELECT id FROM practice_sessions WHERE ${sessionConditions.join(' AND ')})
+       WHERE ${studentConditions.join(' AND ')}
+       GROUP BY s.id
+       ORDER BY s.name ASC`,
+      [req.manager.id, season.id, ...sessionParams, ...studentParams]
+    );
+
+    const students = rows.map(row => {
+      const present = Number(row.present);
+      const late = Number(row.late);
+      const absent = Number(row.absent);
+      const excused = Number(row.excused);
+      return {
+        studentId: row.studentId,
+        studentName: row.studentName,
+        prn_uid: row.prn_uid,
+        isSelected: Boolean(row.isSelected),
+        sessions: totalSessions,
+        present,
+        late,
+        absent,
+        excused,
+        unmarked: totalSessions - present - late - absent - excused,
+        attendancePercentage: totalSessions > 0
+          ? Math.round(((present + late) / totalSessions) * 1000) / 10
+          : null,
+      };
+    });
+
+    conn.release();
+    res.json({ from: from || null, to: to || null, totalSessions, students });
+  } catch (error) {
+    console.error('Error fetching attendance summary:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch attendance summary' });
+  }
+});
+
+// ==================== FITNESS ASSESSMENTS API ENDPOINTS ====================
+
+const fitnessTestColumns = 'id, name, unit, betterDirection, description, createdAt, updatedAt';
+
+const fitnessResultColumns = `fr.id, fr.studentId, s.name as studentName, s.prn_uid, fr.testTypeId, ft.name as testName,
+  ft.unit, ft.betterDirection, fr.seasonId, fr.managerId, fr.coachId, c.name as coachName, fr.value, fr.testDate,
+  fr.notes, fr.recordedByType, fr.recordedById, fr.createdAt, fr.updatedAt`;
+
+const fitnessResultJoins = `FROM fitness_results fr
+  JOIN students s ON fr.studentId = s.id
+  JOIN fitness_test_types ft ON fr.testTypeId = ft.id
+  LEFT JOIN coaches c ON fr.coachId = c.id`;
+
+// DECIMAL columns come back as strings
+const formatFitnessResult = (result) => ({ ...result, value: Number(result.value) });
+
+const findFitnessResult = async (conn, id) => {
+  const rows = await conn.query(`SELECT ${fitnessResultColumns} ${fitnessResultJoins} WHERE fr.id = ?`, [id]);
+  return rows[0] ? formatFitnessResult(rows[0]) : null;
+};
+
+// Validate a test type for create (all required) and update (merged with current values)
+const validateFitnessTest = (body, current = {}) => {
+  const name = body.name !== undefined ? String(body.name).trim() : current.name;
+  const unit = body.unit !== undefined ? String(body.unit).trim() : current.unit;
+  const betterDirection = body.betterDirection !== undefined ? body.betterDirection : (current.betterDirection || 'higher');
+  const description = body.description !== undefined
+    ? (body.description ? String(body.description).trim() : null)
+    : (current.description || null);
+
+  if (!name) {
+    return { error: 'Test name is required' };
+  }
+  if (!unit) {
+    return { error: 'Unit is required (for example seconds, level, cm or kg)' };
+  }
+  if (!FITNESS_DIRECTIONS.includes(betterDirection)) {
+    return { error: `Better direction must be one of: ${FITNESS_DIRECTIONS.join(', ')}` };
+  }
+  return { values: { name, unit, betterDirection, description } };
+};
+
+// Validate a result entry for create (all required) and update (merged with current values)
+const validateFitnessResult = (body, current = {}) => {
+  const value = body.value !== undefined ? body.value : current.value;
+  const testDate = body.testDate !== undefined ? body.testDate : (current.testDate ? toDateString(current.testDate) : undefined);
+  const notes = body.notes !== undefined ? (body.notes ? String(body.notes).trim() : null) : (current.notes || null);
+  const coachId = body.coachId !== undefined ? (body.coachId || null) : (current.coachId || null);
+
+  if (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) {
+    return { error: 'Value must be a number' };
+  }
+  if (!testDate || !toDateString(testDate)) {
+    return { error: 'Test date is required' };
+  }
+  if (toDateString(testDate) > toDateString(new Date())) {
+    return { error: 'Test date cannot be in the future' };
+  }
+  return { values: { value: Number(value), testDate: toDateString(testDate), notes, coachId } };
+};
+
+// Latest result of every active squad member for the given tests in a season,
+// as a Map of "managerId:testTypeId" to a Map of studentId to { value, testDate }.
+// A member's results count whichever squad recorded them.
+const fetchLatestSquadResults = async (conn, managerIds, seasonId, testTypeIds) => {
+  const latest = new Map();
+  if (managerIds.length === 0 || testTypeIds.length === 0) {
+    return latest;
+  }
+  const rows = await conn.query(
+    `SELECT sm.managerId, fr.studentId, fr.testTypeId, fr.value, fr.testDate
+     FROM student_memberships sm
+     JOIN fitness_results fr ON fr.studentId = sm.studentId AND fr.seasonId = sm.seasonId
+     WHERE sm.managerId IN (?) AND sm.seasonId = ? AND sm.status = 'active' AND fr.testTypeId IN (?)
+     ORDER BY fr.testDate ASC, fr.id ASC`,
+    [managerIds, seasonId, testTypeIds]
+  );
+  for (const row of rows) {
+    const key = `${row.managerId}:${row.testTypeId}`;
+    if (!latest.has(key)) latest.set(key, new Map());
+    latest.get(key).set(row.studentId, { value: Number(row.value), testDate: row.testDate });
+  }
+  return latest;
+};
+
+// Rank (1 = best, ties share a rank) and percentile of a student within a squad's latest results
+const squadStanding = (squadResults, studentId, betterDirection) => {
+  const own = squadResults ? squadResults.get(studentId) : null;
+  if (!own) {
+    return { squadSize: squadResults ? squadResults.size : 0, rank: null, percentile: null };
+  }
+  const values = [...squadResults.values()].map(result => result.value);
+  const better = values.filter(value => (betterDirection === 'lower' ? value < own.value : value > own.value)).length;
+  return {
+    squadSize: values.length,
+    rank: better + 1,
+    percentile: percentileRank(own.value, values, betterDirection),
+  };
+};
+
+// Progress of one student in a season: per test the results over time, the
+// trend and the standing within each squad the student is an active member of
+const buildFitnessProgress = async (conn, studentId, season) => {
+  const results = await conn.query(
+    `SELECT ${fitnessResultColumns} ${fitnessResultJoins}
+     WHERE fr.studentId = ? AND fr.seasonId = ?
+     ORDER BY fr.testDate ASC, fr.id ASC`,
+    [studentId, season.id]
+  );
+
+  const squads = await conn.query(
+    `SELECT sm.managerId, m.name as managerName, sp.name as sport
+     FROM student_memberships sm
+     JOIN managers m ON sm.managerId = m.id
+     LEFT JOIN sports sp ON sp.id = m.sportId
+     WHERE sm.studentId = ? AND sm.seasonId = ? AND sm.status = 'active'
+     ORDER BY sm.createdAt ASC`,
+    [studentId, season.id]
+  );
+
+  const byTest = new Map();
+  for (const result of results.map(formatFitnessResult)) {
+    if (!byTest.has(result.testTypeId)) byTest.set(result.testTypeId, []);
+    byTest.get(result.testTypeId).push(result);
+  }
+
+  const latest = await fetchLatestSquadResults(conn, squads.map(squad => squad.managerId), season.id, [...byTest.keys()]);
+
+  const tests = [...byTest.entries()].map(([testTypeId, testResults]) => {
+    const { testName, unit, betterDirection } = testResults[0];
+    return {
+      testTypeId,
+      name: testName,
+      unit,
+      betterDirection,
+      ...summarizeProgress(testResults, betterDirection),
+      results: testResults.map(({ id, value, testDate, coachId, coachName, notes }) => ({ id, value, testDate, coachId, coachName, notes })),
+      squads: squads.map(squad => ({
+        ...squad,
+        ...squadStanding(latest.get(`${squad.managerId}:${testTypeId}`), Number(studentId), betterDirection),
+      })),
+    };
+  });
+
+  return { studentId: Number(studentId), season: { id: season.id, name: season.name }, tests };
+};
+
+// Get all fitness test types
+app.get('/api/fitness-tests', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const tests = await conn.query(`SELECT ${fitnessTestColumns} FROM fitness_test_types ORDER BY name ASC`);
+    res.json(tests);
+  } catch (error) {
+    console.error('Error fetching fitness tests:', error);
+    res.status(500).json({ error: 'Failed to fetch fitness tests' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create a fitness test type
+app.post('/api/fitness-tests', async (req, res) => {
+  let conn;
+  try {
+    const { values, error: validationError } = validateFitnessTest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    conn = await pool.getConnection();
+    const result = await conn.query(
+      'INSERT INTO fitness_test_types (name, unit, betterDirection, description) VALUES (?, ?, ?, ?)',
+      [values.name, values.unit, values.betterDirection, values.description]
+    );
+    const test = await conn.query(`SELECT ${fitnessTestColumns} FROM fitness_test_types WHERE id = ?`, [result.insertId]);
+
+    await recordAudit(req, 'create', 'fitness_test', result.insertId, null, test[0]);
+    res.status(201).json({ success: true, test: test[0] });
+  } catch (error) {
+    console.error('Error creating fitness test:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'Fitness test name already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to create fitness test' });
+    }
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Update a fitness test type. Changing the better direction changes how all
+// of its results are ranked.
+app.put('/api/fitness-tests/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(`SELECT ${fitnessTestColumns} FROM fitness_test_types WHERE id = ?`, [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Fitness test not found' });
+    }
+
+    const { values, error: validationError } = validateFitnessTest(req.body, existing[0]);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await conn.query(
+      'UPDATE fitness_test_types SET name = ?, unit = ?, betterDirection = ?, description = ? WHERE id = ?',
+      [values.name, values.unit, values.betterDirection, values.description, id]
+    );
+    const updated = await conn.query(`SELECT ${fitnessTestColumns} FROM fitness_test_types WHERE id = ?`, [id]);
+
+    await recordAudit(req, 'update', 'fitness_test', id, existing[0], updated[0]);
+    res.json({ success: true, test: updated[0] });
+  } catch (error) {
+    console.error('Error updating fitness test:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'Fitness test name already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to update fitness test' });
+    }
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Delete a fitness test type that has no results
+app.delete('/api/fitness-tests/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(`SELECT ${fitnessTestColumns} FROM fitness_test_types WHERE id = ?`, [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Fitness test not found' });
+    }
+
+    const results = await conn.query('SELECT COUNT(*) as count FROM fitness_results WHERE testTypeId = ?', [id]);
+    if (Number(results[0].count) > 0) {
+      return res.status(400).json({ error: 'Cannot delete fitness test. Results have been recorded for it.' });
+    }
+
+    await conn.query('DELETE FROM fitness_test_types WHERE id = ?', [id]);
+    await recordAudit(req, 'delete', 'fitness_test', id, existing[0], null);
+    res.json({ success: true, message: 'Fitness test deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting fitness test:', error);
+    res.status(500).json({ error: 'Failed to delete fitness test' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Get fitness results of a season (?season=, defaults to the active season;
+// filters: studentId, testTypeId). Managers see the results of their squad.
+app.get('/api/fitness-results', async (req, res) => {
+  let conn;
+  try {
+    const { studentId, testTypeId } = req.query;
+    conn = await pool.getConnection();
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const conditions = ['fr.seasonId = ?'];
+    const params = [season.id];
+    if (req.user.role === 'manager') {
+      conditions.push('fr.studentId IN (SELECT studentId FROM student_memberships WHERE managerId = ? AND seasonId = ?)');
+      params.push(req.manager.id, season.id);
+    }
+    if (studentId) {
+      conditions.push('fr.studentId = ?');
+      params.push(studentId);
+    }
+    if (testTypeId) {
+      conditions.push('fr.testTypeId = ?');
+      params.push(testTypeId);
+    }
+
+    const results = await conn.query(
+      `SELECT ${fitnessResultColumns} ${fitnessResultJoins}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY fr.testDate DESC, fr.id DESC`,
+      params
+    );
+    conn.release();
+    res.json(results.map(formatFitnessResult));
+  } catch (error) {
+    console.error('Error fetching fitness results:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch fitness results' });
+  }
+});
+
+// The manager's squad ranked on one test (?testTypeId=, ?season=) by each
+// member's latest result, with their selection status, to help when choosing the team
+app.get('/api/fitness-results/squad', async (req, res) => {
+  let conn;
+  try {
+    const { testTypeId } = req.query;
+    if (!testTypeId) {
+      return res.status(400).json({ error: 'Test type ID is required' });
+    }
+
+    conn = await pool.getConnection();
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const tests = await conn.query(`SELECT ${fitnessTestColumns} FROM fitness_test_types WHERE id = ?`, [testTypeId]);
+    if (tests.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Fitness test not found' });
+    }
+    const test = tests[0];
+
+    const members = await conn.query(
+      `SELECT s.id as studentId, s.name, s.prn_uid, COALESCE(ss.isSelected, FALSE) as isSelected
+       FROM student_memberships sm
+       JOIN students s ON sm.studentId = s.id
+       LEFT JOIN student_selections ss
+         ON ss.studentId = sm.studentId AND ss.managerId = sm.managerId AND ss.seasonId = sm.seasonId
+       WHERE sm.managerId = ? AND sm.seasonId = ? AND sm.status = 'active'`,
+      [req.manager.id, season.id]
+    );
+    const latest = await fetchLatestSquadResults(conn, [req.manager.id], season.id, [test.id]);
+    conn.release();
+
+    const squadResults = latest.get(`${req.manager.id}:${test.id}`);
+    const ranked = members
+      .map(member => ({
+        ...member,
+        isSelected: Boolean(member.isSelected),
+        latest: squadResults ? squadResults.get(member.studentId) || null : null,
+        ...squadStanding(squadResults, member.studentId, test.betterDirection),
+      }))
+      .sort((a, b) => (a.rank === null) - (b.rank === null) || a.rank - b.rank || a.name.localeCompare(b.name));
+
+    res.json({ test, season: { id: season.id, name: season.name }, members: ranked });
+  } catch (error) {
+    console.error('Error ranking squad fitness:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to rank squad fitness' });
+  }
+});
+
+// Record a fitness result for a member of the manager's squad in the active season
+app.post('/api/fitness-results', async (req, res) => {
+  let conn;
+  try {
+    const { studentId, testTypeId } = req.body;
+    if (!studentId || !testTypeId) {
+      return res.status(400).json({ error: 'Student ID and test type ID are required' });
+    }
+
+    const { values, error: validationError } = validateFitnessResult(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    conn = await pool.getConnection();
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    if (!(await isStudentOfManager(conn, studentId, req.manager.id, { seasonId: season.id, activeOnly: true }))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found in your squad' });
+    }
+
+    const tests = await conn.query('SELECT id FROM fitness_test_types WHERE id = ?', [testTypeId]);
+    if (tests.length === 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Fitness test not found' });
+    }
+
+    if (values.coachId) {
+      const coaches = await conn.query('SELECT id FROM coaches WHERE id = ? AND managerId = ?', [values.coachId, req.manager.id]);
+      if (coaches.length === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'Coach not found' });
+      }
+    }
+
+    const result = await conn.query(
+      `INSERT INTO fitness_results (studentId, testTypeId, seasonId, managerId, coachId, value, testDate, notes, recordedByType, recordedById)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [studentId, testTypeId, season.id, req.manager.id, values.coachId, values.value, values.testDate, values.notes,
+        req.user.role, req.user.id]
+    );
+    const created = await findFitnessResult(conn, result.insertId);
+
+    conn.release();
+    await recordAudit(req, 'create', 'fitness_result', result.insertId, null, created);
+    res.status(201).json({ success: true, result: created });
+  } catch (error) {
+    console.error('Error recording fitness result:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to record fitness result' });
+  }
+});
+
+// Whether the caller may change a result: admins all, managers the ones their squad recorded
+const canEditFitnessResult = (req, result) => req.user.role === 'admin' || result.managerId === req.manager.id;
+
+// Correct a fitness result (value, testDate, coachId, notes)
+app.put('/api/fitness-results/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findFitnessResult(conn, id);
+    if (!existing || !canEditFitnessResult(req, existing)) {
+      conn.release();
+      return res.status(404).json({ error: 'Fitness result not found' });
+    }
+
+    const { values, error: validationError } = validateFitnessResult(req.body, existing);
+    if (validationError) {
+      conn.release();
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (values.coachId && values.coachId !== existing.coachId) {
+      const coaches = await conn.query('SELECT id FROM coaches WHERE id = ? AND managerId = ?', [values.coachId, existing.managerId]);
+      if (coaches.length === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'Coach not found' });
+      }
+    }
+
+    await conn.query(
+      'UPDATE fitness_results SET value = ?, testDate = ?, coachId = ?, notes = ? WHERE id = ?',
+      [values.value, values.testDate, values.coachId, values.notes, id]
+    );
+    const updated = await findFitnessResult(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'fitness_result', id, existing, updated);
+    res.json({ success: true, result: updated });
+  } catch (error) {
+    console.error('Error updating fitness result:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update fitness result' });
+  }
+});
+
+// Delete a fitness result
+app.delete('/api/fitness-results/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findFitnessResult(conn, id);
+    if (!existing || !canEditFitnessResult(req, existing)) {
+      conn.release();
+      return res.status(404).json({ error: 'Fitness result not found' });
+    }
+
+    await conn.query('DELETE FROM fitness_results WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'fitness_result', id, existing, null);
+    res.json({ success: true, message: 'Fitness result deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting fitness result:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete fitness result' });
+  }
+});
+
+// Fitness progress of a student (?season=, defaults to the active season)
+app.get('/api/students/:id/fitness-progress', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    if (!(await canAccessStudent(conn, req, id))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const progress = await buildFitnessProgress(conn, id, season);
+    conn.release();
+    res.json(progress);
+  } catch (error) {
+    console.error('Error fetching fitness progress:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch fitness progress' });
+  }
+});
+
+// Fitness progress of the logged-in student (?season=, defaults to the active season)
+app.get('/api/student-portal/fitness-progress', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const progress = await buildFitnessProgress(conn, req.user.id, season);
+    conn.release();
+    res.json(progress);
+  } catch (error) {
+    console.error('Error fetching fitness progress:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch fitness progress' });
+  }
+});
+
+// ==================== INJURIES API ENDPOINTS ====================
+
+const injuryContexts = ['practice', 'match', 'other'];
+const injurySeverities = ['minor', 'moderate', 'severe'];
+// unfit: may not be selected or named in a lineup; limited: modified training; cleared: fit again
+const returnToPlayStatuses = ['unfit', 'limited', 'cleared'];
+
+const injuryColumns = `i.id, i.studentId, s.name as studentName, s.prn_uid, i.incidentDate, i.context, i.matchId,
+  i.practiceSessionId, i.bodyPart, i.description, i.severity, i.treatedBy, i.returnToPlayStatus, i.expectedReturnDate,
+  i.clearanceNotes, i.clearedByType, i.clearedById, i.clearedAt, i.reportedByType, i.reportedById, i.createdAt, i.updatedAt`;
+
+const findInjury = async (conn, id) => {
+  const rows = await conn.query(
+    `SELECT ${injuryColumns} FROM student_injuries i JOIN students s ON i.studentId = s.id WHERE i.id = ?`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+// The most recent open injury that keeps a student out, or null when they may play
+const findUnfitInjury = async (conn, studentId) => {
+  const rows = await conn.query(
+    `SELECT id, incidentDate, bodyPart, expectedReturnDate FROM student_injuries
+     WHERE studentId = ? AND returnToPlayStatus = 'unfit'
+     ORDER BY incidentDate DESC, id DESC LIMIT 1`,
+    [studentId]
+  );
+  return rows[0] || null;
+};
+
+const unfitMessage = (injury, name = 'The student') => {
+  const expected = injury.expectedReturnDate ? `, expected back ${toDateString(injury.expectedReturnDate)}` : '';
+  return `${name} is unfit to play (${injury.bodyPart} injury on ${toDateString(injury.incidentDate)}${expected}) until cleared`;
+};
+
+// Validate an injury for create (all required) and update (merged with current
+// values). Returns the values to store, or { error }.
+const validateInjury = (body, current = {}) => {
+  const pick = (field) => (body[field] !== undefined ? body[field] : current[field]);
+  const text = (field) => {
+    const value = pick(field);
+    return value !== undefined && value !== null && String(value).trim() ? String(value).trim() : null;
+  };
+
+  const values = {
+    incidentDate: pick('incidentDate') ? toDateString(pick('incidentDate')) : null,
+    context: pick('context') || 'other',
+    matchId: pick('matchId') || null,
+    practiceSessionId: pick('practiceSessionId') || null,
+    bodyPart: text('bodyPart'),
+    description: text('description'),
+    severity: pick('severity'),
+    treatedBy: text('treatedBy'),
+    returnToPlayStatus: pick('returnToPlayStatus') || 'unfit',
+    expectedReturnDate: pick('expectedReturnDate') ? toDateString(pick('expectedReturnDate')) : null,
+    clearanceNotes: text('clearanceNotes'),
+  };
+
+  if (!values.incidentDate) {
+    return { error: 'Incident date is required' };
+  }
+  if (values.incidentDate > toDateString(new Date())) {
+    return { error: 'Incident date cannot be in the future' };
+  }
+  if (!injuryContexts.includes(values.context)) {
+    return { error: `Context must be one of: ${injuryContexts.join(', ')}` };
+  }
+  if (values.context !== 'match') values.matchId = null;
+  if (values.context !== 'practice') values.practiceSessionId = null;
+  if (!values.bodyPart) {
+    return { error: 'Body part is required' };
+  }
+  if (!injurySeverities.includes(values.severity)) {
+    return { error: `Severity must be one of: ${injurySeverities.join(', ')}` };
+  }
+  if (!returnToPlayStatuses.includes(values.returnToPlayStatus)) {
+    return { error: `Return-to-play status must be one of: ${returnToPlayStatuses.join(', ')}` };
+  }
+  if (values.expectedReturnDate && values.expectedReturnDate < values.incidentDate) {
+    return { error: 'Expected return date cannot be before the incident date' };
+  }
+  return values;
+};
+
+// Check the match or practice session an injury refers to. Managers can only
+// refer to their own practice sessions. Returns an error message or null.
+const checkInjuryContext = async (conn, req, values) => {
+  if (values.matchId) {
+    const matches = await conn.query('SELECT id FROM matches WHERE id = ?', [values.matchId]);
+    if (matches.length === 0) {
+      return 'Match not found';
+    }
+  }
+  if (values.practiceSessionId) {
+    const sessions = await conn.query('SELECT managerId FROM practice_sessions WHERE id = ?', [values.practiceSessionId]);
+    if (sessions.length === 0 || (req.user.role === 'manager' && sessions[0].managerId !== req.manager.id)) {
+      return 'Practice session not found';
+    }
+  }
+  return null;
+};
+
+// Get injuries (filters: studentId, returnToPlayStatus, severity). Managers see
+// the injuries of students in their squads.
+app.get('/api/injuries', async (req, res) => {
+  let conn;
+  try {
+    const { studentId, returnToPlayStatus, severity } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (req.user.role === 'manager') {
+      conditions.push('i.studentId IN (SELECT studentId FROM student_memberships WHERE managerId = ?)');
+      params.push(req.manager.id);
+    }
+    if (studentId) {
+      conditions.push('i.studentId = ?');
+      params.push(studentId);
+    }
+    if (returnToPlayStatus) {
+      conditions.push('i.returnToPlayStatus = ?');
+      params.push(returnToPlayStatus);
+    }
+    if (severity) {
+      conditions.push('i.severity = ?');
+      params.push(severity);
+    }
+
+    conn = await pool.getConnection();
+    const injuries = await conn.query(
+      `SELECT ${injuryColumns}
+       FROM student_injuries i
+       JOIN students s ON i.studentId = s.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY i.incidentDate DESC, i.id DESC`,
+      params
+    );
+    conn.release();
+    res.json(injuries);
+  } catch (error) {
+    console.error('Error fetching injuries:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch injuries' });
+  }
+});
+
+// Record an injury. Students are unfit until cleared unless another
+// returnToPlayStatus is given.
+app.post('/api/injuries', async (req, res) => {
+  let conn;
+  try {
+    const { studentId } = req.body;
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    const values = validateInjury(req.body);
+    if (values.error) {
+      return res.status(400).json({ error: values.error });
+    }
+
+    conn = await pool.getConnection();
+
+    if (!(await canAccessStudent(conn, req, studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const contextError = await checkInjuryContext(conn, req, values);
+    if (contextError) {
+      conn.release();
+      return res.status(400).json({ error: contextError });
+    }
+
+    const cleared = values.returnToPlayStatus === 'cleared';
+    const result = await conn.query(
+      `INSERT INTO student_injuries (studentId, incidentDate, context, matchId, practiceSessionId, bodyPart, description,
+         severity, treatedBy, returnToPlayStatus, expectedReturnDate, clearanceNotes, clearedByType, clearedById, clearedAt,
+         reportedByType, reportedById)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${cleared ? 'NOW()' : 'NULL'}, ?, ?)`,
+      [studentId, values.incidentDate, values.context, values.matchId, values.practiceSessionId, values.bodyPart,
+        values.description, values.severity, values.treatedBy, values.returnToPlayStatus, values.expectedReturnDate,
+        values.clearanceNotes, cleared ? req.user.role : null, cleared ? req.user.id : null, req.user.role, req.user.id]
+    );
+    const injury = await findInjury(conn, result.insertId);
+
+    conn.release();
+    await recordAudit(req, 'create', 'injury', result.insertId, null, injury);
+    res.status(201).json({ success: true, injury });
+  } catch (error) {
+    console.error('Error recording injury:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to record injury', details: error.message });
+  }
+});
+
+// Update an injury, including its return-to-play status. Clearing a student
+// records who cleared them and when.
+app.put('/api/injuries/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findInjury(conn, id);
+    if (!existing || !(await canAccessStudent(conn, req, existing.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Injury not found' });
+    }
+
+    const values = validateInjury(req.body, existing);
+    if (values.error) {
+      conn.release();
+      return res.status(400).json({ error: values.error });
+    }
+
+    const contextError = await checkInjuryContext(conn, req, values);
+    if (contextError) {
+      conn.release();
+      return res.status(400).json({ error: contextError });
+    }
+
+    // Keep the original clearance while the student stays cleared
+    const clearing = values.returnToPlayStatus === 'cleared' && existing.returnToPlayStatus !== 'cleared';
+    const clearance = values.returnToPlayStatus !== 'cleared'
+      ? 'clearedByType = NULL, clearedById = NULL, clearedAt = NULL'
+      : (clearing ? 'clearedByType = ?, clearedById = ?, clearedAt = NOW()' : 'clearedByType = clearedByType');
+
+    await conn.query(
+      `UPDATE student_injuries SET incidentDate = ?, context = ?, matchId = ?, practiceSessionId = ?, bodyPart = ?,
+         description = ?, severity = ?, treatedBy = ?, returnToPlayStatus = ?, expectedReturnDate = ?, clearanceNotes = ?,
+         ${clearance}
+       WHERE id = ?`,
+      [values.incidentDate, values.context, values.matchId, values.practiceSessionId, values.bodyPart, values.description,
+        values.severity, values.treatedBy, values.returnToPlayStatus, values.expectedReturnDate, values.clearanceNotes,
+        ...(clearing ? [req.user.role, req.user.id] : []), id]
+    );
+    const updated = await findInjury(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'injury', id, existing, updated);
+    res.json({ success: true, injury: updated });
+  } catch (error) {
+    console.error('Error updating injury:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update injury' });
+  }
+});
+
+// Delete an injury recorded by mistake
+app.delete('/api/injuries/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findInjury(conn, id);
+    if (!existing || !(await canAccessStudent(conn, req, existing.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Injury not found' });
+    }
+
+    await conn.query('DELETE FROM student_injuries WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'injury', id, existing, null);
+    res.json({ success: true, message: 'Injury deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting injury:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete injury' });
+  }
+});
+
+// Get the logged-in student's injuries
+app.get('/api/student-portal/injuries', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const injuries = await conn.query(
+      `SELECT ${injuryColumns} FROM student_injuries i JOIN students s ON i.studentId = s.id
+       WHERE i.studentId = ? ORDER BY i.incidentDate DESC, i.id DESC`,
+      [req.user.id]
+    );
+    conn.release();
+    res.json(injuries);
+  } catch (error) {
+    console.error('Error fetching student injuries:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch injuries' });
+  }
+});
+
+// ==================== TEAMS API ENDPOINTS ====================
+
+// Team with its sport and the sport's roster size limits
+const findTeam = async (conn, id) => {
+  const teams = await conn.query(
+    `SELECT t.id, t.name, t.department, t.logo, t.color, t.sportId, sp.name as sportName,
+            sp.minRosterSize, sp.maxRosterSize, t.createdAt, t.updatedAt
+     FROM teams t
+     LEFT JOIN sports sp ON t.sportId = sp.id
+     WHERE t.id = ?`,
+    [id]
+  );
+  return teams[0];
+};
+
+// Players of a team in a season. Only public details are returned: the
+// detail view of a team is public.
+const fetchTeamRoster = async (conn, teamId, seasonId) => {
+  const roster = await conn.query(
+    `SELECT tr.id, tr.studentId, s.name as studentName, tr.jerseyNumber, tr.position,
+            tr.isCaptain, tr.isViceCaptain, tr.createdAt, tr.updatedAt
+     FROM team_roster tr
+     JOIN students s ON tr.studentId = s.id
+     WHERE tr.teamId = ? AND tr.seasonId = ?
+     ORDER BY tr.isCaptain DESC, tr.isViceCaptain DESC, tr.jerseyNumber IS NULL, tr.jerseyNumber ASC, s.name ASC`,
+    [teamId, seasonId]
+  );
+  return roster.map(entry => ({
+    ...entry,
+    isCaptain: Boolean(entry.isCaptain),
+    isViceCaptain: Boolean(entry.isViceCaptain),
+  }));
+};
+
+// Coaches assigned to a team in a season, head coach first
+const fetchTeamCoaches = async (conn, teamId, seasonId) => {
+  return conn.query(
+    `SELECT tc.id, tc.coachId, c.name as coachName, c.specialization, tc.role, c.managerId, tc.createdAt
+     FROM team_coaches tc
+     JOIN coaches c ON tc.coachId = c.id
+     WHERE tc.teamId = ? AND tc.seasonId = ?
+     ORDER BY tc.role = 'head' DESC, c.name ASC`,
+    [teamId, seasonId]
+  );
+};
+
+// Test teams endpoint
+app.get('/api/teams/test', (req, res) => {
+  res.json({ message: 'Teams API is working', timestamp: new Date().toISOString() });
+});
+
+// Get all teams
+app.get('/api/teams', async (req, res) => {
+  let conn;
+  try {
+    console.log('GET /api/teams - Request received');
+    conn = await pool.getConnection();
+    console.log('Database connection acquired for teams');
+    
+    const teams = await conn.query(
+      `SELECT t.id, t.name, t.department, t.logo, t.color, t.sportId, sp.name as sportName, t.createdAt, t.updatedAt
+       FROM teams t
+       LEFT JOIN sports sp ON t.sportId = sp.id
+       ORDER BY t.name ASC`
+    );
+    
+    console.log(`Found ${teams.length} teams`);
+    res.json(teams);
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    console.error('Error details:', {
+      code: error.code,
+      errno: error.errno,
+      sqlState: error.sqlState,
+      message: error.message
+    });
+    
+    // If table doesn't exist, return empty array instead of error
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      console.warn('Teams table does not exist yet. Returning empty array.');
+      return res.json([]);
+    }
+    
+    res.status(500).json({ error: 'Failed to fetch teams', details: error.message });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+      } catch (releaseError) {
+        console.error('Error releasing connection:', releaseError);
+      }
+    }
+  }
+});
+
+// Get team by ID with its roster and coaches for a season (?season=, defaults to the active season)
+app.get('/api/teams/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    const team = await findTeam(conn, id);
+    
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const roster = await fetchTeamRoster(conn, id, season.id);
+    const coaches = await fetchTeamCoaches(conn, id, season.id);
+    
+    res.json({
+      ...team,
+      seasonId: season.id,
+      roster,
+      rosterSize: roster.length,
+      meetsMinimumRoster: team.minRosterSize === null || roster.length >= team.minRosterSize,
+      coaches,
+    });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create new team (with logo upload)
+const teamLogoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, uploadsDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'team-logo-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed for team logos!'));
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+app.post('/api/teams', teamLogoUpload.single('logo'), async (req, res) => {
+  let conn;
+  try {
+    const { name, department, color, sportId } = req.body;
+
+    console.log('Received team data:', { name, department, color, hasFile: !!req.file });
+
+    // Validation
+    if (!name || !name.trim()) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path); // Delete uploaded file if validation fails
+      }
+      return res.status(400).json({ error: 'Team name is required' });
+    }
+
+    if (!department || !department.trim()) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Team department is required' });
+    }
+
+    conn = await pool.getConnection();
+    
+    // Check if team name already exists
+    const existing = await conn.query('SELECT id FROM teams WHERE name = ?', [name.trim()]);
+    if (existing.length > 0) {
+      conn.release();
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Team name already exists' });
+    }
+
+    if (sportId && (await conn.query('SELECT id FROM sports WHERE id = ?', [sportId])).length === 0) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Sport not found' });
+    }
+
+    // Generate logo URL if file was uploaded
+    let logoUrl = null;
+    if (req.file) {
+      logoUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
+    }
+
+    // Insert new team
+    const teamColor = color || '#f58002'; // Default color if not provided
+    const result = await conn.query(
+      `INSERT INTO teams (name, department, logo, color, sportId) VALUES (?, ?, ?, ?, ?)`,
+      [name.trim(), department.trim(), logoUrl, teamColor, sportId || null]
+    );
+
+    console.log('Team inserted with ID:', result.insertId);
+
+    // Fetch the created team
+    const newTeam = await conn.query(
+      'SELECT id, name, department, logo, color, sportId, createdAt FROM teams WHERE id = ?',
+      [result.insertId]
+    );
+
+    conn.release();
+    await recordAudit(req, 'create', 'team', result.insertId, null, newTeam[0]);
+    res.status(201).json({ success: true, team: newTeam[0] });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    if (req.file) {
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting uploaded file:', unlinkError);
+      }
+    }
+    if (conn) conn.release();
+    
+    if (error.code === 'ER_DUP_ENTRY') {
+      res.status(400).json({ error: 'Team name already exists' });
+    } else {
+      res.status(500).json({ error: 'Failed to create team', details: error.message });
+    }
+  }
+});
+
+// Update team (with optional logo upload)
+app.put('/api/teams/:id', teamLogoUpload.single('logo'), async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { name, department, color, sportId } = req.body;
+
+    if (!name || !name.trim()) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Team name is required' });
+    }
+
+    if (!department || !department.trim()) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Team department is required' });
+    }
+
+    conn = await pool.getConnection();
+    
+    // Check if team exists
+    const existing = await conn.query('SELECT * FROM teams WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // Check if team name is used by another team
+    const nameCheck = await conn.query('SELECT id FROM teams WHERE name = ? AND id != ?', [name.trim(), id]);
+    if (nameCheck.length > 0) {
+      conn.release();
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Team name already exists' });
+    }
+
+    // sportId is optional; an empty value clears it
+    const teamSportId = sportId === undefined ? existing[0].sportId : (sportId || null);
+    if (teamSportId && (await conn.query('SELECT id FROM sports WHERE id = ?', [teamSportId])).length === 0) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Sport not found' });
+    }
+
+    // Delete old logo if new one is uploaded
+    let logoUrl = existing[0].logo; // Keep existing logo by default
+    if (req.file) {
+      // Delete old logo file if it exists
+      if (existing[0].logo) {
+        const oldLogoPath = existing[0].logo.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
+        const oldFilePath = path.join(uploadsDir, oldLogoPath);
+        try {
+          if (fs.existsSync(oldFilePath)) {
+            fs.unlinkSync(oldFilePath);
+          }
+        } catch (unlinkError) {
+          console.error('Error deleting old logo:', unlinkError);
+        }
+      }
+      logoUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
+    }
+
+    // Update team
+    const teamColor = color || existing[0].color || '#f58002'; // Use existing color or default
+    await conn.query(
+      `UPDATE teams SET name = ?, department = ?, logo = ?, color = ?, sportId = ? WHERE id = ?`,
+      [name.trim(), department.trim(), logoUrl, teamColor, teamSportId, id]
+    );
+
+    // Fetch updated team
+    const updated = await conn.query(
+      'SELECT id, name, department, logo, color, sportId, createdAt, updatedAt FROM teams WHERE id = ?',
+      [id]
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'team', id, existing[0], updated[0]);
+    res.json({ success: true, team: updated[0] });
+  } catch (error) {
+    console.error('Error updating team:', error);
+    if (req.file) {
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting uploaded file:', unlinkError);
+      }
+    }
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+// Delete team
+app.delete('/api/teams/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    
+    const existing = await conn.query('SELECT * FROM teams WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // Delete logo file if it exists
+    if (existing[0].logo) {
+      const logoPath = existing[0].logo.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
+      const filePath = path.join(uploadsDir, logoPath);
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (unlinkError) {
+        console.error('Error deleting logo file:', unlinkError);
+      }
+    }
+
+    await conn.query('DELETE FROM teams WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'team', id, existing[0], null);
+    res.json({ success: true, message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete team' });
+  }
+});
+
+// ==================== TEAM ROSTERS API ENDPOINTS ====================
+
+// Rosters and coach assignments are kept per season; changes apply to the
+// active season. Admins manage every team, managers the team they are assigned to.
+const canManageTeam = (req, teamId) => {
+  return req.user.role === 'admin' || req.manager.teamId === Number(teamId);
+};
+
+// Validate the roster fields of a payload. Missing values fall back to
+// `current`. Returns the values to store, or { error }.
+const validateRosterEntry = (body, current = {}) => {
+  const entry = {};
+
+  if (body.jerseyNumber === undefined) {
+    entry.jerseyNumber = current.jerseyNumber === undefined ? null : current.jerseyNumber;
+  } else if (body.jerseyNumber === null || body.jerseyNumber === '') {
+    entry.jerseyNumber = null;
+  } else {
+    const jerseyNumber = Number(body.jerseyNumber);
+    if (!Number.isInteger(jerseyNumber) || jerseyNumber < 0 || jerseyNumber > 99) {
+      return { error: 'Jersey number must be a whole number from 0 to 99' };
+    }
+    entry.jerseyNumber = jerseyNumber;
+  }
+
+  if (body.position === undefined) {
+    entry.position = current.position === undefined ? null : current.position;
+  } else {
+    entry.position = body.position && String(body.position).trim() ? String(body.position).trim() : null;
+  }
+
+  entry.isCaptain = body.isCaptain === undefined ? Boolean(current.isCaptain) : body.isCaptain === true || body.isCaptain === 'true';
+  entry.isViceCaptain = body.isViceCaptain === undefined ? Boolean(current.isViceCaptain) : body.isViceCaptain === true || body.isViceCaptain === 'true';
+  if (entry.isCaptain && entry.isViceCaptain) {
+    return { error: 'A player cannot be both captain and vice-captain' };
+  }
+
+  return entry;
+};
+
+// A team has one captain and one vice-captain: naming a new one clears the flag elsewhere
+const clearOtherCaptains = async (conn, entry, teamId, seasonId, entryId) => {
+  if (entry.isCaptain) {
+    await conn.query(
+      'UPDATE team_roster SET isCaptain = FALSE WHERE teamId = ? AND seasonId = ? AND id != ?',
+      [teamId, seasonId, entryId]
+    );
+  }
+  if (entry.isViceCaptain) {
+    await conn.query(
+      'UPDATE team_roster SET isViceCaptain = FALSE WHERE teamId = ? AND seasonId = ? AND id != ?',
+      [teamId, seasonId, entryId]
+    );
+  }
+};
+
+const jerseyTakenError = (jerseyNumber) => `Jersey number ${jerseyNumber} is already taken in this team`;
+
+// Add a selected student to a team's roster
+app.post('/api/teams/:id/roster', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { studentId } = req.body;
+
+    if (!canManageTeam(req, id)) {
+      return res.status(403).json({ error: 'Managers can only manage their own team' });
+    }
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    const entry = validateRosterEntry(req.body);
+    if (entry.error) {
+      return res.status(400).json({ error: entry.error });
+    }
+
+    conn = await pool.getConnection();
+
+    const team = await findTeam(conn, id);
+    if (!team) {
+      conn.release();
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    // Only students selected this season by a manager of the team (or of its sport) can play
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const selections = await conn.query(
+      `SELECT ss.id
+       FROM student_selections ss
+       JOIN managers m ON ss.managerId = m.id
+       WHERE ss.studentId = ? AND ss.seasonId = ? AND ss.isSelected = TRUE
+         AND (m.teamId = ? OR (? IS NOT NULL AND m.sportId = ?))`,
+      [studentId, season.id, id, team.sportId, team.sportId]
+    );
+    if (selections.length === 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Only students selected for this team\'s squad can be added to the roster' });
+    }
+
+    let entryId;
+    await conn.beginTransaction();
+    try {
+      // Lock the team so concurrent additions cannot exceed the maximum
+      await conn.query('SELECT id FROM teams WHERE id = ? FOR UPDATE', [id]);
+
+      const existing = await conn.query(
+        'SELECT id FROM team_roster WHERE teamId = ? AND seasonId = ? AND studentId = ?',
+        [id, season.id, studentId]
+      );
+      if (existing.length > 0) {
+        await conn.rollback();
+        conn.release();
+        return res.status(400).json({ error: 'Student is already on the roster' });
+      }
+
+      if (team.maxRosterSize !== null) {
+        const size = await conn.query(
+          'SELECT COUNT(*) as count FROM team_roster WHERE teamId = ? AND seasonId = ?',
+          [id, season.id]
+        );
+        if (Number(size[0].count) >= team.maxRosterSize) {
+          await conn.rollback();
+          conn.release();
+          return res.status(400).json({ error: `${team.sportName} rosters are limited to ${team.maxRosterSize} players` });
+        }
+      }
+
+      if (entry.jerseyNumber !== null) {
+        const jerseyCheck = await conn.query(
+          'SELECT id FROM team_roster WHERE teamId = ? AND seasonId = ? AND jerseyNumber = ?',
+          [id, season.id, entry.jerseyNumber]
+        );
+        if (jerseyCheck.length > 0) {
+          await conn.rollback();
+          conn.release();
+          return res.status(400).json({ error: jerseyTakenError(entry.jerseyNumber) });
+        }
+      }
+
+      const result = await conn.query(
+        `INSERT INTO team_roster (teamId, seasonId, studentId, jerseyNumber, position, isCaptain, isViceCaptain)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, season.id, studentId, entry.jerseyNumber, entry.position, entry.isCaptain, entry.isViceCaptain]
+      );
+      entryId = Number(result.insertId);
+      await clearOtherCaptains(conn, entry, id, season.id, entryId);
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const roster = await fetchTeamRoster(conn, id, season.id);
+    conn.release();
+    const added = roster.find(row => row.id === entryId);
+    await recordAudit(req, 'create', 'team_roster', entryId, null, { teamId: Number(id), seasonId: season.id, ...added });
+    res.status(201).json({ success: true, entry: added, roster });
+  } catch (error) {
+    console.error('Error adding roster entry:', error);
+    if (conn) conn.release();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Student or jersey number is already on the roster' });
+    }
+    res.status(500).json({ error: 'Failed to add player to roster' });
+  }
+});
+
+// Update a roster entry (jersey number, position, captaincy)
+app.put('/api/teams/:id/roster/:entryId', async (req, res) => {
+  let conn;
+  try {
+    const { id, entryId } = req.params;
+
+    if (!canManageTeam(req, id)) {
+      return res.status(403).json({ error: 'Managers can only manage their own team' });
+    }
+
+    conn = await pool.getConnection();
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const existing = await conn.query(
+      'SELECT * FROM team_roster WHERE id = ? AND teamId = ? AND seasonId = ?',
+      [entryId, id, season.id]
+    );
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Roster entry not found' });
+    }
+
+    const entry = validateRosterEntry(req.body, existing[0]);
+    if (entry.error) {
+      conn.release();
+      return res.status(400).json({ error: entry.error });
+    }
+
+    if (entry.jerseyNumber !== null) {
+      const jerseyCheck = await conn.query(
+        'SELECT id FROM team_roster WHERE teamId = ? AND seasonId = ? AND jerseyNumber = ? AND id != ?',
+        [id, season.id, entry.jerseyNumber, entryId]
+      );
+      if (jerseyCheck.length > 0) {
+        conn.release();
+        return res.status(400).json({ error: jerseyTakenError(entry.jerseyNumber) });
+      }
+    }
+
+    await conn.beginTransaction();
+    try {
+      await conn.query(
+        'UPDATE team_roster SET jerseyNumber = ?, position = ?, isCaptain = ?, isViceCaptain = ? WHERE id = ?',
+        [entry.jerseyNumber, entry.position, entry.isCaptain, entry.isViceCaptain, entryId]
+      );
+      await clearOtherCaptains(conn, entry, id, season.id, entryId);
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const updated = await conn.query('SELECT * FROM team_roster WHERE id = ?', [entryId]);
+    const roster = await fetchTeamRoster(conn, id, season.id);
+    conn.release();
+    await recordAudit(req, 'update', 'team_roster', entryId, existing[0], updated[0]);
+    res.json({ success: true, entry: roster.find(row => row.id === Number(entryId)), roster });
+  } catch (error) {
+    console.error('Error updating roster entry:', error);
+    if (conn) conn.release();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Jersey number is already taken in this team' });
+    }
+    res.status(500).json({ error: 'Failed to update roster entry' });
+  }
+});
+
+// Remove a player from a team's roster
+app.delete('/api/teams/:id/roster/:entryId', async (req, res) => {
+  let conn;
+  try {
+    const { id, entryId } = req.params;
+
+    if (!canManageTeam(req, id)) {
+      return res.status(403).json({ error: 'Managers can only manage their own team' });
+    }
+
+    conn = await pool.getConnection();
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const existing = await conn.query(
+      'SELECT * FROM team_roster WHERE id = ? AND teamId = ? AND seasonId = ?',
+      [entryId, id, season.id]
+    );
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Roster entry not found' });
+    }
+
+    const team = await findTeam(conn, id);
+
+    await conn.beginTransaction();
+    try {
+      // Lock the team so concurrent removals cannot take the roster below the minimum.
+      // A roster that is still being built (already below it) can change freely.
+      await conn.query('SELECT id FROM teams WHERE id = ? FOR UPDATE', [id]);
+
+      if (team.minRosterSize !== null) {
+        const size = await conn.query(
+          'SELECT COUNT(*) as count FROM team_roster WHERE teamId = ? AND seasonId = ?',
+          [id, season.id]
+        );
+        const count = Number(size[0].count);
+        if (count >= team.minRosterSize && count - 1 < team.minRosterSize) {
+          await conn.rollback();
+          conn.release();
+          return res.status(409).json({
+            error: `${team.sportName} teams need at least ${team.minRosterSize} players on the roster; add a replacement before removing this player`
+          });
+        }
+      }
+
+      await conn.query('DELETE FROM team_roster WHERE id = ?', [entryId]);
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+    conn.release();
+    await recordAudit(req, 'delete', 'team_roster', entryId, existing[0], null);
+    res.json({ success: true, message: 'Player removed from roster' });
+  } catch (error) {
+    console.error('Error removing roster entry:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to remove player from roster' });
+  }
+});
+
+// Assign a coach to a team. Managers can assign their own coaches.
+app.post('/api/teams/:id/coaches', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { coachId } = req.body;
+    const role = req.body.role || 'assistant';
+
+    if (!canManageTeam(req, id)) {
+      return res.status(403).json({ error: 'Managers can only manage their own team' });
+    }
+    if (!coachId) {
+      return res.status(400).json({ error: 'Coach ID is required' });
+    }
+    if (!['head', 'assistant'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be head or assistant' });
+    }
+
+    conn = await pool.getConnection();
+
+    if (!(await findTeam(conn, id))) {
+      conn.release();
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const coaches = req.user.role === 'manager'
+      ? await conn.query('SELECT id FROM coaches WHERE id = ? AND managerId = ?', [coachId, req.manager.id])
+      : await conn.query('SELECT id FROM coaches WHERE id = ?', [coachId]);
+    if (coaches.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Coach not found' });
+    }
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    let assignmentId;
+    await conn.beginTransaction();
+    try {
+      // One head coach per team: a new head coach replaces the previous one
+      if (role === 'head') {
+        await conn.query(
+          "UPDATE team_coaches SET role = 'assistant' WHERE teamId = ? AND seasonId = ? AND role = 'head'",
+          [id, season.id]
+        );
+      }
+      const result = await conn.query(
+        'INSERT INTO team_coaches (teamId, seasonId, coachId, role) VALUES (?, ?, ?, ?)',
+        [id, season.id, coachId, role]
+      );
+      assignmentId = Number(result.insertId);
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const teamCoaches = await fetchTeamCoaches(conn, id, season.id);
+    conn.release();
+    await recordAudit(req, 'create', 'team_coach', assignmentId, null, { teamId: Number(id), seasonId: season.id, coachId: Number(coachId), role });
+    res.status(201).json({ success: true, coaches: teamCoaches });
+  } catch (error) {
+    console.error('Error assigning coach:', error);
+    if (conn) conn.release();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Coach is already assigned to this team' });
+    }
+    res.status(500).json({ error: 'Failed to assign coach' });
+  }
+});
+
+// Remove a coach assignment
+app.delete('/api/teams/:id/coaches/:assignmentId', async (req, res) => {
+  let conn;
+  try {
+    const { id, assignmentId } = req.params;
+
+    if (!canManageTeam(req, id)) {
+      return res.status(403).json({ error: 'Managers can only manage their own team' });
+    }
+
+    conn = await pool.getConnection();
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const existing = await conn.query(
+      'SELECT * FROM team_coaches WHERE id = ? AND teamId = ? AND seasonId = ?',
+      [assignmentId, id, season.id]
+    );
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Coach assignment not found' });
+    }
+
+    await conn.query('DELETE FROM team_coaches WHERE id = ?', [assignmentId]);
+    conn.release();
+    await recordAudit(req, 'delete', 'team_coach', assignmentId, existing[0], null);
+    res.json({ success: true, message: 'Coach removed from team' });
+  } catch (error) {
+    console.error('Error removing coach assignment:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to remove coach from team' });
+  }
+});
+
+// ==================== EVENT IMAGES API ENDPOINTS ====================
+
+const eventImageColumns = 'id, title, description, imageUrl, displayOrder, eventId, albumId, createdAt, updatedAt';
+
+// Get all event images (optionally for one event with ?eventId= or one album with ?albumId=)
+app.get('/api/event-images', async (req, res) => {
+  let conn;
+  try {
+    const { eventId, albumId } = req.query;
+    const conditions = [];
+    const params = [];
+    if (eventId) {
+      conditions.push('eventId = ?');
+      params.push(eventId);
+    }
+    if (albumId) {
+      conditions.push('albumId = ?');
+      params.push(albumId);
+    }
+
+    conn = await pool.getConnection();
+    const images = await conn.query(
+      `SELECT ${eventImageColumns} FROM event_images
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY displayOrder ASC, createdAt DESC`,
+      params
+    );
+    res.json(images);
+  } catch (error) {
+    console.error('Error fetching event images:', error);
+    res.status(500).json({ error: 'Failed to fetch event images' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Get event image by ID
+app.get('/api/event-images/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    const images = await conn.query(`SELECT ${eventImageColumns} FROM event_images WHERE id = ?`, [id]);
+    
+    if (images.length === 0) {
+      return res.status(404).json({ error: 'Event image not found' });
+    }
+    
+    res.json(images[0]);
+  } catch (error) {
+    console.error('Error fetching event image:', error);
+    res.status(500).json({ error: 'Failed to fetch event image' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create new event image (with file upload)
+const eventImageUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, uploadsDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'event-image-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed for event images!'));
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+app.post('/api/event-images', eventImageUpload.single('image'), async (req, res) => {
+  let conn;
+  try {
+    const { title, description, displayOrder, albumId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Image file is required' });
+    }
+
+    conn = await pool.getConnection();
+
+    // Images added to an album belong to the album's event
+    let album = null;
+    if (albumId) {
+      album = await findEventAlbum(conn, albumId);
+      if (!album) {
+        conn.release();
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: 'Album not found' });
+      }
+    }
+    const eventId = album ? album.eventId : req.body.eventId;
+    
+    if (eventId && !(await eventExists(conn, eventId))) {
+      conn.release();
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'Event not found' });
+    }
+
+    const imageUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
+    const order = displayOrder ? parseInt(displayOrder) : (album ? (await nextAlbumImageOrder(conn, album.id)) : 0);
+
+    const result = await conn.query(
+      `INSERT INTO event_images (title, description, imageUrl, displayOrder, eventId, albumId) VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        title ? title.trim() : null,
+        description ? description.trim() : null,
+        imageUrl,
+        order,
+        eventId || null,
+        album ? album.id : null
+      ]
+    );
+
+    const newImage = await conn.query(`SELECT ${eventImageColumns} FROM event_images WHERE id = ?`, [result.insertId]);
+
+    conn.release();
+    await recordAudit(req, 'create', 'event_image', result.insertId, null, newImage[0]);
+    res.status(201).json({ success: true, image: newImage[0] });
+  } catch (error) {
+    console.error('Error creating event image:', error);
+    if (req.file) {
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting uploaded file:', unlinkError);
+      }
+    }
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create event image', details: error.message });
+  }
+});
+
+// Update event image
+app.put('/api/event-images/:id', eventImageUpload.single('image'), async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { title, description, displayOrder } = req.body;
+
+    conn = await pool.getConnection();
+    
+    const existing = await conn.query('SELECT * FROM event_images WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(404).json({ error: 'Event image not found' });
+    }
+
+    // albumId is only changed when sent; an empty value takes the image out of its album
+    const albumId = req.body.albumId !== undefined ? (req.body.albumId ? Number(req.body.albumId) : null) : existing[0].albumId;
+    let album = null;
+    if (albumId) {
+      album = await findEventAlbum(conn, albumId);
+      if (!album) {
+        conn.release();
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({ error: 'Album not found' });
+      }
+    }
+    const movedAlbum = albumId !== existing[0].albumId;
+
+    // eventId is only changed when sent; an empty value unlinks the image.
+    // Images in an album always belong to the album's event.
+    let eventId = req.body.eventId !== undefined ? (req.body.eventId || null) : existing[0].eventId;
+    if (album) {
+      eventId = album.eventId;
+    }
+    if (eventId && !(await eventExists(conn, eventId))) {
+      conn.release();
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Event not found' });
+    }
+
+    let imageUrl = existing[0].imageUrl;
+    
+    // If new image uploaded, delete old one and update URL
+    if (req.file) {
+      // Delete old image file
+      if (existing[0].imageUrl) {
+        const oldImagePath = existing[0].imageUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
+        const oldFilePath = path.join(uploadsDir, oldImagePath);
+        try {
+          if (fs.existsSync(oldFilePath)) {
+            fs.unlinkSync(oldFilePath);
+          }
+        } catch (unlinkError) {
+          console.error('Error deleting old image:', unlinkError);
+        }
+      }
+      imageUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
+    }
+
+    // An image moved into an album goes to the end of it
+    let order = displayOrder ? parseInt(displayOrder) : existing[0].displayOrder || 0;
+    if (!displayOrder && movedAlbum && album) {
+      order = await nextAlbumImageOrder(conn, album.id);
+    }
+
+    await conn.query(
+      `UPDATE event_images SET title = ?, description = ?, imageUrl = ?, displayOrder = ?, eventId = ?, albumId = ? WHERE id = ?`,
+      [
+        title ? title.trim() : null,
+        description ? description.trim() : null,
+        imageUrl,
+        order,
+        eventId,
+        albumId,
+        id
+      ]
+    );
+
+    // The image can no longer be the cover of the album it left
+    if (movedAlbum && existing[0].albumId) {
+      await conn.query('UPDATE event_albums SET coverImageId = NULL WHERE id = ? AND coverImageId = ?', [existing[0].albumId, id]);
+    }
+
+    const updated = await conn.query(`SELECT ${eventImageColumns} FROM event_images WHERE id = ?`, [id]);
+
+    conn.release();
+    await recordAudit(req, 'update', 'event_image', id, existing[0], updated[0]);
+    res.json({ success: true, image: updated[0] });
+  } catch (error) {
+    console.error('Error updating event image:', error);
+    if (req.file) {
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting uploaded file:', unlinkError);
+      }
+    }
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update event image' });
+  }
+});
+
+// Delete event image
+app.delete('/api/event-images/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    
+    const existing = await conn.query('SELECT * FROM event_images WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event image not found' });
+    }
+
+    // Delete image file
+    if (existing[0].imageUrl) {
+      const imagePath = existing[0].imageUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
+      const filePath = path.join(uploadsDir, imagePath);
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (unlinkError) {
+        console.error('Error deleting image file:', unlinkError);
+      }
+    }
+
+    await conn.query('DELETE FROM event_images WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'event_image', id, existing[0], null);
+    res.json({ success: true, message: 'Event image deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting event image:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete event image' });
+  }
+});
+
+// ==================== EVENT ALBUMS API ENDPOINTS ====================
+
+const eventAlbumColumns = 'id, name, description, eventId, coverImageId, createdAt, updatedAt';
+
+const findEventAlbum = async (conn, id) => {
+  const albums = await conn.query(`SELECT ${eventAlbumColumns} FROM event_albums WHERE id = ?`, [id]);
+  return albums.length > 0 ? albums[0] : null;
+};
+
+const fetchAlbumImages = async (conn, albumId) => {
+  return conn.query(
+    `SELECT ${eventImageColumns} FROM event_images WHERE albumId = ? ORDER BY displayOrder ASC, id ASC`,
+    [albumId]
+  );
+};
+
+// displayOrder that puts a new image after the album's last one
+const nextAlbumImageOrder = async (conn, albumId) => {
+  const rows = await conn.query('SELECT MAX(displayOrder) AS maxOrder FROM event_images WHERE albumId = ?', [albumId]);
+  return rows[0].maxOrder === null ? 0 : Number(rows[0].maxOrder) + 1;
+};
+
+// The album's chosen cover, or its first image when none is chosen
+const withAlbumCover = (album, images) => {
+  const cover = images.find(image => image.id === album.coverImageId) || images[0] || null;
+  return { ...album, coverImageUrl: cover ? cover.imageUrl : null };
+};
+
+// Get all albums (optionally for one event with ?eventId=) with their cover and image count
+app.get('/api/event-albums', async (req, res) => {
+  let conn;
+  try {
+    const { eventId } = req.query;
+    conn = await pool.getConnection();
+    const albums = await conn.query(
+      `SELECT a.id, a.name, a.description, a.eventId, e.name AS eventName, a.coverImageId, a.createdAt, a.updatedAt,
+        COALESCE(c.imageUrl, (
+          SELECT i.imageUrl FROM event_images i WHERE i.albumId = a.id ORDER BY i.displayOrder ASC, i.id ASC LIMIT 1
+        )) AS coverImageUrl,
+        (SELECT COUNT(*) FROM event_images i WHERE i.albumId = a.id) AS imageCount
+       FROM event_albums a
+       LEFT JOIN events e ON a.eventId = e.id
+       LEFT JOIN event_images c ON a.coverImageId = c.id
+       ${eventId ? 'WHERE a.eventId = ?' : ''}
+       ORDER BY a.createdAt DESC`,
+      eventId ? [eventId] : []
+    );
+    res.json(albums.map(album => ({ ...album, imageCount: Number(album.imageCount) })));
+  } catch (error) {
+    console.error('Error fetching event albums:', error);
+    res.status(500).json({ error: 'Failed to fetch event albums' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Get one album with its images in display order
+app.get('/api/event-albums/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    const album = await findEventAlbum(conn, id);
+    if (!album) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    const images = await fetchAlbumImages(conn, id);
+    res.json({ ...withAlbumCover(album, images), images });
+  } catch (error) {
+    console.error('Error fetching event album:', error);
+    res.status(500).json({ error: 'Failed to fetch event album' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create album
+app.post('/api/event-albums', async (req, res) => {
+  let conn;
+  try {
+    const { name, description, eventId } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Album name is required' });
+    }
+
+    conn = await pool.getConnection();
+
+    if (eventId && !(await eventExists(conn, eventId))) {
+      conn.release();
+      return res.status(400).json({ error: 'Event not found' });
+    }
+
+    const result = await conn.query(
+      'INSERT INTO event_albums (name, description, eventId) VALUES (?, ?, ?)',
+      [String(name).trim(), description ? String(description).trim() : null, eventId || null]
+    );
+    const album = await findEventAlbum(conn, result.insertId);
+
+    conn.release();
+    await recordAudit(req, 'create', 'event_album', album.id, null, album);
+    res.status(201).json({ success: true, album: { ...album, coverImageUrl: null, images: [] } });
+  } catch (error) {
+    console.error('Error creating event album:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create event album' });
+  }
+});
+
+// Update album. Fields that are not sent keep their values; coverImageId must
+// be one of the album's images (empty falls back to the first image).
+app.put('/api/event-albums/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Album name cannot be empty' });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await findEventAlbum(conn, id);
+    if (!existing) {
+      conn.release();
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    const eventId = req.body.eventId !== undefined ? (req.body.eventId || null) : existing.eventId;
+    if (eventId && !(await eventExists(conn, eventId))) {
+      conn.release();
+      return res.status(400).json({ error: 'Event not found' });
+    }
+
+    const coverImageId = req.body.coverImageId !== undefined
+      ? (req.body.coverImageId ? Number(req.body.coverImageId) : null)
+      : existing.coverImageId;
+    if (coverImageId) {
+      const cover = await conn.query('SELECT id FROM event_images WHERE id = ? AND albumId = ?', [coverImageId, id]);
+      if (cover.length === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'The cover image must be an image in this album' });
+      }
+    }
+
+    await conn.beginTransaction();
+    try {
+      await conn.query(
+        'UPDATE event_albums SET name = ?, description = ?, eventId = ?, coverImageId = ? WHERE id = ?',
+        [
+          name !== undefined ? String(name).trim() : existing.name,
+          description !== undefined ? (description ? String(description).trim() : null) : existing.description,
+          eventId,
+          coverImageId,
+          id
+        ]
+      );
+      // The album's images follow it to its event
+      await conn.query('UPDATE event_images SET eventId = ? WHERE albumId = ?', [eventId, id]);
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+
+    const album = await findEventAlbum(conn, id);
+    const images = await fetchAlbumImages(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'event_album', id, existing, album);
+    res.json({ success: true, album: { ...withAlbumCover(album, images), images } });
+  } catch (error) {
+    console.error('Error updating event album:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update event album' });
+  }
+});
+
+// Delete album together with its images and their files
+app.delete('/api/event-albums/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findEventAlbum(conn, id);
+    if (!existing) {
+      conn.release();
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    const images = await fetchAlbumImages(conn, id);
+
+    await conn.beginTransaction();
+    try {
+      await conn.query('UPDATE event_albums SET coverImageId = NULL WHERE id = ?', [id]);
+      await conn.query('DELETE FROM event_images WHERE albumId = ?', [id]);
+      await conn.query('DELETE FROM event_albums WHERE id = ?', [id]);
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+    images.forEach(image => deleteUploadedUrl(image.imageUrl));
+
+    conn.release();
+    await recordAudit(req, 'delete', 'event_album', id, { ...existing, images }, null);
+    res.json({ success: true, message: 'Album deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting event album:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete event album' });
+  }
+});
+
+// Bulk upload into an album. "images" files are added after the album's last
+// image in the order they were sent; "titles" (repeated once per file) line up with them.
+app.post('/api/event-albums/:id/images', eventImageUpload.array('images', 50), async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one image file is required' });
+    }
+    const titles = req.body.titles === undefined ? [] : [].concat(req.body.titles);
+
+    conn = await pool.getConnection();
+
+    const album = await findEventAlbum(conn, id);
+    if (!album) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    await conn.beginTransaction();
+    try {
+      const firstOrder = await nextAlbumImageOrder(conn, id);
+      for (const [index, file] of files.entries()) {
+        const title = titles[index] ? String(titles[index]).trim() : '';
+        await conn.query(
+          'INSERT INTO event_images (title, imageUrl, displayOrder, eventId, albumId) VALUES (?, ?, ?, ?, ?)',
+          [title || null, uploadedFileUrl(file), firstOrder + index, album.eventId, album.id]
+        );
+      }
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+    const images = await fetchAlbumImages(conn, id);
+    const added = images.slice(-files.length);
+
+    conn.release();
+    await recordAudit(req, 'create', 'event_album_images', id, null, added);
+    res.status(201).json({ success: true, images: added });
+  } catch (error) {
+    console.error('Error uploading album images:', error);
+    removeUploadedFiles(req);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to upload album images' });
+  }
+});
+
+// Save a new order for an album. imageIds lists every image of the album in the new order.
+app.put('/api/event-albums/:id/order', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const imageIds = parseIdList(req.body.imageIds);
+    if (!imageIds || imageIds.length === 0) {
+      return res.status(400).json({ error: 'imageIds must list the images in their new order' });
+    }
+
+    conn = await pool.getConnection();
+
+    const album = await findEventAlbum(conn, id);
+    if (!album) {
+      conn.release();
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    const before = await fetchAlbumImages(conn, id);
+    const currentIds = before.map(image => image.id);
+    if (imageIds.length !== currentIds.length || imageIds.some(imageId => !currentIds.includes(imageId))) {
+      conn.release();
+      return res.status(400).json({ error: 'imageIds must list every image of the album exactly once' });
+    }
+
+    await conn.beginTransaction();
+    try {
+      for (const [displayOrder, imageId] of imageIds.entries()) {
+        await conn.query('UPDATE event_images SET displayOrder = ? WHERE id = ?', [displayOrder, imageId]);
+      }
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+    const images = await fetchAlbumImages(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'event_album_order', id, currentIds, imageIds);
+    res.json({ success: true, images });
+  } catch (error) {
+    console.error('Error reordering album images:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to reorder album images' });
+  }
+});
+
+// ==================== NOTICES API ENDPOINTS ====================
+
+// Configure multer for notice attachments. "attachments" takes several files;
+// the older single "document" (PDF) and "scheduleImage" fields still work and
+// become attachments too.
+const noticeAttachmentTypes = {
+  '.pdf': ['application/pdf'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.webp': ['image/webp'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.xls': ['application/vnd.ms-excel'],
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  '.csv': ['text/csv', 'application/vnd.ms-excel', 'text/plain'],
+};
+
+const noticeUploadFields = [
+  { name: 'attachments', maxCount: 10 },
+  { name: 'document', maxCount: 1 },
+  { name: 'scheduleImage', maxCount: 1 }
+];
+
+const noticeUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, uploadsDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const fileExtension = path.extname(file.originalname);
+      if (file.fieldname === 'attachments') {
+        cb(null, 'notice-attachment-' + uniqueSuffix + fileExtension);
+      } else if (file.fieldname === 'document') {
+        cb(null, 'notice-doc-' + uniqueSuffix + fileExtension);
+      } else if (file.fieldname === 'scheduleImage') {
+        cb(null, 'notice-schedule-' + uniqueSuffix + fileExtension);
+      } else {
+        cb(new Error('Invalid fieldname for upload'));
+      }
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (file.fieldname === 'attachments') {
+      const mimeTypes = noticeAttachmentTypes[extension];
+      if (mimeTypes && mimeTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Attachments must be PDF, image (JPG, PNG, WebP), Word or spreadsheet (XLS, XLSX, CSV) files'));
+      }
+    } else if (file.fieldname === 'document') {
+      if (file.mimetype === 'application/pdf') {
+        cb(null, true);
+      } else {
+        cb(new Error('Only PDF files are allowed for documents'));
+      }
+    } else if (file.fieldname === 'scheduleImage') {
+      const allowedImageTypes = /jpeg|jpg|png/;
+      const extname = allowedImageTypes.test(extension);
+      const mimetype = allowedImageTypes.test(file.mimetype);
+      if (mimetype && extname) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only JPG/PNG image files are allowed for schedule images'));
+      }
+    } else {
+      cb(new Error('Invalid fieldname for upload'));
+    }
+  },
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit for each file
+});
+
+// Delete files multer stored for a request that is being rejected
+const removeUploadedFiles = (req) => {
+  const files = req.files ? Object.values(req.files).flat() : (req.file ? [req.file] : []);
+  files.forEach(file => {
+    try {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    } catch (unlinkError) {
+      console.error('Error deleting uploaded file:', unlinkError);
+    }
+  });
+};
+
+const noticeAttachmentColumns = 'id, noticeId, fileUrl, originalName, mimeType, fileSize, caption, displayOrder, createdAt, updatedAt';
+
+// Files uploaded with a notice request in attachment order: a legacy document
+// and schedule image first, then "attachments" in the order they were sent.
+// "captions" (repeated once per file) line up with "attachments".
+const collectNoticeUploads = (req) => {
+  const files = req.files || {};
+  const captions = [].concat(req.body.captions === undefined ? [] : req.body.captions);
+  return [
+    ...(files.document || []).map(file => ({ file, caption: 'Document' })),
+    ...(files.scheduleImage || []).map(file => ({ file, caption: 'Schedule' })),
+    ...(files.attachments || []).map((file, index) => ({
+      file,
+      caption: captions[index] && String(captions[index]).trim() ? String(captions[index]).trim().slice(0, 255) : null,
+    })),
+  ];
+};
+
+// Store uploaded files as attachments after the notice's existing ones
+const addNoticeAttachments = async (conn, noticeId, uploads) => {
+  const rows = await conn.query(
+    'SELECT COALESCE(MAX(displayOrder), -1) as lastOrder FROM notice_attachments WHERE noticeId = ?',
+    [noticeId]
+  );
+  let displayOrder = Number(rows[0].lastOrder);
+  for (const { file, caption } of uploads) {
+    displayOrder++;
+    await conn.query(
+      `INSERT INTO notice_attachments (noticeId, fileUrl, originalName, mimeType, fileSize, caption, displayOrder)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [noticeId, uploadedFileUrl(file), file.originalname, file.mimetype, file.size, caption, displayOrder]
+    );
+  }
+};
+
+const fetchNoticeAttachments = async (conn, noticeId) => {
+  return conn.query(
+    `SELECT ${noticeAttachmentColumns} FROM notice_attachments WHERE noticeId = ? ORDER BY displayOrder ASC, id ASC`,
+    [noticeId]
+  );
+};
+
+const noticeCategories = ['trials', 'schedule', 'results', 'general'];
+const noticeStatuses = ['draft', 'scheduled', 'live', 'expired'];
+
+// Notices are drafts until they have a publish time, live from publishAt until
+// expiresAt (when set)
+const noticeStatusSql = `CASE WHEN n.publishAt IS NULL THEN 'draft' WHEN n.publishAt > NOW() THEN 'scheduled'
+  WHEN n.expiresAt IS NOT NULL AND n.expiresAt <= NOW() THEN 'expired' ELSE 'live' END`;
+
+const noticeColumns = `n.id, n.title, n.description, n.noticeDate, n.eventId, n.seasonId,
+  n.category, n.isPinned, n.publishAt, n.expiresAt, ${noticeStatusSql} as status, n.createdAt, n.updatedAt`;
+
+// Payload fields holding the ids of each audience type
+const noticeAudienceFields = { sport: 'sportIds', team: 'teamIds', manager: 'managerIds' };
+const noticeAudienceTables = { sport: 'sports', team: 'teams', manager: 'managers' };
+
+// Ids from an array or a comma separated string (forms send either). Null when
+// one of them is not a positive whole number.
+const parseIdList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const cleaned = list.map(item => String(item).trim()).filter(Boolean);
+  if (cleaned.some(item => !/^\d+$/.test(item) || Number(item) === 0)) {
+    return null;
+  }
+  return [...new Set(cleaned.map(Number))];
+};
+
+// Category, pinning and schedule of a notice payload, merged with current
+// values. draft=true takes the notice off the board until it gets a publishAt;
+// a new notice is published straight away unless publishAt or draft says otherwise.
+// Returns the values to store, or { error }.
+const validateNoticeOptions = (body, current = {}) => {
+  const category = body.category !== undefined && body.category !== '' ? body.category : (current.category || 'general');
+  if (!noticeCategories.includes(category)) {
+    return { error: `Category must be one of: ${noticeCategories.join(', ')}` };
+  }
+
+  const isPinned = body.isPinned !== undefined ? body.isPinned === true || body.isPinned === 'true' : Boolean(current.isPinned);
+
+  let publishAt;
+  if (body.draft === true || body.draft === 'true') {
+    publishAt = null;
+  } else if (body.publishAt) {
+    publishAt = toDateTimeString(body.publishAt);
+    if (!publishAt) {
+      return { error: 'Publish time is not a valid date and time' };
+    }
+  } else if (current.id) {
+    publishAt = current.publishAt ? toDateTimeString(current.publishAt) : null;
+  } else {
+    publishAt = toDateTimeString(new Date());
+  }
+
+  let expiresAt;
+  if (body.expiresAt !== undefined) {
+    expiresAt = body.expiresAt ? toDateTimeString(body.expiresAt) : null;
+    if (body.expiresAt && !expiresAt) {
+      return { error: 'Expiry time is not a valid date and time' };
+    }
+  } else {
+    expiresAt = current.expiresAt ? toDateTimeString(current.expiresAt) : null;
+  }
+  if (publishAt && expiresAt && expiresAt <= publishAt) {
+    return { error: 'Expiry time must be after the publish time' };
+  }
+
+  return { category, isPinned, publishAt, expiresAt };
+};
+
+// Audience named in a payload as { sport: [ids], team: [ids], manager: [ids] }.
+// Empty lists mean everyone. Null when the payload does not mention an
+// audience at all, { error } for malformed ids.
+const parseNoticeAudience = (body) => {
+  const types = Object.keys(noticeAudienceFields);
+  if (types.every(type => body[noticeAudienceFields[type]] === undefined)) {
+    return null;
+  }
+  const audience = {};
+  for (const type of types) {
+    const ids = parseIdList(body[noticeAudienceFields[type]]);
+    if (!ids) {
+      return { error: `${noticeAudienceFields[type]} must be a list of ids` };
+    }
+    audience[type] = ids;
+  }
+  return audience;
+};
+
+// Check that every sport, team and manager of an audience exists. Returns an error message or null.
+const checkNoticeAudience = async (conn, audience) => {
+  for (const [type, ids] of Object.entries(audience)) {
+    if (ids.length === 0) continue;
+    const rows = await conn.query(`SELECT id FROM ${noticeAudienceTables[type]} WHERE id IN (?)`, [ids]);
+    if (rows.length !== ids.length) {
+      return `${type.charAt(0).toUpperCase()}${type.slice(1)} not found`;
+    }
+  }
+  return null;
+};
+
+const saveNoticeAudience = async (conn, noticeId, audience) => {
+  await conn.query('DELETE FROM notice_audiences WHERE noticeId = ?', [noticeId]);
+  for (const [type, ids] of Object.entries(audience)) {
+    for (const audienceId of ids) {
+      await conn.query(
+        'INSERT INTO notice_audiences (noticeId, audienceType, audienceId) VALUES (?, ?, ?)',
+        [noticeId, type, audienceId]
+      );
+    }
+  }
+};
+
+// Add each notice's attachments and audience as [{ type, id, name }] (empty for everyone)
+const attachNoticeDetails = async (conn, notices) => {
+  if (notices.length === 0) {
+    return notices;
+  }
+  const rows = await conn.query(
+    `SELECT na.noticeId, na.audienceType as type, na.audienceId as id, COALESCE(sp.name, t.name, m.name) as name
+     FROM notice_audiences na
+     LEFT JOIN sports sp ON na.audienceType = 'sport' AND sp.id = na.audienceId
+     LEFT JOIN teams t ON na.audienceType = 'team' AND t.id = na.audienceId
+     LEFT JOIN managers m ON na.audienceType = 'manager' AND m.id = na.audienceId
+     WHERE na.noticeId IN (?)
+     ORDER BY na.audienceType ASC, name ASC`,
+    [notices.map(notice => notice.id)]
+  );
+  const attachments = await conn.query(
+    `SELECT ${noticeAttachmentColumns} FROM notice_attachments WHERE noticeId IN (?) ORDER BY displayOrder ASC, id ASC`,
+    [notices.map(notice => notice.id)]
+  );
+  return notices.map(notice => ({
+    ...notice,
+    isPinned: Boolean(notice.isPinned),
+    attachments: attachments.filter(attachment => attachment.noticeId === notice.id),
+    audience: rows.filter(row => row.noticeId === notice.id).map(({ type, id, name }) => ({ type, id, name })),
+  }));
+};
+
+// Sports, teams and squads a logged-in manager or student belongs to in a season
+const findViewerAudience = async (conn, req, seasonId) => {
+  if (req.user && req.user.role === 'manager') {
+    return {
+      sport: req.manager.sportId ? [req.manager.sportId] : [],
+      team: req.manager.teamId ? [req.manager.teamId] : [],
+      manager: [req.manager.id],
+    };
+  }
+  if (req.user && req.user.role === 'student') {
+    const squads = await conn.query(
+      `SELECT sm.managerId, m.sportId, m.teamId FROM student_memberships sm JOIN managers m ON sm.managerId = m.id
+       WHERE sm.studentId = ? AND sm.seasonId = ?`,
+      [req.user.id, seasonId]
+    );
+    const rosters = await conn.query('SELECT teamId FROM team_roster WHERE studentId = ? AND seasonId = ?', [req.user.id, seasonId]);
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    return {
+      sport: unique(squads.map(squad => squad.sportId)),
+      team: unique([...squads.map(squad => squad.teamId), ...rosters.map(roster => roster.teamId)]),
+      manager: unique(squads.map(squad => squad.managerId)),
+    };
+  }
+  return null;
+};
+
+// Get the notices of a season (?season=, defaults to the active season;
+// optionally for one event with ?eventId= or one ?category=). Pinned notices
+// come first.
+//
+// Only live notices are listed, except for admins, who see every status and
+// can narrow it with ?status=draft|scheduled|live|expired. Notices for everyone
+// are always included; targeted ones when they match ?sportId=, ?teamId= or
+// ?managerId=. Without those, managers and students see the notices for their
+// own sports, teams and squads, admins see all and visitors only the ones for everyone.
+app.get('/api/notices', async (req, res) => {
+  let conn;
+  try {
+    const { eventId, category, status } = req.query;
+    const isAdmin = req.user && req.user.role === 'admin';
+
+    if (category && !noticeCategories.includes(category)) {
+      return res.status(400).json({ error: `Category must be one of: ${noticeCategories.join(', ')}` });
+    }
+    if (isAdmin && status && status !== 'all' && !noticeStatuses.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: all, ${noticeStatuses.join(', ')}` });
+    }
+
+    const requested = {};
+    for (const [type, param] of [['sport', 'sportId'], ['team', 'teamId'], ['manager', 'managerId']]) {
+      if (req.query[param]) {
+        const ids = parseIdList(req.query[param]);
+        if (!ids) {
+          return res.status(400).json({ error: `${param} must be an id or a comma separated list of ids` });
+        }
+        requested[type] = ids;
+      }
+    }
+
+    conn = await pool.getConnection();
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    const conditions = ['n.seasonId = ?'];
+    const params = [season.id];
+    if (eventId) {
+      conditions.push('n.eventId = ?');
+      params.push(eventId);
+    }
+    if (category) {
+      conditions.push('n.category = ?');
+      params.push(category);
+    }
+    if (!isAdmin) {
+      conditions.push(`${noticeStatusSql} = 'live'`);
+    } else if (status && status !== 'all') {
+      conditions.push(`${noticeStatusSql} = ?`);
+      params.push(status);
+    }
+
+    const audience = Object.keys(requested).length > 0
+      ? requested
+      : (isAdmin ? null : (await findViewerAudience(conn, req, season.id)) || {});
+    if (audience) {
+      const matches = Object.entries(audience)
+        .filter(([, ids]) => ids.length > 0)
+        .map(([type, ids]) => {
+          params.push(type, ids);
+          return '(na.audienceType = ? AND na.audienceId IN (?))';
+        });
+      conditions.push(`(NOT EXISTS (SELECT 1 FROM notice_audiences na WHERE na.noticeId = n.id)${matches.length > 0
+        ? ` OR EXISTS (SELECT 1 FROM notice_audiences na WHERE na.noticeId = n.id AND (${matches.join(' OR ')}))`
+        : ''})`);
+    }
+
+    const notices = await conn.query(
+      `SELECT ${noticeColumns} FROM notices n
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY n.isPinned DESC, n.noticeDate DESC, n.createdAt DESC`,
+      params
+    );
+    res.json(await attachNoticeDetails(conn, notices));
+  } catch (error) {
+    console.error('Error fetching notices:', error);
+    res.status(500).json({ error: 'Failed to fetch notices' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Get notice by ID. Drafts, scheduled and expired notices are only shown to admins.
+app.get('/api/notices/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    const notices = await conn.query(`SELECT ${noticeColumns} FROM notices n WHERE n.id = ?`, [id]);
+    
+    if (notices.length === 0 || (notices[0].status !== 'live' && !(req.user && req.user.role === 'admin'))) {
+      return res.status(404).json({ error: 'Notice not found' });
+    }
+    
+    const [notice] = await attachNoticeDetails(conn, notices);
+    res.json(notice);
+  } catch (error) {
+    console.error('Error fetching notice:', error);
+    res.status(500).json({ error: 'Failed to fetch notice' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// Create new notice (with attachment uploads)
+app.post('/api/notices', noticeUpload.fields(noticeUploadFields), async (req, res) => {
+  let conn;
+  try {
+    const { title, description, noticeDate, eventId } = req.body;
+
+    if (!title || !title.trim()) {
+      // Clean up uploaded files if validation fails
+      if (req.files) {
+        Object.values(req.files).flat().forEach(file => {
+          try {
+            if (fs.existsSync(file.path)) {
+              fs.unlinkSync(file.path);
+            }
+          } catch (unlinkError) {
+            console.error('Error deleting uploaded file:', unlinkError);
+          }
+        });
+      }
+      return res.status(400).json({ error: 'Notice title is required' });
+    }
+
+    if (!description || !description.trim()) {
+      if (req.files) {
+        Object.values(req.files).flat().forEach(file => {
+          try {
+            if (fs.existsSync(file.path)) {
+              fs.unlinkSync(file.path);
+            }
+          } catch (unlinkError) {
+            console.error('Error deleting uploaded file:', unlinkError);
+          }
+        });
+      }
+      return res.status(400).json({ error: 'Notice description is required' });
+    }
+
+    if (!noticeDate) {
+      if (req.files) {
+        Object.values(req.files).flat().forEach(file => {
+          try {
+            if (fs.existsSync(file.path)) {
+              fs.unlinkSync(file.path);
+            }
+          } catch (unlinkError) {
+            console.error('Error deleting uploaded file:', unlinkError);
+          }
+        });
+      }
+      return res.status(400).json({ error: 'Notice date is required' });
+    }
+
+    const options = validateNoticeOptions(req.body);
+    const audience = parseNoticeAudience(req.body) || { sport: [], team: [], manager: [] };
+    if (options.error || audience.error) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: options.error || audience.error });
+    }
+
+    conn = await pool.getConnection();
+    
+    if (eventId && !(await eventExists(conn, eventId))) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Event not found' });
+    }
+
+    const audienceError = await checkNoticeAudience(conn, audience);
+    if (audienceError) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: audienceError });
+    }
+
+    const season = await getActiveSeason(conn);
+    await conn.beginTransaction();
+    let result;
+    try {
+      result = await conn.query(
+        `INSERT INTO notices (title, description, noticeDate, eventId, seasonId, category, isPinned, publishAt, expiresAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [title.trim(), description.trim(), noticeDate, eventId || null, season ? season.id : null,
+          options.category, options.isPinned, options.publishAt, options.expiresAt]
+      );
+      await saveNoticeAudience(conn, result.insertId, audience);
+      await addNoticeAttachments(conn, result.insertId, collectNoticeUploads(req));
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+
+    const [newNotice] = await attachNoticeDetails(
+      conn,
+      await conn.query(`SELECT ${noticeColumns} FROM notices n WHERE n.id = ?`, [result.insertId])
+    );
+
+    conn.release();
+    await recordAudit(req, 'create', 'notice', result.insertId, null, newNotice);
+    res.status(201).json({ success: true, notice: newNotice });
+  } catch (error) {
+    console.error('Error creating notice:', error);
+    // Clean up uploaded files on error
+    if (req.files) {
+      Object.values(req.files).flat().forEach(file => {
+        try {
+          if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+          }
+        } catch (unlinkError) {
+          console.error('Error deleting uploaded file:', unlinkError);
+        }
+      });
+    }
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create notice', details: error.message });
+  }
+});
+
+// Update notice. Uploaded files are added after the existing attachments.
+app.put('/api/notices/:id', noticeUpload.fields(noticeUploadFields), async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { title, description, noticeDate } = req.body;
+
+    conn = await pool.getConnection();
+    
+    const existing = await conn.query('SELECT * FROM notices WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      // Clean up uploaded files
+      if (req.files) {
+        Object.values(req.files).flat().forEach(file => {
+          try {
+            if (fs.existsSync(file.path)) {
+              fs.unlinkSync(file.path);
+            }
+          } catch (unlinkError) {
+            console.error('Error deleting uploaded file:', unlinkError);
+          }
+        });
+      }
+      return res.status(404).json({ error: 'Notice not found' });
+    }
+
+    // eventId is only changed when sent; an empty value unlinks the notice
+    const eventId = req.body.eventId !== undefined ? (req.body.eventId || null) : existing[0].eventId;
+    if (eventId && !(await eventExists(conn, eventId))) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Event not found' });
+    }
+
+    // Category, schedule and audience are only changed when sent
+    const options = validateNoticeOptions(req.body, existing[0]);
+    const audience = parseNoticeAudience(req.body);
+    if (options.error || (audience && audience.error)) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: options.error || audience.error });
+    }
+    const audienceError = audience ? await checkNoticeAudience(conn, audience) : null;
+    if (audienceError) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: audienceError });
+    }
+
+    await conn.beginTransaction();
+    try {
+      await conn.query(
+        `UPDATE notices SET title = ?, description = ?, noticeDate = ?, eventId = ?,
+           category = ?, isPinned = ?, publishAt = ?, expiresAt = ?
+         WHERE id = ?`,
+        [
+          title ? title.trim() : null,
+          description ? description.trim() : null,
+          noticeDate || existing[0].noticeDate,
+          eventId,
+          options.category,
+          options.isPinned,
+          options.publishAt,
+          options.expiresAt,
+          id
+        ]
+      );
+      if (audience) {
+        await saveNoticeAudience(conn, id, audience);
+      }
+      await addNoticeAttachments(conn, id, collectNoticeUploads(req));
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+
+    const [updated] = await attachNoticeDetails(
+      conn,
+      await conn.query(`SELECT ${noticeColumns} FROM notices n WHERE n.id = ?`, [id])
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'notice', id, existing[0], updated);
+    res.json({ success: true, notice: updated });
+  } catch (error) {
+    console.error('Error updating notice:', error);
+    // Clean up uploaded files on error
+    if (req.files) {
+      Object.values(req.files).flat().forEach(file => {
+        try {
+          if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+          }
+        } catch (unlinkError) {
+          console.error('Error deleting uploaded file:', unlinkError);
+        }
+      });
+    }
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update notice' });
+  }
+});
+
+// Delete notice
+app.delete('/api/notices/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    
+    const existing = await conn.query('SELECT * FROM notices WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Notice not found' });
+    }
+
+    const attachments = await fetchNoticeAttachments(conn, id);
+    await conn.query('DELETE FROM notices WHERE id = ?', [id]);
+    conn.release();
+
+    // The attachment rows go with the notice; remove their files too
+    attachments.forEach(attachment => deleteUploadedUrl(attachment.fileUrl));
+    await recordAudit(req, 'delete', 'notice', id, { ...existing[0], attachments }, null);
+    res.json({ success: true, message: 'Notice deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting notice:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete notice' });
+  }
+});
+
+// Add attachments to a notice ("attachments" files with matching "captions")
+app.post('/api/notices/:id/attachments', noticeUpload.fields(noticeUploadFields), async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const uploads = collectNoticeUploads(req);
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required' });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query('SELECT id FROM notices WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      removeUploadedFiles(req);
+      return res.status(404).json({ error: 'Notice not found' });
+    }
+
+    const before = await fetchNoticeAttachments(conn, id);
+    await addNoticeAttachments(conn, id, uploads);
+    const attachments = await fetchNoticeAttachments(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'notice_attachments', id, before, attachments);
+    res.status(201).json({ success: true, attachments });
+  } catch (error) {
+    console.error('Error adding notice attachments:', error);
+    removeUploadedFiles(req);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to add attachments' });
+  }
+});
+
+// Reorder a notice's attachments. attachmentIds lists every attachment in the new order.
+app.put('/api/notices/:id/attachments/order', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const attachmentIds = parseIdList(req.body.attachmentIds);
+    if (!attachmentIds || attachmentIds.length === 0) {
+      return res.status(400).json({ error: 'attachmentIds must list the attachments in their new order' });
+    }
+
+    conn = await pool.getConnection();
+
+    const before = await fetchNoticeAttachments(conn, id);
+    if (before.length === 0) {
+      const notices = await conn.query('SELECT id FROM notices WHERE id = ?', [id]);
+      if (notices.length === 0) {
+        conn.release();
+        return res.status(404).json({ error: 'Notice not found' });
+      }
+    }
+    const currentIds = before.map(attachment => attachment.id);
+    if (attachmentIds.length !== currentIds.length || attachmentIds.some(attachmentId => !currentIds.includes(attachmentId))) {
+      conn.release();
+      return res.status(400).json({ error: 'attachmentIds must list every attachment of the notice exactly once' });
+    }
+
+    await conn.beginTransaction();
+    try {
+      for (const [displayOrder, attachmentId] of attachmentIds.entries()) {
+        await conn.query('UPDATE notice_attachments SET displayOrder = ? WHERE id = ?', [displayOrder, attachmentId]);
+      }
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    }
+    const attachments = await fetchNoticeAttachments(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'notice_attachments', id, before, attachments);
+    res.json({ success: true, attachments });
+  } catch (error) {
+    console.error('Error reordering notice attachments:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to reorder attachments' });
+  }
+});
+
+// Change an attachment's caption
+app.put('/api/notices/:id/attachments/:attachmentId', async (req, res) => {
+  let conn;
+  try {
+    const { id, attachmentId } = req.params;
+    const { caption } = req.body;
+    if (caption === undefined) {
+      return res.status(400).json({ error: 'Caption is required (send an empty caption to clear it)' });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(
+      `SELECT ${noticeAttachmentColumns} FROM notice_attachments WHERE id = ? AND noticeId = ?`,
+      [attachmentId, id]
+    );
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await conn.query(
+      'UPDATE notice_attachments SET caption = ? WHERE id = ?',
+      [caption && String(caption).trim() ? String(caption).trim().slice(0, 255) : null, attachmentId]
+    );
+    const updated = await conn.query(`SELECT ${noticeAttachmentColumns} FROM notice_attachments WHERE id = ?`, [attachmentId]);
+
+    conn.release();
+    await recordAudit(req, 'update', 'notice_attachment', attachmentId, existing[0], updated[0]);
+    res.json({ success: true, attachment: updated[0] });
+  } catch (error) {
+    console.error('Error updating notice attachment:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update attachment' });
+  }
+});
+
+// Remove one attachment and its file
+app.delete('/api/notices/:id/attachments/:attachmentId', async (req, res) => {
+  let conn;
+  try {
+    const { id, attachmentId } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(
+      `SELECT ${noticeAttachmentColumns} FROM notice_attachments WHERE id = ? AND noticeId = ?`,
+      [attachmentId, id]
+    );
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await conn.query('DELETE FROM notice_attachments WHERE id = ?', [attachmentId]);
+    conn.release();
+
+    deleteUploadedUrl(existing[0].fileUrl);
+    await recordAudit(req, 'delete', 'notice_attachment', attachmentId, existing[0], null);
+    res.json({ success: true, message: 'Attachment removed successfully' });
+  } catch (error) {
+    console.error('Error removing notice attachment:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to remove attachment' });
+  }
+});
+
+// ==================== EVENTS API ENDPOINTS ====================
+
+const eventStatuses = ['upcoming', 'ongoing', 'completed'];
+
+const eventExists = async (conn, eventId) => {
+  const rows = await conn.query('SELECT id FROM events WHERE id = ?', [eventId]);
+  return rows.length > 0;
+};
+
+// Validate the fields shared by create and update. Returns an error message or null.
+const validateEvent = ({ name, startDate, endDate, status }) => {
+  if (!name || !name.trim()) {
+    return 'Event name is required';
+  }
+  if (!startDate || !endDate) {
+    return 'Start date and end date are required';
+  }
+  if (toDateString(endDate) < toDateString(startDate)) {
+    return 'End date cannot be before start date';
+  }
+  if (status && !eventStatuses.includes(status)) {
+    return `Status must be one of: ${eventStatuses.join(', ')}`;
+  }
+  return null;
+};
+
+const eventColumns = `e.id, e.name, e.sportId, sp.name as sportName, e.description, e.venue,
+  e.startDate, e.endDate, e.status, e.fixtureFormat, e.fixturesPublishedAt, e.createdAt, e.updatedAt`;
+
+// Get all events (filters: ?status=, ?sportId=)
+app.get('/api/events', async (req, res) => {
+  let conn;
+  try {
+    const { status, sportId } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('e.status = ?');
+      params.push(status);
+    }
+    if (sportId) {
+      conditions.push('e.sportId = ?');
+      params.push(sportId);
+    }
+
+    conn = await pool.getConnection();
+    const events = await conn.query(
+      `SELECT ${eventColumns},
+              (SELECT COUNT(*) FROM event_teams et WHERE et.eventId = e.id) as teamCount
+       FROM events e
+       LEFT JOIN sports sp ON e.sportId = sp.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY e.startDate DESC`,
+      params
+    );
+    conn.release();
+    res.json(events.map(event => ({ ...event, teamCount: Number(event.teamCount) })));
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+// Get event by ID with its sport, registered teams, photos and live notices for everyone
+app.get('/api/events/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const events = await conn.query(
+      `SELECT ${eventColumns} FROM events e LEFT JOIN sports sp ON e.sportId = sp.id WHERE e.id = ?`,
+      [id]
+    );
+    if (events.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const teams = await conn.query(
+      `SELECT t.id, t.name, t.department, t.logo, t.color, et.createdAt as registeredAt
+       FROM event_teams et
+       JOIN teams t ON et.teamId = t.id
+       WHERE et.eventId = ?
+       ORDER BY t.name ASC`,
+      [id]
+    );
+    const images = await conn.query(
+      'SELECT id, title, description, imageUrl, displayOrder, createdAt FROM event_images WHERE eventId = ? ORDER BY displayOrder ASC, createdAt DESC',
+      [id]
+    );
+    const notices = await conn.query(
+      `SELECT n.id, n.title, n.description, n.noticeDate, n.category, n.isPinned, n.createdAt
+       FROM notices n
+       WHERE n.eventId = ? AND ${noticeStatusSql} = 'live'
+         AND NOT EXISTS (SELECT 1 FROM notice_audiences na WHERE na.noticeId = n.id)
+       ORDER BY n.isPinned DESC, n.noticeDate DESC, n.createdAt DESC`,
+      [id]
+    );
+
+    const noticesWithAttachments = await attachNoticeDetails(conn, notices);
+
+    conn.release();
+    res.json({ ...events[0], teams, images, notices: noticesWithAttachments });
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch event' });
+  }
+});
+
+// Create new event
+app.post('/api/events', async (req, res) => {
+  let conn;
+  try {
+    const { name, sportId, description, venue, startDate, endDate, status } = req.body;
+
+    const validationError = validateEvent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    conn = await pool.getConnection();
+
+    if (sportId) {
+      const sports = await conn.query('SELECT id FROM sports WHERE id = ?', [sportId]);
+      if (sports.length === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'Sport not found' });
+      }
+    }
+
+    const result = await conn.query(
+      `INSERT INTO events (name, sportId, description, venue, startDate, endDate, status) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name.trim(),
+        sportId || null,
+        description ? description.trim() : null,
+        venue ? venue.trim() : null,
+        startDate,
+        endDate,
+        status || 'upcoming'
+      ]
+    );
+
+    const newEvent = await conn.query(
+      `SELECT ${eventColumns} FROM events e LEFT JOIN sports sp ON e.sportId = sp.id WHERE e.id = ?`,
+      [result.insertId]
+    );
+
+    conn.release();
+    await recordAudit(req, 'create', 'event', result.insertId, null, newEvent[0]);
+    res.status(201).json({ success: true, event: newEvent[0] });
+  } catch (error) {
+    console.error('Error creating event:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create event', details: error.message });
+  }
+});
+
+// Update event
+app.put('/api/events/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { name, sportId, description, venue, startDate, endDate, status } = req.body;
+
+    const validationError = validateEvent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query('SELECT * FROM events WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (sportId) {
+      const sports = await conn.query('SELECT id FROM sports WHERE id = ?', [sportId]);
+      if (sports.length === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'Sport not found' });
+      }
+    }
+
+    await conn.query(
+      `UPDATE events SET name = ?, sportId = ?, description = ?, venue = ?, startDate = ?, endDate = ?, status = ? WHERE id = ?`,
+      [
+        name.trim(),
+        sportId || null,
+        description ? description.trim() : null,
+        venue ? venue.trim() : null,
+        startDate,
+        endDate,
+        status || existing[0].status,
+        id
+      ]
+    );
+
+    const updated = await conn.query(
+      `SELECT ${eventColumns} FROM events e LEFT JOIN sports sp ON e.sportId = sp.id WHERE e.id = ?`,
+      [id]
+    );
+
+    conn.release();
+    await recordAudit(req, 'update', 'event', id, existing[0], updated[0]);
+    res.json({ success: true, event: updated[0] });
+  } catch (error) {
+    console.error('Error updating event:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update event' });
+  }
+});
+
+// Delete event (linked images and notices are kept but unlinked)
+app.delete('/api/events/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query('SELECT * FROM events WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await conn.query('DELETE FROM events WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'event', id, existing[0], null);
+    res.json({ success: true, message: 'Event deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting event:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete event' });
+  }
+});
+
+// Register a team for an event. Managers can only register their own team.
+app.post('/api/events/:id/teams', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { teamId } = req.body;
+
+    if (!teamId) {
+      return res.status(400).json({ error: 'Team ID is required' });
+    }
+
+    if (req.user.role === 'manager' && Number(teamId) !== req.manager.teamId) {
+      return res.status(403).json({ error: 'Managers can only register their own team' });
+    }
+
+    conn = await pool.getConnection();
+
+    const events = await conn.query('SELECT id, status, sportId FROM events WHERE id = ?', [id]);
+    if (events.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (events[0].status === 'completed') {
+      conn.release();
+      return res.status(400).json({ error: 'Cannot register for a completed event' });
+    }
+
+    const team = await findTeam(conn, teamId);
+    if (!team) {
+      conn.release();
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (events[0].sportId && team.sportId && events[0].sportId !== team.sportId) {
+      conn.release();
+      return res.status(400).json({ error: `${team.name} plays ${team.sportName}, not this event's sport` });
+    }
+
+    // A team needs the sport's minimum roster in the active season to enter
+    if (team.minRosterSize !== null) {
+      const season = await getActiveSeason(conn);
+      if (!season) {
+        conn.release();
+        return res.status(409).json({ error: noActiveSeasonError });
+      }
+      const size = await conn.query(
+        'SELECT COUNT(*) as count FROM team_roster WHERE teamId = ? AND seasonId = ?',
+        [teamId, season.id]
+      );
+      if (Number(size[0].count) < team.minRosterSize) {
+        conn.release();
+        return res.status(400).json({
+          error: `${team.sportName} teams need at least ${team.minRosterSize} players on the roster; ${team.name} has ${Number(size[0].count)}`
+        });
+      }
+    }
+
+    const existing = await conn.query('SELECT id FROM event_teams WHERE eventId = ? AND teamId = ?', [id, teamId]);
+    if (existing.length > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Team is already registered for this event' });
+    }
+
+    const result = await conn.query('INSERT INTO event_teams (eventId, teamId) VALUES (?, ?)', [id, teamId]);
+
+    conn.release();
+    await recordAudit(req, 'create', 'event_team', result.insertId, null, { eventId: Number(id), teamId: Number(teamId) });
+    res.status(201).json({ success: true, message: 'Team registered successfully' });
+  } catch (error) {
+    console.error('Error registering team for event:', error);
+    if (conn) conn.release();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Team is already registered for this event' });
+    }
+    res.status(500).json({ error: 'Failed to register team' });
+  }
+});
+
+// Withdraw a team from an event. Managers can only withdraw their own team.
+app.delete('/api/events/:id/teams/:teamId', async (req, res) => {
+  let conn;
+  try {
+    const { id, teamId } = req.params;
+
+    if (req.user.role === 'manager' && Number(teamId) !== req.manager.teamId) {
+      return res.status(403).json({ error: 'Managers can only withdraw their own team' });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query('SELECT * FROM event_teams WHERE eventId = ? AND teamId = ?', [id, teamId]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Team is not registered for this event' });
+    }
+
+    await conn.query('DELETE FROM event_teams WHERE id = ?', [existing[0].id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'event_team', existing[0].id, existing[0], null);
+    res.json({ success: true, message: 'Team withdrawn successfully' });
+  } catch (error) {
+    console.error('Error withdrawing team from event:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to withdraw team' });
+  }
+});
+
+// ==================== FIXTURES API ENDPOINTS ====================
+
+const matchColumns = `m.id, m.eventId, m.matchNumber, m.stage, m.groupName, m.round,
+  m.homeTeamId, ht.name as homeTeamName, m.homeSource,
+  m.awayTeamId, awt.name as awayTeamName, m.awaySource,
+  m.scheduledAt, m.venue, m.nextMatchId, m.nextMatchSlot, m.status,
+  m.homeScore, m.awayScore, m.resultType, m.winnerTeamId, m.resultRecordedAt, m.createdAt, m.updatedAt`;
+
+const fetchEventMatches = async (conn, eventId) => {
+  return conn.query(
+    `SELECT ${matchColumns}
+     FROM matches m
+     LEFT JOIN teams ht ON m.homeTeamId = ht.id
+     LEFT JOIN teams awt ON m.awayTeamId = awt.id
+     WHERE m.eventId = ?
+     ORDER BY m.matchNumber ASC`,
+    [eventId]
+  );
+};
+
+const fetchMatch = async (conn, id) => {
+  const matches = await conn.query(
+    `SELECT ${matchColumns}
+     FROM matches m
+     LEFT JOIN teams ht ON m.homeTeamId = ht.id
+     LEFT JOIN teams awt ON m.awayTeamId = awt.id
+     WHERE m.id = ?`,
+    [id]
+  );
+  return matches[0];
+};
+
+// Get the fixtures of an event. Drafts are only visible to admins.
+app.get('/api/events/:id/fixtures', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const events = await conn.query('SELECT id, fixtureFormat, fixturesPublishedAt FROM events WHERE id = ?', [id]);
+    if (events.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = events[0];
+    const published = Boolean(event.fixturesPublishedAt);
+    const isAdmin = req.user && req.user.role === 'admin';
+    const matches = published || isAdmin ? await fetchEventMatches(conn, id) : [];
+
+    conn.release();
+    res.json({
+      eventId: event.id,
+      format: event.fixtureFormat,
+      published,
+      publishedAt: event.fixturesPublishedAt,
+      matches,
+    });
+  } catch (error) {
+    console.error('Error fetching fixtures:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch fixtures' });
+  }
+});
+
+// Generate (or regenerate) the fixtures of an unpublished event.
+// Body: format, slots (["09:00", ...]), startDate (defaults to the event start),
+// concurrentMatches, skipDates, groupCount, qualifiersPerGroup, venue and
+// teamIds (in seeding order; defaults to the registered teams).
+app.post('/api/events/:id/fixtures/generate', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { format, slots, concurrentMatches, skipDates, groupCount, qualifiersPerGroup, venue } = req.body;
+
+    if (!Array.isArray(slots) || slots.length === 0 || !slots.every(slot => /^\d{2}:\d{2}$/.test(slot))) {
+      return res.status(400).json({ error: 'Slots must be a non-empty list of times (HH:MM)' });
+    }
+
+    conn = await pool.getConnection();
+
+    const events = await conn.query('SELECT * FROM events WHERE id = ?', [id]);
+    if (events.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = events[0];
+    if (event.fixturesPublishedAt) {
+      conn.release();
+      return res.status(409).json({ error: 'Fixtures are already published and cannot be regenerated' });
+    }
+
+    let teamIds;
+    if (Array.isArray(req.body.teamIds) && req.body.teamIds.length > 0) {
+      teamIds = req.body.teamIds.map(Number);
+      if (new Set(teamIds).size !== teamIds.length) {
+        conn.release();
+        return res.status(400).json({ error: 'A team cannot be listed more than once' });
+      }
+      const teams = await conn.query('SELECT id FROM teams WHERE id IN (?)', [teamIds]);
+      if (teams.length !== new Set(teamIds).size) {
+        conn.release();
+        return res.status(400).json({ error: 'One or more teams were not found' });
+      }
+    } else {
+      const registered = await conn.query('SELECT teamId FROM event_teams WHERE eventId = ? ORDER BY createdAt ASC, id ASC', [id]);
+      teamIds = registered.map(row => row.teamId);
+    }
+
+    let matches;
+    try {
+      matches = scheduleMatches(
+        generateFixtures(format, teamIds, { groupCount, qualifiersPerGroup }),
+        {
+          startDate: req.body.startDate ? toDateString(req.body.startDate) : toDateString(event.startDate),
+          slots,
+          concurrentMatches,
+          skipDates: Array.isArray(skipDates) ? skipDates.map(toDateString) : [],
+        }
+      );
+    } catch (generationError) {
+      conn.release();
+      return res.status(400).json({ error: generationError.message });
+    }
+
+    await conn.beginTransaction();
+    try {
+      await conn.query('DELETE FROM matches WHERE eventId = ?', [id]);
+
+      const idsByKey = {};
+      const numbersByKey = {};
+      matches.forEach((match, index) => {
+        numbersByKey[match.key] = index + 1;
+      });
+
+      // Knockout placeholders point at the feeding match by number
+      const describeSource = (source) => {
+        if (!source) return null;
+        return source.startsWith('W:') ? `Winner #${numbersByKey[source.slice(2)]}` : source;
+      };
+
+      for (const match of matches) {
+        const result = await conn.query(
+          `INSERT INTO matches (eventId, matchNumber, stage, groupName, round, homeTeamId, awayTeamId, homeSource, awaySource, scheduledAt, venue)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            id,
+            numbersByKey[match.key],
+            match.stage,
+            match.groupName,
+            match.round,
+            match.homeTeamId,
+            match.awayTeamId,
+            describeSource(match.homeSource),
+            describeSource(match.awaySource),
+            match.scheduledAt,
+            venue ? venue.trim() : event.venue
+          ]
+        );
+        idsByKey[match.key] = result.insertId;
+      }
+
+      for (const match of matches.filter(m => m.nextKey)) {
+        await conn.query(
+          'UPDATE matches SET nextMatchId = ?, nextMatchSlot = ? WHERE id = ?',
+          [idsByKey[match.nextKey], match.nextSlot, idsByKey[match.key]]
+        );
+      }
+
+      await conn.query('UPDATE events SET fixtureFormat = ? WHERE id = ?', [format, id]);
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const saved = await fetchEventMatches(conn, id);
+    conn.release();
+    await recordAudit(req, 'create', 'fixtures', id, null, { format, teamIds, matchCount: saved.length });
+    res.status(201).json({ success: true, format, matches: saved });
+  } catch (error) {
+    console.error('Error generating fixtures:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to generate fixtures', details: error.message });
+  }
+});
+
+// Publish the fixtures of an event. Teams can no longer be regenerated or swapped afterwards.
+app.post('/api/events/:id/fixtures/publish', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const events = await conn.query('SELECT id, fixturesPublishedAt FROM events WHERE id = ?', [id]);
+    if (events.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (events[0].fixturesPublishedAt) {
+      conn.release();
+      return res.status(409).json({ error: 'Fixtures are already published' });
+    }
+
+    const count = await conn.query('SELECT COUNT(*) as count FROM matches WHERE eventId = ?', [id]);
+    if (Number(count[0].count) === 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Generate fixtures before publishing' });
+    }
+
+    await conn.query('UPDATE events SET fixturesPublishedAt = NOW() WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'update', 'event', id, { fixturesPublished: false }, { fixturesPublished: true });
+    res.json({ success: true, message: 'Fixtures published successfully' });
+  } catch (error) {
+    console.error('Error publishing fixtures:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to publish fixtures' });
+  }
+});
+
+// Delete the draft fixtures of an event
+app.delete('/api/events/:id/fixtures', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const events = await conn.query('SELECT id, fixturesPublishedAt FROM events WHERE id = ?', [id]);
+    if (events.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (events[0].fixturesPublishedAt) {
+      conn.release();
+      return res.status(409).json({ error: 'Published fixtures cannot be deleted' });
+    }
+
+    await conn.query('DELETE FROM matches WHERE eventId = ?', [id]);
+    await conn.query('UPDATE events SET fixtureFormat = NULL WHERE id = ?', [id]);
+    conn.release();
+    await recordAudit(req, 'delete', 'fixtures', id, { eventId: Number(id) }, null);
+    res.json({ success: true, message: 'Fixtures deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting fixtures:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete fixtures' });
+  }
+});
+
+// Adjust a single fixture. Date, time and venue can always change; the teams
+// only until the fixtures are published.
+app.put('/api/matches/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { scheduledAt, venue, homeTeamId, awayTeamId } = req.body;
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(
+      `SELECT m.*, e.fixturesPublishedAt FROM matches m JOIN events e ON m.eventId = e.id WHERE m.id = ?`,
+      [id]
+    );
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const match = existing[0];
+    const changesTeams = homeTeamId !== undefined || awayTeamId !== undefined;
+
+    if (changesTeams && match.fixturesPublishedAt) {
+      conn.release();
+      return res.status(409).json({ error: 'Teams cannot be changed after fixtures are published' });
+    }
+
+    const newHome = homeTeamId !== undefined ? (homeTeamId || null) : match.homeTeamId;
+    const newAway = awayTeamId !== undefined ? (awayTeamId || null) : match.awayTeamId;
+
+    if (newHome && newAway && Number(newHome) === Number(newAway)) {
+      conn.release();
+      return res.status(400).json({ error: 'A team cannot play itself' });
+    }
+
+    const teamIds = [newHome, newAway].filter(Boolean);
+    if (teamIds.length > 0) {
+      const teams = await conn.query('SELECT id FROM teams WHERE id IN (?)', [teamIds]);
+      if (teams.length !== teamIds.length) {
+        conn.release();
+        return res.status(400).json({ error: 'Team not found' });
+      }
+    }
+
+    await conn.query(
+      `UPDATE matches SET scheduledAt = ?, venue = ?, homeTeamId = ?, awayTeamId = ?,
+         homeSource = IF(? IS NULL, homeSource, NULL), awaySource = IF(? IS NULL, awaySource, NULL)
+       WHERE id = ?`,
+      [
+        scheduledAt !== undefined ? (scheduledAt || null) : match.scheduledAt,
+        venue !== undefined ? (venue ? venue.trim() : null) : match.venue,
+        newHome,
+        newAway,
+        newHome,
+        newAway,
+        id
+      ]
+    );
+
+    const updated = await fetchMatch(conn, id);
+
+    conn.release();
+    const { fixturesPublishedAt, ...before } = match;
+    await recordAudit(req, 'update', 'match', id, before, updated);
+    res.json({ success: true, match: updated });
+  } catch (error) {
+    console.error('Error updating match:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update match' });
+  }
+});
+
+// ==================== RESULTS & STANDINGS API ENDPOINTS ====================
+
+// Scoring rules of the event's sport, or the defaults when it has none
+const loadScoringRules = async (conn, eventId) => {
+  const rows = await conn.query(
+    `SELECT sp.pointsWin, sp.pointsDraw, sp.pointsLoss, sp.tieBreakers
+     FROM events e
+     LEFT JOIN sports sp ON e.sportId = sp.id
+     WHERE e.id = ?`,
+    [eventId]
+  );
+  const sport = rows[0] && rows[0].pointsWin !== null ? rows[0] : defaultScoringRules;
+  return {
+    pointsWin: sport.pointsWin,
+    pointsDraw: sport.pointsDraw,
+    pointsLoss: sport.pointsLoss,
+    tieBreakers: parseTieBreakers(sport.tieBreakers) || [],
+  };
+};
+
+// League and group tables of an event, one per group (groupName null for a league)
+const buildStandings = async (conn, eventId, rules) => {
+  const matches = await conn.query(
+    `SELECT m.groupName, m.homeTeamId, ht.name as homeTeamName, m.awayTeamId, awt.name as awayTeamName,
+       m.homeScore, m.awayScore, m.resultType, m.winnerTeamId, m.status
+     FROM matches m
+     LEFT JOIN teams ht ON m.homeTeamId = ht.id
+     LEFT JOIN teams awt ON m.awayTeamId = awt.id
+     WHERE m.eventId = ? AND m.stage IN ('league', 'group')
+     ORDER BY m.groupName ASC, m.matchNumber ASC`,
+    [eventId]
+  );
+
+  const groups = new Map();
+  for (const match of matches) {
+    const key = match.groupName || null;
+    if (!groups.has(key)) {
+      groups.set(key, { teams: new Map(), completed: [], remaining: 0 });
+    }
+    const group = groups.get(key);
+    if (match.homeTeamId) group.teams.set(match.homeTeamId, { id: match.homeTeamId, name: match.homeTeamName });
+    if (match.awayTeamId) group.teams.set(match.awayTeamId, { id: match.awayTeamId, name: match.awayTeamName });
+    if (match.status === 'completed') {
+      group.completed.push(match);
+    } else if (match.status === 'scheduled') {
+      group.remaining++;
+    }
+  }
+
+  return [...groups.entries()].map(([groupName, group]) => ({
+    groupName,
+    complete: group.remaining === 0,
+    standings: computeStandings([...group.teams.values()], group.completed, rules),
+  }));
+};
+
+// Validate a result payload against a match. Returns { result } with the
+// columns to store, or { error }.
+const validateResult = (match, body) => {
+  const walkover = body.resultType === 'walkover';
+  if (body.resultType !== undefined && !['normal', 'walkover'].includes(body.resultType)) {
+    return { error: 'Result type must be normal or walkover' };
+  }
+
+  const scoreOf = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const homeScore = scoreOf(body.homeScore);
+  const awayScore = scoreOf(body.awayScore);
+
+  for (const score of [homeScore, awayScore]) {
+    if (score !== null && (!Number.isInteger(score) || score < 0)) {
+      return { error: 'Scores must be whole numbers of zero or more' };
+    }
+  }
+  if (!walkover && (homeScore === null || awayScore === null)) {
+    return { error: 'Home and away scores are required' };
+  }
+
+  const winnerTeamId = body.winnerTeamId ? Number(body.winnerTeamId) : null;
+  if (winnerTeamId && winnerTeamId !== match.homeTeamId && winnerTeamId !== match.awayTeamId) {
+    return { error: 'Winner must be one of the two teams in the match' };
+  }
+
+  if (walkover) {
+    if (!winnerTeamId) {
+      return { error: 'Winner is required for a walkover' };
+    }
+    return { result: { homeScore, awayScore, resultType: 'walkover', winnerTeamId } };
+  }
+
+  if (homeScore === awayScore) {
+    if (match.stage === 'knockout') {
+      // Level knockout matches are decided another way (extra time, penalties, toss)
+      if (!winnerTeamId) {
+        return { error: 'Knockout matches cannot end in a draw. Provide the winner.' };
+      }
+      return { result: { homeScore, awayScore, resultType: 'normal', winnerTeamId } };
+    }
+    if (winnerTeamId) {
+      return { error: 'A level score is a draw and cannot have a winner' };
+    }
+    return { result: { homeScore, awayScore, resultType: 'draw', winnerTeamId: null } };
+  }
+
+  const scoreWinner = matchWinner({ ...match, homeScore, awayScore, resultType: 'normal', winnerTeamId: null });
+  if (winnerTeamId && winnerTeamId !== scoreWinner) {
+    return { error: 'Winner does not match the score' };
+  }
+  return { result: { homeScore, awayScore, resultType: 'normal', winnerTeamId: scoreWinner } };
+};
+
+// Record (or correct) the result of a match. Knockout winners move into
+// their next match and completed groups fill the knockout slots they feed.
+app.put('/api/matches/:id/result', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(
+      `SELECT m.*, e.fixturesPublishedAt FROM matches m JOIN events e ON m.eventId = e.id WHERE m.id = ?`,
+      [id]
+    );
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const match = existing[0];
+    if (!match.fixturesPublishedAt) {
+      conn.release();
+      return res.status(409).json({ error: 'Fixtures must be published before results are recorded' });
+    }
+    if (match.status === 'cancelled') {
+      conn.release();
+      return res.status(409).json({ error: 'Cannot record a result for a cancelled match' });
+    }
+    if (!match.homeTeamId || !match.awayTeamId) {
+      conn.release();
+      return res.status(400).json({ error: 'Both teams must be known before a result is recorded' });
+    }
+
+    const { result, error: resultError } = validateResult(match, req.body);
+    if (resultError) {
+      conn.release();
+      return res.status(400).json({ error: resultError });
+    }
+
+    // A changed winner cannot be moved on once the next match has been played
+    if (match.nextMatchId && match.status === 'completed' && match.winnerTeamId !== result.winnerTeamId) {
+      const next = await conn.query('SELECT status FROM matches WHERE id = ?', [match.nextMatchId]);
+      if (next.length > 0 && next[0].status === 'completed') {
+        conn.release();
+        return res.status(409).json({ error: 'The next match already has a result. Correct that result first.' });
+      }
+    }
+
+    await conn.beginTransaction();
+    try {
+      await conn.query(
+        `UPDATE matches SET homeScore = ?, awayScore = ?, resultType = ?, winnerTeamId = ?,
+           status = 'completed', resultRecordedAt = NOW()
+         WHERE id = ?`,
+        [result.homeScore, result.awayScore, result.resultType, result.winnerTeamId, id]
+      );
+
+      if (match.nextMatchId) {
+        const column = match.nextMatchSlot === 'away' ? 'awayTeamId' : 'homeTeamId';
+        await conn.query(`UPDATE matches SET ${column} = ? WHERE id = ?`, [result.winnerTeamId, match.nextMatchId]);
+      }
+
+      if (match.stage === 'group') {
+        const rules = await loadScoringRules(conn, match.eventId);
+        const tables = await buildStandings(conn, match.eventId, rules);
+        const group = tables.find(table => table.groupName === match.groupName);
+
+        if (group && group.complete) {
+          for (const row of group.standings) {
+            const source = `${match.groupName}${row.position}`;
+            await conn.query(
+              `UPDATE matches SET homeTeamId = ? WHERE eventId = ? AND stage = 'knockout' AND homeSource = ? AND status = 'scheduled'`,
+              [row.teamId, match.eventId, source]
+            );
+            await conn.query(
+              `UPDATE matches SET awayTeamId = ? WHERE eventId = ? AND stage = 'knockout' AND awaySource = ? AND status = 'scheduled'`,
+              [row.teamId, match.eventId, source]
+            );
+          }
+        }
+      }
+
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const updated = await fetchMatch(conn, id);
+    conn.release();
+    const { fixturesPublishedAt, ...before } = match;
+    await recordAudit(req, 'update', 'match', id, before, updated);
+    res.json({ success: true, match: updated });
+  } catch (error) {
+    console.error('Error recording match result:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to record match result' });
+  }
+});
+
+// Get the current league or group tables of an event
+app.get('/api/events/:id/standings', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const events = await conn.query('SELECT id, fixtureFormat, fixturesPublishedAt FROM events WHERE id = ?', [id]);
+    if (events.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = events[0];
+    const isAdmin = req.user && req.user.role === 'admin';
+    if (!event.fixturesPublishedAt && !isAdmin) {
+      conn.release();
+      return res.json({ eventId: event.id, format: event.fixtureFormat, published: false, tables: [] });
+    }
+
+    const rules = await loadScoringRules(conn, id);
+    const tables = await buildStandings(conn, id, rules);
+
+    conn.release();
+    res.json({
+      eventId: event.id,
+      format: event.fixtureFormat,
+      published: Boolean(event.fixturesPublishedAt),
+      rules,
+      tables,
+    });
+  } catch (error) {
+    console.error('Error fetching standings:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch standings' });
+  }
+});
+
+// ==================== MATCH LINEUPS API ENDPOINTS ====================
+
+// Players a team names for a match. They come from the team's roster in the
+// active season and may not be unfit to play.
+const fetchMatchLineups = async (conn, matchId) => {
+  const season = await getActiveSeason(conn);
+  return conn.query(
+    `SELECT ml.id, ml.matchId, ml.teamId, t.name as teamName, ml.studentId, s.name as studentName,
+            tr.jerseyNumber, ml.position, ml.isStarting, ml.createdAt
+     FROM match_lineups ml
+     JOIN teams t ON ml.teamId = t.id
+     JOIN students s ON ml.studentId = s.id
+     LEFT JOIN team_roster tr ON tr.teamId = ml.teamId AND tr.studentId = ml.studentId AND tr.seasonId = ?
+     WHERE ml.matchId = ?
+     ORDER BY t.name ASC, ml.isStarting DESC, tr.jerseyNumber ASC, s.name ASC`,
+    [season ? season.id : null, matchId]
+  );
+};
+
+// Get the lineups of a match
+app.get('/api/matches/:id/lineups', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const matches = await conn.query('SELECT id, homeTeamId, awayTeamId FROM matches WHERE id = ?', [id]);
+    if (matches.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const lineups = await fetchMatchLineups(conn, id);
+    conn.release();
+    res.json({
+      matchId: matches[0].id,
+      home: lineups.filter(entry => entry.teamId === matches[0].homeTeamId),
+      away: lineups.filter(entry => entry.teamId === matches[0].awayTeamId),
+    });
+  } catch (error) {
+    console.error('Error fetching match lineups:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch match lineups' });
+  }
+});
+
+// Name a player in a team's lineup (teamId, studentId, optional isStarting and position)
+app.post('/api/matches/:id/lineups', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { teamId, studentId, position } = req.body;
+    const isStarting = req.body.isStarting === undefined ? true : req.body.isStarting === true || req.body.isStarting === 'true';
+
+    if (!teamId || !studentId) {
+      return res.status(400).json({ error: 'Team ID and student ID are required' });
+    }
+    if (!canManageTeam(req, teamId)) {
+      return res.status(403).json({ error: 'Managers can only name lineups for their own team' });
+    }
+
+    conn = await pool.getConnection();
+
+    const matches = await conn.query('SELECT id, homeTeamId, awayTeamId, status FROM matches WHERE id = ?', [id]);
+    if (matches.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    const match = matches[0];
+    if (match.homeTeamId !== Number(teamId) && match.awayTeamId !== Number(teamId)) {
+      conn.release();
+      return res.status(400).json({ error: 'The team does not play in this match' });
+    }
+    if (match.status !== 'scheduled') {
+      conn.release();
+      return res.status(400).json({ error: `Lineups cannot be changed for a ${match.status} match` });
+    }
+
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
+    const roster = await conn.query(
+      `SELECT tr.id, s.name FROM team_roster tr JOIN students s ON tr.studentId = s.id
+       WHERE tr.teamId = ? AND tr.seasonId = ? AND tr.studentId = ?`,
+      [teamId, season.id, studentId]
+    );
+    if (roster.length === 0) {
+      conn.release();
+      return res.status(400).json({ error: 'The student is not on the team roster this season' });
+    }
+
+    const injury = await findUnfitInjury(conn, studentId);
+    if (injury) {
+      conn.release();
+      return res.status(400).json({ error: unfitMessage(injury, roster[0].name), injuryId: injury.id });
+    }
+
+    const result = await conn.query(
+      'INSERT INTO match_lineups (matchId, teamId, studentId, isStarting, position) VALUES (?, ?, ?, ?, ?)',
+      [id, teamId, studentId, isStarting, position && String(position).trim() ? String(position).trim() : null]
+    );
+    const entry = (await fetchMatchLineups(conn, id)).find(row => row.id === Number(result.insertId));
+
+    conn.release();
+    await recordAudit(req, 'create', 'match_lineup', result.insertId, null, entry);
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    console.error('Error adding player to lineup:', error);
+    if (conn) conn.release();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'The student is already in the lineup for this match' });
+    }
+    res.status(500).json({ error: 'Failed to add player to lineup' });
+  }
+});
+
+// Remove a player from a lineup
+app.delete('/api/matches/:id/lineups/:entryId', async (req, res) => {
+  let conn;
+  try {
+    const { id, entryId } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(
+      `SELECT ml.*, m.status as matchStatus FROM match_lineups ml JOIN matches m ON ml.matchId = m.id
+       WHERE ml.id = ? AND ml.matchId = ?`,
+      [entryId, id]
+    );
+    if (existing.length === 0 || !canManageTeam(req, existing[0].teamId)) {
+      conn.release();
+      return res.status(404).json({ error: 'Lineup entry not found' });
+    }
+    if (existing[0].matchStatus !== 'scheduled') {
+      conn.release();
+      return res.status(400).json({ error: `Lineups cannot be changed for a ${existing[0].matchStatus} match` });
+    }
+
+    const { matchStatus, ...entry } = existing[0];
+    await conn.query('DELETE FROM match_lineups WHERE id = ?', [entryId]);
+    conn.release();
+    await recordAudit(req, 'delete', 'match_lineup', entryId, entry, null);
+    res.json({ success: true, message: 'Player removed from lineup' });
+  } catch (error) {
+    console.error('Error removing player from lineup:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to remove player from lineup' });
+  }
+});
+
+// ==================== VENUES API ENDPOINTS ====================
+
+const venueColumns = 'id, name, type, location, capacity, description, isActive, createdAt, updatedAt';
+
+// Validate a venue payload. Returns the values to store, or { error }.
+const validateVenue = (body) => {
+  const { name, type, location, capacity, description, isActive } = body;
+
+  if (!name || !name.trim()) {
+    return { error: 'Venue name is required' };
+  }
+  if (capacity !== undefined && capacity !== null && capacity !== '' &&
+      (!Number.isInteger(Number(capacity)) || Number(capacity) < 0)) {
+    return { error: 'Capacity must be a whole number' };
+  }
+
+  return {
+    values: {
+      name: name.trim(),
+      type: type ? type.trim() : null,
+      location: location ? location.trim() : null,
+      capacity: capacity !== undefined && capacity !== null && capacity !== '' ? Number(capacity) : null,
+      description: description ? description.trim() : null,
+      isActive: isActive === undefined ? true : Boolean(isActive),
+    },
+  };
+};
+
+// Get all venues (?active=true for bookable venues only)
+app.get('/api/venues', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const venues = await conn.query(
+      `SELECT ${venueColumns} FROM venues ${req.query.active === 'true' ? 'WHERE isActive = TRUE' : ''} ORDER BY name ASC`
+    );
+    conn.release();
+    res.json(venues);
+  } catch (error) {
+    console.error('Error fetching venues:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch venues' });
+  }
+});
+
+// Get venue by ID
+app.get('/api/venues/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+    const venues = await conn.query(`SELECT ${venueColumns} FROM venues WHERE id = ?`, [id]);
+    conn.release();
+
+    if (venues.length === 0) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    res.json(venues[0]);
+  } catch (error) {
+    console.error('Error fetching venue:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch venue' });
+  }
+});
+
+// Create new venue
+app.post('/api/venues', async (req, res) => {
+  let conn;
+  try {
+    const { values, error: validationError } = validateVenue(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query('SELECT id FROM venues WHERE name = ?', [values.name]);
+    if (existing.length > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Venue name already exists' });
+    }
+
+    const result = await conn.query(
+      'INSERT INTO venues (name, type, location, capacity, description, isActive) VALUES (?, ?, ?, ?, ?, ?)',
+      [values.name, values.type, values.location, values.capacity, values.description, values.isActive]
+    );
+
+    const newVenue = await conn.query(`SELECT ${venueColumns} FROM venues WHERE id = ?`, [result.insertId]);
+
+    conn.release();
+    await recordAudit(req, 'create', 'venue', result.insertId, null, newVenue[0]);
+    res.status(201).json({ success: true, venue: newVenue[0] });
+  } catch (error) {
+    console.error('Error creating venue:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create venue', details: error.message });
+  }
+});
+
+// Update venue
+app.put('/api/venues/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { values, error: validationError } = validateVenue(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(`SELECT ${venueColumns} FROM venues WHERE id = ?`, [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    const nameCheck = await conn.query('SELECT id FROM venues WHERE name = ? AND id != ?', [values.name, id]);
+    if (nameCheck.length > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Venue name already exists' });
+    }
+
+    await conn.query(
+      'UPDATE venues SET name = ?, type = ?, location = ?, capacity = ?, description = ?, isActive = ? WHERE id = ?',
+      [values.name, values.type, values.location, values.capacity, values.description, values.isActive, id]
+    );
+
+    const updated = await conn.query(`SELECT ${venueColumns} FROM venues WHERE id = ?`, [id]);
+
+    conn.release();
+    await recordAudit(req, 'update', 'venue', id, existing[0], updated[0]);
+    res.json({ success: true, venue: updated[0] });
+  } catch (error) {
+    console.error('Error updating venue:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update venue' });
+  }
+});
+
+// Delete venue. Venues with upcoming bookings can only be deactivated.
+app.delete('/api/venues/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await conn.query(`SELECT ${venueColumns} FROM venues WHERE id = ?`, [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    const upcoming = await conn.query(
+      "SELECT COUNT(*) as count FROM venue_bookings WHERE venueId = ? AND status = 'confirmed' AND endAt > NOW()",
+      [id]
+    );
+    if (Number(upcoming[0].count) > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Cannot delete venue. It has upcoming bookings. Deactivate it instead.' });
+    }
+
+    await conn.query('DELETE FROM venues WHERE id = ?', [id]);
+
+    conn.release();
+    await recordAudit(req, 'delete', 'venue', id, existing[0], null);
+    res.json({ success: true, message: 'Venue deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting venue:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete venue' });
+  }
+});
+
+// Booked and free periods of a venue between two dates (inclusive).
+// Defaults to the next seven days.
+app.get('/api/venues/:id/availability', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const from = toDateString(req.query.from || new Date());
+    const to = toDateString(req.query.to || new Date(Date.now() + 6 * 24 * 60 * 60 * 1000));
+
+    if (!from || !to || to < from) {
+      return res.status(400).json({ error: 'Provide a valid from and to date (YYYY-MM-DD)' });
+    }
+
+    const rangeStart = `${from} 00:00:00`;
+    const rangeEnd = toDateTimeString(new Date(new Date(`${to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000));
+
+    conn = await pool.getConnection();
+
+    const venues = await conn.query(`SELECT ${venueColumns} FROM venues WHERE id = ?`, [id]);
+    if (venues.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    const bookings = await conn.query(
+      `SELECT id, purpose, title, startAt, endAt, practiceSessionId, matchId, eventId
+       FROM venue_bookings
+       WHERE venueId = ? AND status = 'confirmed' AND startAt < ? AND endAt > ?
+       ORDER BY startAt ASC`,
+      [id, rangeEnd, rangeStart]
+    );
+
+    // Gaps between bookings within the range
+    const free = [];
+    let cursor = rangeStart;
+    for (const booking of bookings) {
+      const startAt = toDateTimeString(booking.startAt);
+      const endAt = toDateTimeString(booking.endAt);
+      if (startAt > cursor) {
+        free.push({ startAt: cursor, endAt: startAt });
+      }
+      if (endAt > cursor) {
+        cursor = endAt;
+      }
+    }
+    if (cursor < rangeEnd) {
+      free.push({ startAt: cursor, endAt: rangeEnd });
+    }
+
+    conn.release();
+    res.json({ venue: venues[0], from, to, bookings, free });
+  } catch (error) {
+    console.error('Error fetching venue availability:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch venue availability' });
+  }
+});
+
+// ==================== VENUE BOOKINGS API ENDPOINTS ====================
+
+const bookingPurposes = ['practice', 'match', 'event', 'other'];
+
+const bookingColumns = `b.id, b.venueId, v.name as venueName, b.purpose, b.title, b.startAt, b.endAt,
+  b.practiceSessionId, b.matchId, b.eventId, b.notes, b.status, b.bookedByType, b.bookedById,
+  b.createdAt, b.updatedAt`;
+
+const findBooking = async (conn, id) => {
+  const bookings = await conn.query(
+    `SELECT ${bookingColumns} FROM venue_bookings b JOIN venues v ON b.venueId = v.id WHERE b.id = ?`,
+    [id]
+  );
+  return bookings[0];
+};
+
+// Admins manage every booking, managers only their own
+const canManageBooking = (req, booking) => {
+  return req.user.role === 'admin' ||
+    (booking.bookedByType === req.user.role && booking.bookedById === req.user.id);
+};
+
+// Validate a booking payload. Returns the values to store, or { error, status }.
+const validateBooking = async (conn, req) => {
+  const { venueId, purpose, title, startAt, endAt, practiceSessionId, matchId, eventId, notes } = req.body;
+
+  if (!venueId || !startAt || !endAt) {
+    return { error: 'Venue, start and end time are required' };
+  }
+  if (!bookingPurposes.includes(purpose)) {
+    return { error: `Purpose must be one of: ${bookingPurposes.join(', ')}` };
+  }
+  if (req.user.role !== 'admin' && (purpose === 'match' || purpose === 'event')) {
+    return { error: 'Only admins can book venues for matches and events', status: 403 };
+  }
+
+  const start = toDateTimeString(startAt);
+  const end = toDateTimeString(endAt);
+  if (!start || !end) {
+    return { error: 'Invalid start or end time' };
+  }
+  if (end <= start) {
+    return { error: 'End time must be after the start time' };
+  }
+
+  const venues = await conn.query('SELECT id, isActive FROM venues WHERE id = ?', [venueId]);
+  if (venues.length === 0) {
+    return { error: 'Venue not found' };
+  }
+  if (!venues[0].isActive) {
+    return { error: 'Venue is not available for booking' };
+  }
+
+  let defaultTitle = 'Booking';
+  if (practiceSessionId) {
+    const sessions = req.user.role === 'admin'
+      ? await conn.query('SELECT id FROM practice_sessions WHERE id = ?', [practiceSessionId])
+      : await conn.query('SELECT id FROM practice_sessions WHERE id = ? AND managerId = ?', [practiceSessionId, req.user.id]);
+    if (sessions.length === 0) {
+      return { error: 'Practice session not found' };
+    }
+    defaultTitle = 'Practice session';
+  }
+  if (matchId) {
+    const matches = await conn.query('SELECT matchNumber FROM matches WHERE id = ?', [matchId]);
+    if (matches.length === 0) {
+      return { error: 'Match not found' };
+    }
+    defaultTitle = `Match #${matches[0].matchNumber}`;
+  }
+  if (eventId) {
+    const events = await conn.query('SELECT name FROM events WHERE id = ?', [eventId]);
+    if (events.length === 0) {
+      return { error: 'Event not found' };
+    }
+    defaultTitle = events[0].name;
+  }
+
+  return {
+    values: {
+      venueId: Number(venueId),
+      purpose,
+      title: title && title.trim() ? title.trim() : defaultTitle,
+      startAt: start,
+      endAt: end,
+      practiceSessionId: practiceSessionId || null,
+      matchId: matchId || null,
+      eventId: eventId || null,
+      notes: notes ? notes.trim() : null,
+    },
+  };
+};
+
+// Lock the venue row and look for a confirmed booking overlapping the period.
+// Must run inside a transaction so two requests cannot book the same slot.
+const findConflictingBooking = async (conn, venueId, startAt, endAt, excludeId) => {
+  await conn.query('SELECT id FROM venues WHERE id = ? FOR UPDATE', [venueId]);
+  const conflicts = await conn.query(
+    `SELECT ${bookingColumns}
+     FROM venue_bookings b JOIN venues v ON b.venueId = v.id
+     WHERE b.venueId = ? AND b.status = 'confirmed' AND b.startAt < ? AND b.endAt > ? AND b.id != ?
+     ORDER BY b.startAt ASC
+     LIMIT 1`,
+    [venueId, endAt, startAt, excludeId || 0]
+  );
+  return conflicts[0];
+};
+
+const sendBookingConflict = (res, conflict) => {
+  res.status(409).json({
+    error: `${conflict.venueName} is already booked for "${conflict.title}" from ${toDateTimeString(conflict.startAt)} to ${toDateTimeString(conflict.endAt)}`,
+    conflict,
+  });
+};
+
+// Get bookings (filters: venueId, from, to, purpose, status). Managers see their own.
+app.get('/api/venue-bookings', async (req, res) => {
+  let conn;
+  try {
+    const { venueId, from, to, purpose, status } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (req.user.role !== 'admin') {
+      conditions.push('b.bookedByType = ? AND b.bookedById = ?');
+      params.push(req.user.role, req.user.id);
+    }
+    if (venueId) {
+      conditions.push('b.venueId = ?');
+      params.push(venueId);
+    }
+    if (from) {
+      conditions.push('b.endAt > ?');
+      params.push(`${toDateString(from)} 00:00:00`);
+    }
+    if (to) {
+      conditions.push('b.startAt < ? + INTERVAL 1 DAY');
+      params.push(`${toDateString(to)} 00:00:00`);
+    }
+    if (purpose) {
+      conditions.push('b.purpose = ?');
+      params.push(purpose);
+    }
+    if (status) {
+      conditions.push('b.status = ?');
+      params.push(status);
+    }
+
+    conn = await pool.getConnection();
+
+    const bookings = await conn.query(
+      `SELECT ${bookingColumns}
+       FROM venue_bookings b JOIN venues v ON b.venueId = v.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY b.startAt ASC`,
+      params
+    );
+
+    conn.release();
+    res.json(bookings);
+  } catch (error) {
+    console.error('Error fetching venue bookings:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch venue bookings' });
+  }
+});
+
+// Book a venue. Overlapping confirmed bookings are rejected with 409.
+app.post('/api/venue-bookings', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { values, error: validationError, status } = await validateBooking(conn, req);
+    if (validationError) {
+      conn.release();
+      return res.status(status || 400).json({ error: validationError });
+    }
+
+    await conn.beginTransaction();
+    let bookingId;
+    try {
+      const conflict = await findConflictingBooking(conn, values.venueId, values.startAt, values.endAt);
+      if (conflict) {
+        await conn.rollback();
+        conn.release();
+        return sendBookingConflict(res, conflict);
+      }
+
+      const result = await conn.query(
+        `INSERT INTO venue_bookings (venueId, purpose, title, startAt, endAt, practiceSessionId, matchId, eventId, notes, bookedByType, bookedById)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [values.venueId, values.purpose, values.title, values.startAt, values.endAt, values.practiceSessionId,
+          values.matchId, values.eventId, values.notes, req.user.role, req.user.id]
+      );
+      bookingId = result.insertId;
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const booking = await findBooking(conn, bookingId);
+
+    conn.release();
+    await recordAudit(req, 'create', 'venue_booking', bookingId, null, booking);
+    res.status(201).json({ success: true, booking });
+  } catch (error) {
+    console.error('Error creating venue booking:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create venue booking', details: error.message });
+  }
+});
+
+// Change a booking (venue, time, details)
+app.put('/api/venue-bookings/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findBooking(conn, id);
+    if (!existing || !canManageBooking(req, existing)) {
+      conn.release();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (existing.status === 'cancelled') {
+      conn.release();
+      return res.status(400).json({ error: 'Cancelled bookings cannot be changed' });
+    }
+
+    const { values, error: validationError, status } = await validateBooking(conn, req);
+    if (validationError) {
+      conn.release();
+      return res.status(status || 400).json({ error: validationError });
+    }
+
+    await conn.beginTransaction();
+    try {
+      const conflict = await findConflictingBooking(conn, values.venueId, values.startAt, values.endAt, id);
+      if (conflict) {
+        await conn.rollback();
+        conn.release();
+        return sendBookingConflict(res, conflict);
+      }
+
+      await conn.query(
+        `UPDATE venue_bookings SET venueId = ?, purpose = ?, title = ?, startAt = ?, endAt = ?,
+           practiceSessionId = ?, matchId = ?, eventId = ?, notes = ?
+         WHERE id = ?`,
+        [values.venueId, values.purpose, values.title, values.startAt, values.endAt, values.practiceSessionId,
+          values.matchId, values.eventId, values.notes, id]
+      );
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const booking = await findBooking(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'venue_booking', id, existing, booking);
+    res.json({ success: true, booking });
+  } catch (error) {
+    console.error('Error updating venue booking:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update venue booking' });
+  }
+});
+
+// Cancel a booking. The record is kept so the history stays visible.
+app.delete('/api/venue-bookings/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findBooking(conn, id);
+    if (!existing || !canManageBooking(req, existing)) {
+      conn.release();
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    await conn.query("UPDATE venue_bookings SET status = 'cancelled' WHERE id = ?", [id]);
+
+    conn.release();
+    await recordAudit(req, 'update', 'venue_booking', id, existing, { ...existing, status: 'cancelled' });
+    res.json({ success: true, message: 'Booking cancelled successfully' });
+  } catch (error) {
+    console.error('Error cancelling venue booking:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to cancel venue booking' });
+  }
+});
+
+// ==================== EQUIPMENT API ENDPOINTS ====================
+
+const equipmentConditions = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+const equipmentColumns = `ei.id, ei.name, ei.sportId, sp.name as sportName, ei.category, ei.totalQuantity,
+  ei.availableQuantity, ei.itemCondition as \`condition\`, ei.notes, ei.createdAt, ei.updatedAt`;
+
+const findEquipmentItem = async (conn, id) => {
+  const items = await conn.query(
+    `SELECT ${equipmentColumns} FROM equipment_items ei LEFT JOIN sports sp ON ei.sportId = sp.id WHERE ei.id = ?`,
+    [id]
+  );
+  return items[0];
+};
+
+// Validate an equipment item payload. Returns the values to store, or { error }.
+const validateEquipmentItem = async (conn, body) => {
+  const { name, sportId, category, totalQuantity, condition, notes } = body;
+
+  if (!name || !name.trim()) {
+    return { error: 'Item name is required' };
+  }
+  const quantity = Number(totalQuantity);
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    return { error: 'Total quantity must be a whole number of zero or more' };
+  }
+  if (condition && !equipmentConditions.includes(condition)) {
+    return { error: `Condition must be one of: ${equipmentConditions.join(', ')}` };
+  }
+  if (sportId) {
+    const sports = await conn.query('SELECT id FROM sports WHERE id = ?', [sportId]);
+    if (sports.length === 0) {
+      return { error: 'Sport not found' };
+    }
+  }
+
+  return {
+    values: {
+      name: name.trim(),
+      sportId: sportId || null,
+      category: category ? category.trim() : null,
+      totalQuantity: quantity,
+      condition: condition || 'good',
+      notes: notes ? notes.trim() : null,
+    },
+  };
+};
+
+// Get all equipment (filters: sportId, category)
+app.get('/api/equipment', async (req, res) => {
+  let conn;
+  try {
+    const { sportId, category } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (sportId) {
+      conditions.push('ei.sportId = ?');
+      params.push(sportId);
+    }
+    if (category) {
+      conditions.push('ei.category = ?');
+      params.push(category);
+    }
+
+    conn = await pool.getConnection();
+
+    const items = await conn.query(
+      `SELECT ${equipmentColumns}
+       FROM equipment_items ei
+       LEFT JOIN sports sp ON ei.sportId = sp.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ei.name ASC`,
+      params
+    );
+
+    conn.release();
+    res.json(items);
+  } catch (error) {
+    console.error('Error fetching equipment:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch equipment' });
+  }
+});
+
+// Get equipment item by ID
+app.get('/api/equipment/:id', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const item = await findEquipmentItem(conn, req.params.id);
+    conn.release();
+
+    if (!item) {
+      return res.status(404).json({ error: 'Equipment item not found' });
+    }
+
+    res.json(item);
+  } catch (error) {
+    console.error('Error fetching equipment item:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch equipment item' });
+  }
+});
+
+// Create new equipment item. All units start out available.
+app.post('/api/equipment', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { values, error: validationError } = await validateEquipmentItem(conn, req.body);
+    if (validationError) {
+      conn.release();
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await conn.query(
+      `INSERT INTO equipment_items (name, sportId, category, totalQuantity, availableQuantity, itemCondition, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [values.name, values.sportId, values.category, values.totalQuantity, values.totalQuantity, values.condition, values.notes]
+    );
+
+    const item = await findEquipmentItem(conn, result.insertId);
+
+    conn.release();
+    await recordAudit(req, 'create', 'equipment_item', result.insertId, null, item);
+    res.status(201).json({ success: true, item });
+  } catch (error) {
+    console.error('Error creating equipment item:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create equipment item', details: error.message });
+  }
+});
+
+// Update equipment item. Changing the total moves the available count by the
+// same amount; it cannot drop below the units currently issued.
+app.put('/api/equipment/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const { values, error: validationError } = await validateEquipmentItem(conn, req.body);
+    if (validationError) {
+      conn.release();
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await findEquipmentItem(conn, id);
+    if (!existing) {
+      conn.release();
+      return res.status(404).json({ error: 'Equipment item not found' });
+    }
+
+    await conn.beginTransaction();
+    try {
+      const locked = await conn.query(
+        'SELECT totalQuantity, availableQuantity FROM equipment_items WHERE id = ? FOR UPDATE',
+        [id]
+      );
+      const issued = locked[0].totalQuantity - locked[0].availableQuantity;
+      if (values.totalQuantity < issued) {
+        await conn.rollback();
+        conn.release();
+        return res.status(400).json({ error: `Total quantity cannot be less than the ${issued} units currently issued` });
+      }
+
+      await conn.query(
+        `UPDATE equipment_items SET name = ?, sportId = ?, category = ?, totalQuantity = ?, availableQuantity = ?,
+           itemCondition = ?, notes = ?
+         WHERE id = ?`,
+        [values.name, values.sportId, values.category, values.totalQuantity, values.totalQuantity - issued,
+          values.condition, values.notes, id]
+      );
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const item = await findEquipmentItem(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'equipment_item', id, existing, item);
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('Error updating equipment item:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update equipment item' });
+  }
+});
+
+// Delete equipment item (only when nothing is out on issue)
+app.delete('/api/equipment/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findEquipmentItem(conn, id);
+    if (!existing) {
+      conn.release();
+      return res.status(404).json({ error: 'Equipment item not found' });
+    }
+
+    const outstanding = await conn.query(
+      "SELECT COUNT(*) as count FROM equipment_issues WHERE itemId = ? AND status = 'issued'",
+      [id]
+    );
+    if (Number(outstanding[0].count) > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Cannot delete equipment item. Some units are still issued.' });
+    }
+
+    await conn.query('DELETE FROM equipment_items WHERE id = ?', [id]);
+
+    conn.release();
+    await recordAudit(req, 'delete', 'equipment_item', id, existing, null);
+    res.json({ success: true, message: 'Equipment item deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting equipment item:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete equipment item' });
+  }
+});
+
+// ==================== EQUIPMENT ISSUES API ENDPOINTS ====================
+
+const equipmentIssueColumns = `iss.id, iss.itemId, ei.name as itemName, iss.quantity, iss.issuedToType,
+  iss.studentId, s.name as studentName, s.prn_uid, iss.managerId, m.name as managerName,
+  iss.issuedAt, iss.dueAt, iss.returnedQuantity, iss.lostQuantity,
+  iss.quantity - iss.returnedQuantity - iss.lostQuantity as outstandingQuantity,
+  iss.status = 'issued' AND iss.dueAt < NOW() as isOverdue,
+  iss.returnCondition, iss.returnedAt, iss.status, iss.notes, iss.createdAt, iss.updatedAt`;
+
+const equipmentIssueJoins = `FROM equipment_issues iss
+  JOIN equipment_items ei ON iss.itemId = ei.id
+  LEFT JOIN students s ON iss.studentId = s.id
+  LEFT JOIN managers m ON iss.managerId = m.id`;
+
+const formatEquipmentIssue = (issue) => ({
+  ...issue,
+  outstandingQuantity: Number(issue.outstandingQuantity),
+  isOverdue: Boolean(issue.isOverdue),
+});
+
+const findEquipmentIssue = async (conn, id) => {
+  const issues = await conn.query(`SELECT ${equipmentIssueColumns} ${equipmentIssueJoins} WHERE iss.id = ?`, [id]);
+  return issues[0] ? formatEquipmentIssue(issues[0]) : undefined;
+};
+
+// Issue units of an item to a student or a manager. Student issues are
+// charged to the student's manager unless managerId names another one.
+app.post('/api/equipment/:id/issue', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { studentId, dueAt, notes } = req.body;
+    const quantity = Number(req.body.quantity);
+    let managerId = req.body.managerId || null;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be at least 1' });
+    }
+    if (!dueAt || !toDateTimeString(dueAt)) {
+      return res.status(400).json({ error: 'A valid due date is required' });
+    }
+    if (!studentId && !managerId) {
+      return res.status(400).json({ error: 'Provide the studentId or managerId the items are issued to' });
+    }
+
+    conn = await pool.getConnection();
+
+    if (studentId) {
+      const students = await conn.query('SELECT id FROM students WHERE id = ?', [studentId]);
+      if (students.length === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'Student not found' });
+      }
+      if (!managerId) {
+        const memberships = await conn.query(
+          'SELECT sm.managerId FROM student_memberships sm JOIN seasons se ON sm.seasonId = se.id WHERE sm.studentId = ? AND se.isActive = TRUE',
+          [studentId]
+        );
+        if (memberships.length > 1) {
+          conn.release();
+          return res.status(400).json({ error: 'The student is in several squads. Provide the managerId to charge the items to.' });
+        }
+        managerId = memberships.length > 0 ? memberships[0].managerId : null;
+      }
+    }
+    if (managerId) {
+      const managers = await conn.query('SELECT id FROM managers WHERE id = ?', [managerId]);
+      if (managers.length === 0) {
+        conn.release();
+        return res.status(400).json({ error: 'Manager not found' });
+      }
+    }
+
+    let issueId;
+    await conn.beginTransaction();
+    try {
+      const items = await conn.query('SELECT availableQuantity FROM equipment_items WHERE id = ? FOR UPDATE', [id]);
+      if (items.length === 0) {
+        await conn.rollback();
+        conn.release();
+        return res.status(404).json({ error: 'Equipment item not found' });
+      }
+      if (items[0].availableQuantity < quantity) {
+        await conn.rollback();
+        conn.release();
+        return res.status(409).json({ error: `Only ${items[0].availableQuantity} units are available` });
+      }
+
+      const result = await conn.query(
+        `INSERT INTO equipment_issues (itemId, quantity, issuedToType, studentId, managerId, issuedAt, dueAt, notes, issuedByType, issuedById)
+         VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?)`,
+        [id, quantity, studentId ? 'student' : 'manager', studentId || null, managerId, toDateTimeString(dueAt),
+          notes ? notes.trim() : null, req.user.role, req.user.id]
+      );
+      await conn.query('UPDATE equipment_items SET availableQuantity = availableQuantity - ? WHERE id = ?', [quantity, id]);
+      issueId = result.insertId;
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const issue = await findEquipmentIssue(conn, issueId);
+
+    conn.release();
+    await recordAudit(req, 'create', 'equipment_issue', issueId, null, issue);
+    res.status(201).json({ success: true, issue });
+  } catch (error) {
+    console.error('Error issuing equipment:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to issue equipment', details: error.message });
+  }
+});
+
+// Get issue transactions (filters: status = outstanding, overdue or returned;
+// itemId, studentId, managerId). Managers see the items charged to them.
+app.get('/api/equipment-issues', async (req, res) => {
+  let conn;
+  try {
+    const { status, itemId, studentId } = req.query;
+    const managerId = req.user.role === 'manager' ? req.manager.id : req.query.managerId;
+    const conditions = [];
+    const params = [];
+
+    if (status === 'outstanding') {
+      conditions.push("iss.status = 'issued'");
+    } else if (status === 'overdue') {
+      conditions.push("iss.status = 'issued' AND iss.dueAt < NOW()");
+    } else if (status === 'returned') {
+      conditions.push("iss.status = 'returned'");
+    }
+    if (itemId) {
+      conditions.push('iss.itemId = ?');
+      params.push(itemId);
+    }
+    if (studentId) {
+      conditions.push('iss.studentId = ?');
+      params.push(studentId);
+    }
+    if (managerId) {
+      conditions.push('iss.managerId = ?');
+      params.push(managerId);
+    }
+
+    conn = await pool.getConnection();
+
+    const issues = await conn.query(
+      `SELECT ${equipmentIssueColumns} ${equipmentIssueJoins}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY iss.issuedAt DESC`,
+      params
+    );
+
+    conn.release();
+    res.json(issues.map(formatEquipmentIssue));
+  } catch (error) {
+    console.error('Error fetching equipment issues:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch equipment issues' });
+  }
+});
+
+// Record a (partial) return. Lost units are written off the item's total.
+// The issue closes once every unit is returned or lost.
+app.post('/api/equipment-issues/:id/return', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { condition, notes } = req.body;
+    const returnedQuantity = Number(req.body.returnedQuantity || 0);
+    const lostQuantity = Number(req.body.lostQuantity || 0);
+
+    if (!Number.isInteger(returnedQuantity) || !Number.isInteger(lostQuantity) ||
+        returnedQuantity < 0 || lostQuantity < 0 || returnedQuantity + lostQuantity === 0) {
+      return res.status(400).json({ error: 'Provide the returned and/or lost quantity' });
+    }
+    if (condition && !equipmentConditions.includes(condition)) {
+      return res.status(400).json({ error: `Condition must be one of: ${equipmentConditions.join(', ')}` });
+    }
+
+    conn = await pool.getConnection();
+
+    const existing = await findEquipmentIssue(conn, id);
+    if (!existing) {
+      conn.release();
+      return res.status(404).json({ error: 'Issue record not found' });
+    }
+
+    await conn.beginTransaction();
+    try {
+      const issues = await conn.query('SELECT * FROM equipment_issues WHERE id = ? FOR UPDATE', [id]);
+      const issue = issues[0];
+      const outstanding = issue.quantity - issue.returnedQuantity - issue.lostQuantity;
+
+      if (issue.status === 'returned') {
+        await conn.rollback();
+        conn.release();
+        return res.status(400).json({ error: 'All units of this issue have already been returned' });
+      }
+      if (returnedQuantity + lostQuantity > outstanding) {
+        await conn.rollback();
+        conn.release();
+        return res.status(400).json({ error: `Only ${outstanding} units are outstanding` });
+      }
+
+      const closed = returnedQuantity + lostQuantity === outstanding;
+      await conn.query(
+        `UPDATE equipment_issues SET returnedQuantity = returnedQuantity + ?, lostQuantity = lostQuantity + ?,
+           returnCondition = COALESCE(?, returnCondition), returnedAt = NOW(), status = ?,
+           notes = COALESCE(?, notes)
+         WHERE id = ?`,
+        [returnedQuantity, lostQuantity, condition || null, closed ? 'returned' : 'issued', notes ? notes.trim() : null, id]
+      );
+      await conn.query(
+        `UPDATE equipment_items SET availableQuantity = availableQuantity + ?, totalQuantity = totalQuantity - ?
+         WHERE id = ?`,
+        [returnedQuantity, lostQuantity, issue.itemId]
+      );
+      await conn.commit();
+    } catch (transactionError) {
+      await conn.rollback();
+      throw transactionError;
+    }
+
+    const updated = await findEquipmentIssue(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'equipment_issue', id, existing, updated);
+    res.json({ success: true, issue: updated });
+  } catch (error) {
+    console.error('Error returning equipment:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to record equipment return' });
+  }
+});
+
+// Outstanding items per accountable manager, with overdue and lost counts.
+// Managers only get their own entry.
+app.get('/api/equipment-reports/outstanding', async (req, res) => {
+  let conn;
+  try {
+    const conditions = ["iss.status = 'issued'"];
+    const params = [];
+    if (req.user.role === 'manager') {
+      conditions.push('iss.managerId = ?');
+      params.push(req.manager.id);
+    }
+
+    conn = await pool.getConnection();
+
+    const issues = await conn.query(
+      `SELECT ${equipmentIssueColumns} ${equipmentIssueJoins}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY m.name ASC, iss.dueAt ASC`,
+      params
+    );
+
+    const lost = await conn.query(
+      `SELECT iss.managerId, m.name as managerName, SUM(iss.lostQuantity) as lostQuantity
+       FROM equipment_issues iss
+       JOIN managers m ON iss.managerId = m.id
+       WHERE iss.lostQuantity > 0 ${req.user.role === 'manager' ? 'AND iss.managerId = ?' : ''}
+       GROUP BY iss.managerId, m.name`,
+      params
+    );
+
+    // Managers with lost items are listed even when nothing is still out
+    const managers = new Map();
+    const entryFor = (managerId, managerName) => {
+      if (!managers.has(managerId)) {
+        managers.set(managerId, {
+          managerId,
+          managerName,
+          outstandingQuantity: 0,
+          overdueQuantity: 0,
+          lostQuantity: 0,
+          issues: [],
+        });
+      }
+      return managers.get(managerId);
+    };
+
+    for (const row of lost) {
+      entryFor(row.managerId, row.managerName).lostQuantity = Number(row.lostQuantity);
+    }
+    for (const issue of issues.map(formatEquipmentIssue)) {
+      const entry = entryFor(issue.managerId, issue.managerName);
+      entry.outstandingQuantity += issue.outstandingQuantity;
+      if (issue.isOverdue) {
+        entry.overdueQuantity += issue.outstandingQuantity;
+      }
+      entry.issues.push(issue);
+    }
+
+    conn.release();
+    res.json([...managers.values()].sort((a, b) => String(a.managerName).localeCompare(String(b.managerName))));
+  } catch (error) {
+    console.error('Error fetching outstanding equipment report:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch outstanding equipment report' });
+  }
+});
+
+// ==================== ACHIEVEMENTS API ENDPOINTS ====================
+
+const achievementLevels = ['college', 'university', 'state', 'national'];
+const medals = ['gold', 'silver', 'bronze'];
+
+const achievementColumns = `a.id, a.studentId, s.name as studentName, s.prn_uid, a.eventId, a.eventName,
+  a.sportId, sp.name as sportName, a.position, a.medal, a.level, a.achievementDate, a.notes,
+  a.recordedByType, a.recordedById, a.createdAt, a.updatedAt`;
+
+const achievementJoins = `FROM achievements a
+  JOIN students s ON a.studentId = s.id
+  LEFT JOIN sports sp ON a.sportId = sp.id`;
+
+const findAchievement = async (conn, id) => {
+  const rows = await conn.query(`SELECT ${achievementColumns} ${achievementJoins} WHERE a.id = ?`, [id]);
+  return rows[0];
+};
+
+// Validate an achievement payload. Event name and sport default to those of
+// the linked event. Returns the values to store, or { error }.
+const validateAchievement = async (conn, body) => {
+  const { studentId, eventId, eventName, sportId, position, medal, level, achievementDate, notes } = body;
+
+  if (!studentId || !level || !achievementDate) {
+    return { error: 'Student, level and date are required' };
+  }
+  if (!achievementLevels.includes(level)) {
+    return { error: `Level must be one of: ${achievementLevels.join(', ')}` };
+  }
+  if (medal && !medals.includes(medal)) {
+    return { error: `Medal must be one of: ${medals.join(', ')}` };
+  }
+  const date = toDateString(achievementDate);
+  if (!date) {
+    return { error: 'Invalid achievement date' };
+  }
+
+  const students = await conn.query('SELECT id FROM students WHERE id = ?', [studentId]);
+  if (students.length === 0) {
+    return { error: 'Student not found' };
+  }
+
+  let event = null;
+  if (eventId) {
+    const events = await conn.query('SELECT id, name, sportId FROM events WHERE id = ?', [eventId]);
+    if (events.length === 0) {
+      return { error: 'Event not found' };
+    }
+    event = events[0];
+  }
+
+  const name = eventName && eventName.trim() ? eventName.trim() : (event ? event.name : null);
+  if (!name) {
+    return { error: 'Event or event name is required' };
+  }
+
+  const sport = sportId || (event ? event.sportId : null);
+  if (sportId) {
+    const sports = await conn.query('SELECT id FROM sports WHERE id = ?', [sportId]);
+    if (sports.length === 0) {
+      return { error: 'Sport not found' };
+    }
+  }
+
+  return {
+    values: {
+      studentId,
+      eventId: event ? event.id : null,
+      eventName: name,
+      sportId: sport || null,
+      position: position && position.trim() ? position.trim() : null,
+      medal: medal || null,
+      level,
+      achievementDate: date,
+      notes: notes ? notes.trim() : null,
+    },
+  };
+};
+
+// Get achievements (filters: studentId, eventId, sportId, level).
+// Managers see the achievements of their own students.
+app.get('/api/achievements', async (req, res) => {
+  let conn;
+  try {
+    const { studentId, eventId, sportId, level } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (req.user.role === 'manager') {
+      conditions.push('a.studentId IN (SELECT studentId FROM student_memberships WHERE managerId = ?)');
+      params.push(req.manager.id);
+    }
+    if (studentId) {
+      conditions.push('a.studentId = ?');
+      params.push(studentId);
+    }
+    if (eventId) {
+      conditions.push('a.eventId = ?');
+      params.push(eventId);
+    }
+    if (sportId) {
+      conditions.push('a.sportId = ?');
+      params.push(sportId);
+    }
+    if (level) {
+      conditions.push('a.level = ?');
+      params.push(level);
+    }
+
+    conn = await pool.getConnection();
+
+    const achievements = await conn.query(
+      `SELECT ${achievementColumns} ${achievementJoins}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.achievementDate DESC, a.id DESC`,
+      params
+    );
+
+    conn.release();
+    res.json(achievements);
+  } catch (error) {
+    console.error('Error fetching achievements:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch achievements' });
+  }
+});
+
+// Record an achievement
+app.post('/api/achievements', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { values, error: validationError } = await validateAchievement(conn, req.body);
+    if (validationError) {
+      conn.release();
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!(await canAccessStudent(conn, req, values.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const result = await conn.query(
+      `INSERT INTO achievements (studentId, eventId, eventName, sportId, position, medal, level, achievementDate, notes, recordedByType, recordedById)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [values.studentId, values.eventId, values.eventName, values.sportId, values.position, values.medal,
+        values.level, values.achievementDate, values.notes, req.user.role, req.user.id]
+    );
+
+    const achievement = await findAchievement(conn, result.insertId);
+
+    conn.release();
+    await recordAudit(req, 'create', 'achievement', result.insertId, null, achievement);
+    res.status(201).json({ success: true, achievement });
+  } catch (error) {
+    console.error('Error creating achievement:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create achievement', details: error.message });
+  }
+});
+
+// Update achievement
+app.put('/api/achievements/:id', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const existing = await findAchievement(conn, id);
+    if (!existing || !(await canAccessStudent(conn, req, existing.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Achievement not found' });
+    }
+
+    const { values, error: validationError } = await validateAchievement(conn, { studentId: existing.studentId, ...req.body });
+    if (validationError) {
+      conn.release();
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!(await canAccessStudent(conn, req, values.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
     }
+
+    await conn.query(
+      `UPDATE achievements SET studentId = ?, eventId = ?, eventName = ?, sportId = ?, position = ?, medal = ?,
+         level = ?, achievementDate = ?, notes = ?
+       WHERE id = ?`,
+      [values.studentId, values.eventId, values.eventName, values.sportId, values.position, values.medal,
+        values.level, values.achievementDate, values.notes, id]
+    );
+
+    const achievement = await findAchievement(conn, id);
+
+    conn.release();
+    await recordAudit(req, 'update', 'achievement', id, existing, achievement);
+    res.json({ success: true, achievement });
+  } catch (error) {
+    console.error('Error updating achievement:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to update achievement' });
   }
 });
 
-// Get team by ID
-app.get('/api/teams/:id', async (req, res) => {
+// Delete achievement. Certificates already issued stay valid.
+app.delete('/api/achievements/:id', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
     conn = await pool.getConnection();
-    const teams = await conn.query(
-      'SELECT id, name, department, logo, color, createdAt, updatedAt FROM teams WHERE id = ?',
-      [id]
-    );
-    
-    if (teams.length === 0) {
-      return res.status(404).json({ error: 'Team not found' });
+
+    const existing = await findAchievement(conn, id);
+    if (!existing || !(await canAccessStudent(conn, req, existing.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Achievement not found' });
     }
-    
-    res.json(teams[0]);
+
+    await conn.query('DELETE FROM achievements WHERE id = ?', [id]);
+
+    conn.release();
+    await recordAudit(req, 'delete', 'achievement', id, existing, null);
+    res.json({ success: true, message: 'Achievement deleted successfully' });
   } catch (error) {
-    console.error('Error fetching team:', error);
-    res.status(500).json({ error: 'Failed to fetch team' });
-  } finally {
+    console.error('Error deleting achievement:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete achievement' });
   }
 });
 
-// Create new team (with logo upload)
-const teamLogoUpload = multer({
+// ==================== CERTIFICATE TEMPLATES API ENDPOINTS ====================
+
+const certificateTypes = ['participation', 'merit'];
+
+const certificateTemplateUpload = multer({
   storage: multer.diskStorage({
     destination: (req, file, cb) => {
       cb(null, uploadsDir);
     },
     filename: (req, file, cb) => {
       const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      cb(null, 'team-logo-' + uniqueSuffix + path.extname(file.originalname));
+      cb(null, 'certificate-' + uniqueSuffix + path.extname(file.originalname));
     }
   }),
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    // pdfkit can only draw JPEG and PNG images
+    const allowedTypes = /jpeg|jpg|png/;
     const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
     const mimetype = allowedTypes.test(file.mimetype);
-    
+
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed for team logos!'));
+      cb(new Error('Only JPEG and PNG images are allowed for certificate backgrounds!'));
     }
   },
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-app.post('/api/teams', teamLogoUpload.single('logo'), async (req, res) => {
+const uploadedFileUrl = (file) => `http://${SERVER_HOST}:${PORT}/uploads/${file.filename}`;
+const uploadedFilePath = (url) => path.join(uploadsDir, url.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, ''));
+
+const deleteUploadedUrl = (url) => {
+  if (!url) return;
+  try {
+    const filePath = uploadedFilePath(url);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (unlinkError) {
+    console.error('Error deleting uploaded file:', unlinkError);
+  }
+};
+
+// Validate a template payload. Returns the values to store, or { error }.
+const validateCertificateTemplate = (body) => {
+  const { name, type, headerText, title, bodyText, signatoryName, signatoryTitle, isDefault } = body;
+
+  if (!name || !name.trim() || !title || !title.trim() || !bodyText || !bodyText.trim()) {
+    return { error: 'Name, title and body text are required' };
+  }
+  if (!certificateTypes.includes(type)) {
+    return { error: `Type must be one of: ${certificateTypes.join(', ')}` };
+  }
+
+  return {
+    values: {
+      name: name.trim(),
+      type,
+      headerText: headerText ? headerText.trim() : null,
+      title: title.trim(),
+      bodyText: bodyText.trim(),
+      signatoryName: signatoryName ? signatoryName.trim() : null,
+      signatoryTitle: signatoryTitle ? signatoryTitle.trim() : null,
+      isDefault: isDefault === true || isDefault === 'true',
+    },
+  };
+};
+
+// Get all certificate templates
+app.get('/api/certificate-templates', async (req, res) => {
   let conn;
   try {
-    const { name, department, color } = req.body;
+    conn = await pool.getConnection();
+    const templates = await conn.query('SELECT * FROM certificate_templates ORDER BY type ASC, name ASC');
+    conn.release();
+    res.json({ defaults: DEFAULT_TEMPLATES, templates });
+  } catch (error) {
+    console.error('Error fetching certificate templates:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch certificate templates' });
+  }
+});
 
-    console.log('Received team data:', { name, department, color, hasFile: !!req.file });
+// Create certificate template (multipart, optional "background" image).
+// Body text placeholders: {studentName}, {prn}, {sport}, {event}, {position}, {level}, {date}
+app.post('/api/certificate-templates', certificateTemplateUpload.single('background'), async (req, res) => {
+  let conn;
+  try {
+    const { values, error: validationError } = validateCertificateTemplate(req.body);
+    if (validationError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: validationError });
+    }
 
-    // Validation
-    if (!name || !name.trim()) {
-      if (req.file) {
-        fs.unlinkSync(req.file.path); // Delete uploaded file if validation fails
-      }
-      return res.status(400).json({ error: 'Team name is required' });
+    conn = await pool.getConnection();
+
+    if (values.isDefault) {
+      await conn.query('UPDATE certificate_templates SET isDefault = FALSE WHERE type = ?', [values.type]);
     }
 
-    if (!department || !department.trim()) {
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({ error: 'Team department is required' });
+    const result = await conn.query(
+      `INSERT INTO certificate_templates (name, type, headerText, title, bodyText, signatoryName, signatoryTitle, backgroundImageUrl, isDefault)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [values.name, values.type, values.headerText, values.title, values.bodyText, values.signatoryName,
+        values.signatoryTitle, req.file ? uploadedFileUrl(req.file) : null, values.isDefault]
+    );
+
+    const template = await conn.query('SELECT * FROM certificate_templates WHERE id = ?', [result.insertId]);
+
+    conn.release();
+    await recordAudit(req, 'create', 'certificate_template', result.insertId, null, template[0]);
+    res.status(201).json({ success: true, template: template[0] });
+  } catch (error) {
+    console.error('Error creating certificate template:', error);
+    removeUploadedFiles(req);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to create certificate template', details: error.message });
+  }
+});
+
+// Update certificate template. A new background replaces the old one;
+// removeBackground=true drops it.
+app.put('/api/certificate-templates/:id', certificateTemplateUpload.single('background'), async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { values, error: validationError } = validateCertificateTemplate(req.body);
+    if (validationError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: validationError });
     }
 
     conn = await pool.getConnection();
-    
-    // Check if team name already exists
-    const existing = await conn.query('SELECT id FROM teams WHERE name = ?', [name.trim()]);
-    if (existing.length > 0) {
+
+    const existing = await conn.query('SELECT * FROM certificate_templates WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      removeUploadedFiles(req);
       conn.release();
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({ error: 'Team name already exists' });
+      return res.status(404).json({ error: 'Certificate template not found' });
     }
 
-    // Generate logo URL if file was uploaded
-    let logoUrl = null;
-    if (req.file) {
-      logoUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
+    let backgroundImageUrl = existing[0].backgroundImageUrl;
+    if (req.file || req.body.removeBackground === 'true') {
+      backgroundImageUrl = req.file ? uploadedFileUrl(req.file) : null;
     }
 
-    // Insert new team
-    const teamColor = color || '#f58002'; // Default color if not provided
-    const result = await conn.query(
-      `INSERT INTO teams (name, department, logo, color) VALUES (?, ?, ?, ?)`,
-      [name.trim(), department.trim(), logoUrl, teamColor]
+    if (values.isDefault) {
+      await conn.query('UPDATE certificate_templates SET isDefault = FALSE WHERE type = ? AND id != ?', [values.type, id]);
+    }
+
+    await conn.query(
+      `UPDATE certificate_templates SET name = ?, type = ?, headerText = ?, title = ?, bodyText = ?,
+         signatoryName = ?, signatoryTitle = ?, backgroundImageUrl = ?, isDefault = ?
+       WHERE id = ?`,
+      [values.name, values.type, values.headerText, values.title, values.bodyText, values.signatoryName,
+        values.signatoryTitle, backgroundImageUrl, values.isDefault, id]
     );
 
-    console.log('Team inserted with ID:', result.insertId);
+    if (backgroundImageUrl !== existing[0].backgroundImageUrl) {
+      deleteUploadedUrl(existing[0].backgroundImageUrl);
+    }
 
-    // Fetch the created team
-    const newTeam = await conn.query(
-      'SELECT id, name, department, logo, color, createdAt FROM teams WHERE id = ?',
-      [result.insertId]
-    );
+    const template = await conn.query('SELECT * FROM certificate_templates WHERE id = ?', [id]);
 
     conn.release();
-    res.status(201).json({ success: true, team: newTeam[0] });
+    await recordAudit(req, 'update', 'certificate_template', id, existing[0], template[0]);
+    res.json({ success: true, template: template[0] });
   } catch (error) {
-    console.error('Error creating team:', error);
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error deleting uploaded file:', unlinkError);
-      }
-    }
+    console.error('Error updating certificate template:', error);
+    removeUploadedFiles(req);
     if (conn) conn.release();
-    
-    if (error.code === 'ER_DUP_ENTRY') {
-      res.status(400).json({ error: 'Team name already exists' });
-    } else {
-      res.status(500).json({ error: 'Failed to create team', details: error.message });
-    }
+    res.status(500).json({ error: 'Failed to update certificate template' });
   }
 });
 
-// Update team (with optional logo upload)
-app.put('/api/teams/:id', teamLogoUpload.single('logo'), async (req, res) => {
+// Delete certificate template (not while issued certificates use it)
+app.delete('/api/certificate-templates/:id', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
-    const { name, department, color } = req.body;
+    conn = await pool.getConnection();
 
-    if (!name || !name.trim()) {
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({ error: 'Team name is required' });
+    const existing = await conn.query('SELECT * FROM certificate_templates WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Certificate template not found' });
     }
 
-    if (!department || !department.trim()) {
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({ error: 'Team department is required' });
+    const used = await conn.query('SELECT COUNT(*) as count FROM certificates WHERE templateId = ?', [id]);
+    if (Number(used[0].count) > 0) {
+      conn.release();
+      return res.status(400).json({ error: 'Cannot delete template. Certificates have been issued with it.' });
     }
 
+    await conn.query('DELETE FROM certificate_templates WHERE id = ?', [id]);
+    deleteUploadedUrl(existing[0].backgroundImageUrl);
+
+    conn.release();
+    await recordAudit(req, 'delete', 'certificate_template', id, existing[0], null);
+    res.json({ success: true, message: 'Certificate template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting certificate template:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to delete certificate template' });
+  }
+});
+
+// ==================== CERTIFICATES API ENDPOINTS ====================
+
+const certificateVerifyBaseUrl = process.env.CERTIFICATE_VERIFY_URL ||
+  `http://${SERVER_HOST}:${PORT}/api/certificates/verify`;
+
+const certificateColumns = `c.id, c.achievementId, c.templateId, c.type, c.verificationCode, c.studentId,
+  c.studentName, c.prn, c.sportName, c.eventName, c.position, c.level, c.achievementDate,
+  c.issuedByType, c.issuedById, c.issuedAt, c.revokedAt`;
+
+// Issue a certificate for an achievement. Type defaults to merit when the
+// achievement has a position or medal; the template to the default for the type.
+app.post('/api/achievements/:id/certificates', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    const { templateId } = req.body;
     conn = await pool.getConnection();
-    
-    // Check if team exists
-    const existing = await conn.query('SELECT id, logo FROM teams WHERE id = ?', [id]);
-    if (existing.length === 0) {
+
+    const achievement = await findAchievement(conn, id);
+    if (!achievement || !(await canAccessStudent(conn, req, achievement.studentId))) {
       conn.release();
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(404).json({ error: 'Team not found' });
+      return res.status(404).json({ error: 'Achievement not found' });
     }
 
-    // Check if team name is used by another team
-    const nameCheck = await conn.query('SELECT id FROM teams WHERE name = ? AND id != ?', [name.trim(), id]);
-    if (nameCheck.length > 0) {
+    const position = achievement.position ||
+      (achievement.medal ? `${achievement.medal.charAt(0).toUpperCase()}${achievement.medal.slice(1)} medal` : null);
+    const type = req.body.type || (position ? 'merit' : 'participation');
+
+    if (!certificateTypes.includes(type)) {
       conn.release();
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(400).json({ error: 'Team name already exists' });
+      return res.status(400).json({ error: `Type must be one of: ${certificateTypes.join(', ')}` });
+    }
+    if (type === 'merit' && !position) {
+      conn.release();
+      return res.status(400).json({ error: 'A merit certificate needs an achievement with a position or medal' });
     }
 
-    // Delete old logo if new one is uploaded
-    let logoUrl = existing[0].logo; // Keep existing logo by default
-    if (req.file) {
-      // Delete old logo file if it exists
-      if (existing[0].logo) {
-        const oldLogoPath = existing[0].logo.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-        const oldFilePath = path.join(uploadsDir, oldLogoPath);
-        try {
-          if (fs.existsSync(oldFilePath)) {
-            fs.unlinkSync(oldFilePath);
-          }
-        } catch (unlinkError) {
-          console.error('Error deleting old logo:', unlinkError);
-        }
+    let template = null;
+    if (templateId) {
+      const templates = await conn.query('SELECT id, type FROM certificate_templates WHERE id = ?', [templateId]);
+      if (templates.length === 0 || templates[0].type !== type) {
+        conn.release();
+        return res.status(400).json({ error: `Certificate template not found for ${type} certificates` });
       }
-      logoUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
+      template = templates[0];
+    } else {
+      const templates = await conn.query('SELECT id FROM certificate_templates WHERE type = ? AND isDefault = TRUE', [type]);
+      template = templates[0] || null;
     }
 
-    // Update team
-    const teamColor = color || existing[0].color || '#f58002'; // Use existing color or default
-    await conn.query(
-      `UPDATE teams SET name = ?, department = ?, logo = ?, color = ? WHERE id = ?`,
-      [name.trim(), department.trim(), logoUrl, teamColor, id]
+    const verificationCode = createVerificationCode();
+    const result = await conn.query(
+      `INSERT INTO certificates (achievementId, templateId, type, verificationCode, studentId, studentName, prn,
+         sportName, eventName, position, level, achievementDate, issuedByType, issuedById)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [achievement.id, template ? template.id : null, type, verificationCode, achievement.studentId,
+        achievement.studentName, achievement.prn_uid, achievement.sportName, achievement.eventName,
+        type === 'merit' ? position : null, achievement.level, toDateString(achievement.achievementDate),
+        req.user.role, req.user.id]
     );
 
-    // Fetch updated team
-    const updated = await conn.query(
-      'SELECT id, name, department, logo, color, createdAt, updatedAt FROM teams WHERE id = ?',
-      [id]
+    const certificate = await conn.query(`SELECT ${certificateColumns} FROM certificates c WHERE c.id = ?`, [result.insertId]);
+
+    conn.release();
+    await recordAudit(req, 'create', 'certificate', result.insertId, null, certificate[0]);
+    res.status(201).json({
+      success: true,
+      certificate: certificate[0],
+      pdfUrl: `/api/certificates/${result.insertId}/pdf`,
+      verifyUrl: `${certificateVerifyBaseUrl}/${verificationCode}`,
+    });
+  } catch (error) {
+    console.error('Error issuing certificate:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to issue certificate', details: error.message });
+  }
+});
+
+// Get issued certificates (filters: studentId, achievementId, type).
+// Managers see the certificates of their own students.
+app.get('/api/certificates', async (req, res) => {
+  let conn;
+  try {
+    const { studentId, achievementId, type } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (req.user.role === 'manager') {
+      conditions.push('c.studentId IN (SELECT studentId FROM student_memberships WHERE managerId = ?)');
+      params.push(req.manager.id);
+    }
+    if (studentId) {
+      conditions.push('c.studentId = ?');
+      params.push(studentId);
+    }
+    if (achievementId) {
+      conditions.push('c.achievementId = ?');
+      params.push(achievementId);
+    }
+    if (type) {
+      conditions.push('c.type = ?');
+      params.push(type);
+    }
+
+    conn = await pool.getConnection();
+
+    const certificates = await conn.query(
+      `SELECT ${certificateColumns} FROM certificates c
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY c.issuedAt DESC`,
+      params
     );
 
     conn.release();
-    res.json({ success: true, team: updated[0] });
+    res.json(certificates);
   } catch (error) {
-    console.error('Error updating team:', error);
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error deleting uploaded file:', unlinkError);
+    console.error('Error fetching certificates:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch certificates' });
+  }
+});
+
+// Verify a certificate by its code (public)
+app.get('/api/certificates/verify/:code', async (req, res) => {
+  let conn;
+  try {
+    const code = String(req.params.code).trim().toUpperCase();
+    conn = await pool.getConnection();
+
+    const certificates = await conn.query(
+      `SELECT type, verificationCode, studentName, prn, sportName, eventName, position, level,
+         achievementDate, issuedAt, revokedAt
+       FROM certificates WHERE verificationCode = ?`,
+      [code]
+    );
+
+    conn.release();
+
+    if (certificates.length === 0) {
+      return res.status(404).json({ valid: false, error: 'No certificate found with this code' });
+    }
+
+    const certificate = certificates[0];
+    res.json({
+      valid: !certificate.revokedAt,
+      message: certificate.revokedAt ? 'This certificate has been revoked' : 'This certificate is genuine',
+      certificate,
+    });
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to verify certificate' });
+  }
+});
+
+// Download a certificate as PDF. Students can download their own.
+app.get('/api/certificates/:id/pdf', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    const certificates = await conn.query(`SELECT ${certificateColumns} FROM certificates c WHERE c.id = ?`, [id]);
+    const certificate = certificates[0];
+    if (!certificate || !(await canAccessStudent(conn, req, certificate.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+    if (certificate.revokedAt) {
+      conn.release();
+      return res.status(410).json({ error: 'This certificate has been revoked' });
+    }
+
+    let template = DEFAULT_TEMPLATES[certificate.type];
+    let backgroundPath = null;
+    if (certificate.templateId) {
+      const templates = await conn.query('SELECT * FROM certificate_templates WHERE id = ?', [certificate.templateId]);
+      if (templates.length > 0) {
+        template = templates[0];
+        backgroundPath = template.backgroundImageUrl ? uploadedFilePath(template.backgroundImageUrl) : null;
       }
     }
+
+    conn.release();
+
+    const date = new Date(`${toDateString(certificate.achievementDate)}T00:00:00`);
+    const pdf = await renderCertificate({
+      studentName: certificate.studentName,
+      prn: certificate.prn,
+      sport: certificate.sportName || '',
+      event: certificate.eventName,
+      position: certificate.position || '',
+      level: certificate.level,
+      date: date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' }),
+      verificationCode: certificate.verificationCode,
+    }, template, {
+      backgroundPath,
+      verifyUrl: `${certificateVerifyBaseUrl}/${certificate.verificationCode}`,
+    });
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="certificate-${certificate.verificationCode}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating certificate PDF:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to update team' });
+    res.status(500).json({ error: 'Failed to generate certificate PDF' });
   }
 });
 
-// Delete team
-app.delete('/api/teams/:id', async (req, res) => {
+// Revoke a certificate. Verification then reports it as invalid.
+app.delete('/api/certificates/:id', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
     conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id, logo FROM teams WHERE id = ?', [id]);
+
+    const existing = await conn.query(`SELECT ${certificateColumns} FROM certificates c WHERE c.id = ?`, [id]);
     if (existing.length === 0) {
       conn.release();
-      return res.status(404).json({ error: 'Team not found' });
+      return res.status(404).json({ error: 'Certificate not found' });
     }
-
-    // Delete logo file if it exists
-    if (existing[0].logo) {
-      const logoPath = existing[0].logo.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-      const filePath = path.join(uploadsDir, logoPath);
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      } catch (unlinkError) {
-        console.error('Error deleting logo file:', unlinkError);
-      }
+    if (existing[0].revokedAt) {
+      conn.release();
+      return res.status(400).json({ error: 'Certificate is already revoked' });
     }
 
-    await conn.query('DELETE FROM teams WHERE id = ?', [id]);
+    await conn.query('UPDATE certificates SET revokedAt = NOW() WHERE id = ?', [id]);
+
     conn.release();
-    res.json({ success: true, message: 'Team deleted successfully' });
+    await recordAudit(req, 'update', 'certificate', id, existing[0], { ...existing[0], revokedAt: new Date() });
+    res.json({ success: true, message: 'Certificate revoked successfully' });
   } catch (error) {
-    console.error('Error deleting team:', error);
+    console.error('Error revoking certificate:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to delete team' });
+    res.status(500).json({ error: 'Failed to revoke certificate' });
   }
 });
 
-// ==================== EVENT IMAGES API ENDPOINTS ====================
-
-// Get all event images
-app.get('/api/event-images', async (req, res) => {
+// Get the logged-in student's achievements
+app.get('/api/student-portal/achievements', async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
-    const images = await conn.query(
-      'SELECT id, title, description, imageUrl, displayOrder, createdAt, updatedAt FROM event_images ORDER BY displayOrder ASC, createdAt DESC'
+    const achievements = await conn.query(
+      `SELECT ${achievementColumns} ${achievementJoins} WHERE a.studentId = ? ORDER BY a.achievementDate DESC`,
+      [req.user.id]
     );
-    res.json(images);
+    conn.release();
+    res.json(achievements);
   } catch (error) {
-    console.error('Error fetching event images:', error);
-    res.status(500).json({ error: 'Failed to fetch event images' });
-  } finally {
+    console.error('Error fetching student achievements:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch achievements' });
   }
 });
 
-// Get event image by ID
-app.get('/api/event-images/:id', async (req, res) => {
+// Get the logged-in student's certificates
+app.get('/api/student-portal/certificates', async (req, res) => {
   let conn;
   try {
-    const { id } = req.params;
     conn = await pool.getConnection();
-    const images = await conn.query(
-      'SELECT id, title, description, imageUrl, displayOrder, createdAt, updatedAt FROM event_images WHERE id = ?',
-      [id]
+    const certificates = await conn.query(
+      `SELECT ${certificateColumns} FROM certificates c WHERE c.studentId = ? AND c.revokedAt IS NULL ORDER BY c.issuedAt DESC`,
+      [req.user.id]
     );
-    
-    if (images.length === 0) {
-      return res.status(404).json({ error: 'Event image not found' });
-    }
-    
-    res.json(images[0]);
+    conn.release();
+    res.json(certificates.map(certificate => ({
+      ...certificate,
+      pdfUrl: `/api/certificates/${certificate.id}/pdf`,
+      verifyUrl: `${certificateVerifyBaseUrl}/${certificate.verificationCode}`,
+    })));
   } catch (error) {
-    console.error('Error fetching event image:', error);
-    res.status(500).json({ error: 'Failed to fetch event image' });
-  } finally {
+    console.error('Error fetching student certificates:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch certificates' });
   }
 });
 
-// Create new event image (with file upload)
-const eventImageUpload = multer({
+// ==================== STUDENT DOCUMENTS API ENDPOINTS ====================
+
+const documentTypes = ['photo', 'id_card', 'medical_certificate', 'parental_consent'];
+const documentReviewStatuses = ['verified', 'rejected'];
+
+// Documents every squad member needs before an event. Parental consent is also
+// needed for students younger than this on the first day of the event.
+const requiredDocumentTypes = ['photo', 'id_card', 'medical_certificate'];
+const parentalConsentAge = 18;
+
+// Stored in the uploads directory under a "student-doc-" prefix, which the
+// static /uploads route refuses to serve
+const studentDocumentUpload = multer({
   storage: multer.diskStorage({
     destination: (req, file, cb) => {
       cb(null, uploadsDir);
     },
     filename: (req, file, cb) => {
       const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      cb(null, 'event-image-' + uniqueSuffix + path.extname(file.originalname));
+      cb(null, 'student-doc-' + uniqueSuffix + path.extname(file.originalname));
     }
   }),
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const allowedTypes = /jpeg|jpg|png|pdf/;
     const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
     const mimetype = allowedTypes.test(file.mimetype);
-    
+
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed for event images!'));
+      cb(new Error('Only PDF, JPG and PNG files are allowed for student documents'));
     }
   },
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-app.post('/api/event-images', eventImageUpload.single('image'), async (req, res) => {
-  let conn;
-  try {
-    const { title, description, displayOrder } = req.body;
-
-    if (!req.file) {
-      return res.status(400).json({ error: 'Image file is required' });
-    }
+const studentDocumentColumns = `d.id, d.studentId, d.type, d.originalName, d.mimeType, d.expiresAt, d.status,
+  d.remarks, d.uploadedByType, d.uploadedById, d.verifiedByType, d.verifiedById, d.verifiedAt, d.createdAt, d.updatedAt`;
 
-    conn = await pool.getConnection();
-    
-    const imageUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
-    const order = displayOrder ? parseInt(displayOrder) : 0;
+const withDocumentFileUrl = (document) => ({ ...document, fileUrl: `/api/student-documents/${document.id}/file` });
 
-    const result = await conn.query(
-      `INSERT INTO event_images (title, description, imageUrl, displayOrder) VALUES (?, ?, ?, ?)`,
-      [
-        title ? title.trim() : null,
-        description ? description.trim() : null,
-        imageUrl,
-        order
-      ]
-    );
+const findStudentDocument = async (conn, id) => {
+  const rows = await conn.query(`SELECT ${studentDocumentColumns}, d.filePath FROM student_documents d WHERE d.id = ?`, [id]);
+  return rows[0] || null;
+};
 
-    const newImage = await conn.query(
-      'SELECT id, title, description, imageUrl, displayOrder, createdAt FROM event_images WHERE id = ?',
-      [result.insertId]
-    );
+const fetchStudentDocuments = async (conn, studentId) => {
+  const documents = await conn.query(
+    `SELECT ${studentDocumentColumns} FROM student_documents d WHERE d.studentId = ? ORDER BY FIELD(d.type, ?, ?, ?, ?)`,
+    [studentId, ...documentTypes]
+  );
+  return documents.map(withDocumentFileUrl);
+};
 
-    conn.release();
-    res.status(201).json({ success: true, image: newImage[0] });
-  } catch (error) {
-    console.error('Error creating event image:', error);
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error deleting uploaded file:', unlinkError);
-      }
+const deleteStudentDocumentFile = (filePath) => {
+  try {
+    const fullPath = path.join(uploadsDir, filePath);
+    if (fs.existsSync(fullPath)) {
+      fs.unlinkSync(fullPath);
     }
-    if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to create event image', details: error.message });
+  } catch (unlinkError) {
+    console.error('Error deleting student document file:', unlinkError);
   }
-});
+};
 
-// Update event image
-app.put('/api/event-images/:id', eventImageUpload.single('image'), async (req, res) => {
-  let conn;
-  try {
-    const { id } = req.params;
-    const { title, description, displayOrder } = req.body;
+// Store the uploaded file as the student's document of the given type. A new
+// upload replaces the previous file of that type and goes back to pending.
+// Returns { document, before } or { error }.
+const saveStudentDocument = async (conn, req, studentId) => {
+  const { type, expiresAt } = req.body;
 
-    conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id, imageUrl FROM event_images WHERE id = ?', [id]);
-    if (existing.length === 0) {
-      conn.release();
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(404).json({ error: 'Event image not found' });
+  if (!documentTypes.includes(type)) {
+    return { error: `Type must be one of: ${documentTypes.join(', ')}` };
+  }
+  if (!req.file) {
+    return { error: 'A document file is required' };
+  }
+  if (type === 'medical_certificate' && !expiresAt) {
+    return { error: 'Medical certificates need an expiry date' };
+  }
+  if (expiresAt) {
+    if (isNaN(new Date(expiresAt).getTime())) {
+      return { error: 'Expiry date is not a valid date' };
     }
-
-    let imageUrl = existing[0].imageUrl;
-    
-    // If new image uploaded, delete old one and update URL
-    if (req.file) {
-      // Delete old image file
-      if (existing[0].imageUrl) {
-        const oldImagePath = existing[0].imageUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-        const oldFilePath = path.join(uploadsDir, oldImagePath);
-        try {
-          if (fs.existsSync(oldFilePath)) {
-            fs.unlinkSync(oldFilePath);
-          }
-        } catch (unlinkError) {
-          console.error('Error deleting old image:', unlinkError);
-        }
-      }
-      imageUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.file.filename}`;
+    if (toDateString(expiresAt) < toDateString(new Date())) {
+      return { error: 'The document has already expired' };
     }
+  }
 
-    const order = displayOrder ? parseInt(displayOrder) : existing[0].displayOrder || 0;
-
+  const existing = await conn.query('SELECT * FROM student_documents WHERE studentId = ? AND type = ?', [studentId, type]);
+  let id;
+  if (existing.length > 0) {
+    id = existing[0].id;
     await conn.query(
-      `UPDATE event_images SET title = ?, description = ?, imageUrl = ?, displayOrder = ? WHERE id = ?`,
-      [
-        title ? title.trim() : null,
-        description ? description.trim() : null,
-        imageUrl,
-        order,
-        id
-      ]
+      `UPDATE student_documents
+       SET filePath = ?, originalName = ?, mimeType = ?, expiresAt = ?, status = 'pending', remarks = NULL,
+           uploadedByType = ?, uploadedById = ?, verifiedByType = NULL, verifiedById = NULL, verifiedAt = NULL
+       WHERE id = ?`,
+      [req.file.filename, req.file.originalname, req.file.mimetype, expiresAt ? toDateString(expiresAt) : null,
+        req.user.role, req.user.id, id]
     );
-
-    const updated = await conn.query(
-      'SELECT id, title, description, imageUrl, displayOrder, createdAt, updatedAt FROM event_images WHERE id = ?',
-      [id]
+    deleteStudentDocumentFile(existing[0].filePath);
+  } else {
+    const result = await conn.query(
+      `INSERT INTO student_documents (studentId, type, filePath, originalName, mimeType, expiresAt, uploadedByType, uploadedById)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [studentId, type, req.file.filename, req.file.originalname, req.file.mimetype,
+        expiresAt ? toDateString(expiresAt) : null, req.user.role, req.user.id]
     );
+    id = Number(result.insertId);
+  }
+
+  const document = await findStudentDocument(conn, id);
+  delete document.filePath;
+  return { document: withDocumentFileUrl(document), before: existing[0] || null };
+};
+
+// Get a student's documents (admins, or a manager of the student)
+app.get('/api/students/:id/documents', async (req, res) => {
+  let conn;
+  try {
+    const { id } = req.params;
+    conn = await pool.getConnection();
+
+    if (!(await canAccessStudent(conn, req, id))) {
+      conn.release();
+      return res.status(404).json({ error: 'Student not found' });
+    }
 
+    const documents = await fetchStudentDocuments(conn, id);
     conn.release();
-    res.json({ success: true, image: updated[0] });
+    res.json(documents);
   } catch (error) {
-    console.error('Error updating event image:', error);
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error deleting uploaded file:', unlinkError);
-      }
-    }
+    console.error('Error fetching student documents:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to update event image' });
+    res.status(500).json({ error: 'Failed to fetch student documents' });
   }
 });
 
-// Delete event image
-app.delete('/api/event-images/:id', async (req, res) => {
+// Upload a student's document (multipart field "file", with type and expiresAt)
+app.post('/api/students/:id/documents', studentDocumentUpload.single('file'), async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
     conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id, imageUrl FROM event_images WHERE id = ?', [id]);
-    if (existing.length === 0) {
+
+    if (!(await canAccessStudent(conn, req, id))) {
       conn.release();
-      return res.status(404).json({ error: 'Event image not found' });
+      removeUploadedFiles(req);
+      return res.status(404).json({ error: 'Student not found' });
     }
 
-    // Delete image file
-    if (existing[0].imageUrl) {
-      const imagePath = existing[0].imageUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-      const filePath = path.join(uploadsDir, imagePath);
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      } catch (unlinkError) {
-        console.error('Error deleting image file:', unlinkError);
-      }
+    const { document, before, error: validationError } = await saveStudentDocument(conn, req, id);
+    conn.release();
+    if (validationError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: validationError });
     }
 
-    await conn.query('DELETE FROM event_images WHERE id = ?', [id]);
-    conn.release();
-    res.json({ success: true, message: 'Event image deleted successfully' });
+    await recordAudit(req, before ? 'update' : 'create', 'student_document', document.id, before, document);
+    res.status(before ? 200 : 201).json({ success: true, document });
   } catch (error) {
-    console.error('Error deleting event image:', error);
+    console.error('Error uploading student document:', error);
+    removeUploadedFiles(req);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to delete event image' });
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'The document was uploaded at the same time by someone else; please try again' });
+    }
+    res.status(500).json({ error: 'Failed to upload student document', details: error.message });
   }
 });
 
-// ==================== NOTICES API ENDPOINTS ====================
-
-// Configure multer for notice document (PDF) uploads
-const noticeUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      cb(null, uploadsDir);
-    },
-    filename: (req, file, cb) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      const fileExtension = path.extname(file.originalname);
-      if (file.fieldname === 'document') {
-        cb(null, 'notice-doc-' + uniqueSuffix + fileExtension);
-      } else if (file.fieldname === 'scheduleImage') {
-        cb(null, 'notice-schedule-' + uniqueSuffix + fileExtension);
-      } else {
-        cb(new Error('Invalid fieldname for upload'));
-      }
-    }
-  }),
-  fileFilter: (req, file, cb) => {
-    if (file.fieldname === 'document') {
-      if (file.mimetype === 'application/pdf') {
-        cb(null, true);
-      } else {
-        cb(new Error('Only PDF files are allowed for documents'));
-      }
-    } else if (file.fieldname === 'scheduleImage') {
-      const allowedImageTypes = /jpeg|jpg|png/;
-      const extname = allowedImageTypes.test(path.extname(file.originalname).toLowerCase());
-      const mimetype = allowedImageTypes.test(file.mimetype);
-      if (mimetype && extname) {
-        cb(null, true);
-      } else {
-        cb(new Error('Only JPG/PNG image files are allowed for schedule images'));
-      }
-    } else {
-      cb(new Error('Invalid fieldname for upload'));
-    }
-  },
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit for each file
+// Get the logged-in student's documents
+app.get('/api/student-portal/documents', async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const documents = await fetchStudentDocuments(conn, req.user.id);
+    conn.release();
+    res.json(documents);
+  } catch (error) {
+    console.error('Error fetching student documents:', error);
+    if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
 });
 
-// Get all notices
-app.get('/api/notices', async (req, res) => {
+// Upload one of the logged-in student's documents
+app.post('/api/student-portal/documents', studentDocumentUpload.single('file'), async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
-    const notices = await conn.query(
-      'SELECT id, title, description, documentUrl, scheduleImageUrl, noticeDate, createdAt, updatedAt FROM notices ORDER BY noticeDate DESC, createdAt DESC'
-    );
-    res.json(notices);
-  } catch (error) {
-    console.error('Error fetching notices:', error);
-    res.status(500).json({ error: 'Failed to fetch notices' });
-  } finally {
+    const { document, before, error: validationError } = await saveStudentDocument(conn, req, req.user.id);
+    conn.release();
+    if (validationError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: validationError });
+    }
+
+    await recordAudit(req, before ? 'update' : 'create', 'student_document', document.id, before, document);
+    res.status(before ? 200 : 201).json({ success: true, document });
+  } catch (error) {
+    console.error('Error uploading student document:', error);
+    removeUploadedFiles(req);
     if (conn) conn.release();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'The document was uploaded at the same time; please try again' });
+    }
+    res.status(500).json({ error: 'Failed to upload document' });
   }
 });
 
-// Get notice by ID
-app.get('/api/notices/:id', async (req, res) => {
+// Download a document file (admins, managers of the student, or the student)
+app.get('/api/student-documents/:id/file', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
     conn = await pool.getConnection();
-    const notices = await conn.query(
-      'SELECT id, title, description, documentUrl, scheduleImageUrl, noticeDate, createdAt, updatedAt FROM notices WHERE id = ?',
-      [id]
-    );
-    
-    if (notices.length === 0) {
-      return res.status(404).json({ error: 'Notice not found' });
+
+    const document = await findStudentDocument(conn, id);
+    if (!document || !(await canAccessStudent(conn, req, document.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Document not found' });
     }
-    
-    res.json(notices[0]);
+    conn.release();
+
+    const filePath = path.join(uploadsDir, document.filePath);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Document file not found' });
+    }
+
+    res.set('Content-Disposition', `inline; filename="${String(document.originalName || path.basename(filePath)).replace(/["\r\n]/g, '')}"`);
+    res.sendFile(filePath);
   } catch (error) {
-    console.error('Error fetching notice:', error);
-    res.status(500).json({ error: 'Failed to fetch notice' });
-  } finally {
+    console.error('Error sending student document:', error);
     if (conn) conn.release();
+    res.status(500).json({ error: 'Failed to fetch document' });
   }
 });
 
-// Create new notice (with PDF document upload)
-app.post('/api/notices', noticeUpload.fields([
-  { name: 'document', maxCount: 1 },
-  { name: 'scheduleImage', maxCount: 1 }
-]), async (req, res) => {
+// Verify or reject a document (admins, or a manager of the student).
+// Rejecting needs remarks telling the student what to fix.
+app.put('/api/student-documents/:id/verify', async (req, res) => {
   let conn;
   try {
-    const { title, description, noticeDate } = req.body;
-
-    if (!title || !title.trim()) {
-      // Clean up uploaded files if validation fails
-      if (req.files) {
-        Object.values(req.files).flat().forEach(file => {
-          try {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          } catch (unlinkError) {
-            console.error('Error deleting uploaded file:', unlinkError);
-          }
-        });
-      }
-      return res.status(400).json({ error: 'Notice title is required' });
-    }
+    const { id } = req.params;
+    const { status, remarks } = req.body;
 
-    if (!description || !description.trim()) {
-      if (req.files) {
-        Object.values(req.files).flat().forEach(file => {
-          try {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          } catch (unlinkError) {
-            console.error('Error deleting uploaded file:', unlinkError);
-          }
-        });
-      }
-      return res.status(400).json({ error: 'Notice description is required' });
+    if (!documentReviewStatuses.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${documentReviewStatuses.join(', ')}` });
     }
-
-    if (!noticeDate) {
-      if (req.files) {
-        Object.values(req.files).flat().forEach(file => {
-          try {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          } catch (unlinkError) {
-            console.error('Error deleting uploaded file:', unlinkError);
-          }
-        });
-      }
-      return res.status(400).json({ error: 'Notice date is required' });
+    if (status === 'rejected' && (!remarks || !String(remarks).trim())) {
+      return res.status(400).json({ error: 'Remarks are required when rejecting a document' });
     }
 
     conn = await pool.getConnection();
-    
-    // Generate URLs for uploaded files
-    let documentUrl = null;
-    let scheduleImageUrl = null;
-    
-    if (req.files) {
-      if (req.files.document && req.files.document[0]) {
-        documentUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.files.document[0].filename}`;
-      }
-      if (req.files.scheduleImage && req.files.scheduleImage[0]) {
-        scheduleImageUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.files.scheduleImage[0].filename}`;
-      }
+
+    const before = await findStudentDocument(conn, id);
+    if (!before || !(await canAccessStudent(conn, req, before.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (status === 'verified' && before.expiresAt && toDateString(before.expiresAt) < toDateString(new Date())) {
+      conn.release();
+      return res.status(400).json({ error: `The document expired on ${toDateString(before.expiresAt)}; a new one must be uploaded` });
     }
 
-    const result = await conn.query(
-      `INSERT INTO notices (title, description, documentUrl, scheduleImageUrl, noticeDate) VALUES (?, ?, ?, ?, ?)`,
-      [title.trim(), description.trim(), documentUrl, scheduleImageUrl, noticeDate]
+    await conn.query(
+      `UPDATE student_documents SET status = ?, remarks = ?, verifiedByType = ?, verifiedById = ?, verifiedAt = NOW() WHERE id = ?`,
+      [status, remarks ? String(remarks).trim() : null, req.user.role, req.user.id, id]
     );
 
-    const newNotice = await conn.query(
-      'SELECT id, title, description, documentUrl, scheduleImageUrl, noticeDate, createdAt FROM notices WHERE id = ?',
-      [result.insertId]
-    );
+    const document = await findStudentDocument(conn, id);
+    delete before.filePath;
+    delete document.filePath;
 
     conn.release();
-    res.status(201).json({ success: true, notice: newNotice[0] });
+    await recordAudit(req, 'update', 'student_document', id, before, document);
+    res.json({ success: true, document: withDocumentFileUrl(document) });
   } catch (error) {
-    console.error('Error creating notice:', error);
-    // Clean up uploaded files on error
-    if (req.files) {
-      Object.values(req.files).flat().forEach(file => {
-        try {
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-        } catch (unlinkError) {
-          console.error('Error deleting uploaded file:', unlinkError);
-        }
-      });
-    }
+    console.error('Error verifying student document:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to create notice', details: error.message });
+    res.status(500).json({ error: 'Failed to verify document' });
   }
 });
 
-// Update notice
-app.put('/api/notices/:id', noticeUpload.fields([
-  { name: 'document', maxCount: 1 },
-  { name: 'scheduleImage', maxCount: 1 }
-]), async (req, res) => {
+// Delete a document (admins, or a manager of the student)
+app.delete('/api/student-documents/:id', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
-    const { title, description, noticeDate } = req.body;
-
     conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id, documentUrl, scheduleImageUrl FROM notices WHERE id = ?', [id]);
-    if (existing.length === 0) {
-      conn.release();
-      // Clean up uploaded files
-      if (req.files) {
-        Object.values(req.files).flat().forEach(file => {
-          try {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          } catch (unlinkError) {
-            console.error('Error deleting uploaded file:', unlinkError);
-          }
-        });
-      }
-      return res.status(404).json({ error: 'Notice not found' });
-    }
 
-    let documentUrl = existing[0].documentUrl;
-    let scheduleImageUrl = existing[0].scheduleImageUrl;
-    
-    // Handle new document upload
-    if (req.files && req.files.document && req.files.document[0]) {
-      // Delete old document if exists
-      if (existing[0].documentUrl) {
-        const oldDocPath = existing[0].documentUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-        const oldFilePath = path.join(uploadsDir, oldDocPath);
-        try {
-          if (fs.existsSync(oldFilePath)) {
-            fs.unlinkSync(oldFilePath);
-          }
-        } catch (unlinkError) {
-          console.error('Error deleting old document:', unlinkError);
-        }
-      }
-      documentUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.files.document[0].filename}`;
-    }
-    
-    // Handle new schedule image upload
-    if (req.files && req.files.scheduleImage && req.files.scheduleImage[0]) {
-      // Delete old schedule image if exists
-      if (existing[0].scheduleImageUrl) {
-        const oldImagePath = existing[0].scheduleImageUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-        const oldFilePath = path.join(uploadsDir, oldImagePath);
-        try {
-          if (fs.existsSync(oldFilePath)) {
-            fs.unlinkSync(oldFilePath);
-          }
-        } catch (unlinkError) {
-          console.error('Error deleting old schedule image:', unlinkError);
-        }
-      }
-      scheduleImageUrl = `http://${SERVER_HOST}:${PORT}/uploads/${req.files.scheduleImage[0].filename}`;
+    const existing = await findStudentDocument(conn, id);
+    if (!existing || !(await canAccessStudent(conn, req, existing.studentId))) {
+      conn.release();
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    await conn.query(
-      `UPDATE notices SET title = ?, description = ?, documentUrl = ?, scheduleImageUrl = ?, noticeDate = ? WHERE id = ?`,
-      [
-        title ? title.trim() : null,
-        description ? description.trim() : null,
-        documentUrl,
-        scheduleImageUrl,
-        noticeDate || existing[0].noticeDate,
-        id
-      ]
-    );
-
-    const updated = await conn.query(
-      'SELECT id, title, description, documentUrl, scheduleImageUrl, noticeDate, createdAt, updatedAt FROM notices WHERE id = ?',
-      [id]
-    );
-
+    await conn.query('DELETE FROM student_documents WHERE id = ?', [id]);
     conn.release();
-    res.json({ success: true, notice: updated[0] });
+
+    deleteStudentDocumentFile(existing.filePath);
+    delete existing.filePath;
+    await recordAudit(req, 'delete', 'student_document', id, existing, null);
+    res.json({ success: true, message: 'Document deleted successfully' });
   } catch (error) {
-    console.error('Error updating notice:', error);
-    // Clean up uploaded files on error
-    if (req.files) {
-      Object.values(req.files).flat().forEach(file => {
-        try {
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-        } catch (unlinkError) {
-          console.error('Error deleting uploaded file:', unlinkError);
-        }
-      });
-    }
+    console.error('Error deleting student document:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to update notice' });
+    res.status(500).json({ error: 'Failed to delete document' });
   }
 });
 
-// Delete notice
-app.delete('/api/notices/:id', async (req, res) => {
+// Why a document does not count for an event: missing, pending, rejected, or
+// expired (it has to stay valid until the last day of the event). Null when it is fine.
+const documentProblem = (document, validUntil) => {
+  if (!document) return 'missing';
+  if (document.status !== 'verified') return document.status;
+  if (document.expiresAt && toDateString(document.expiresAt) < validUntil) return 'expired';
+  return null;
+};
+
+// Missing-documents report for an event: every squad member of the active
+// season whose required documents are not all verified and valid through the
+// event. Managers get their own squad; admins every squad of the event's sport
+// (or one squad with ?managerId=).
+app.get('/api/events/:id/missing-documents', async (req, res) => {
   let conn;
   try {
     const { id } = req.params;
     conn = await pool.getConnection();
-    
-    const existing = await conn.query('SELECT id, documentUrl, scheduleImageUrl FROM notices WHERE id = ?', [id]);
-    if (existing.length === 0) {
+
+    const events = await conn.query('SELECT id, name, sportId, startDate, endDate FROM events WHERE id = ?', [id]);
+    if (events.length === 0) {
       conn.release();
-      return res.status(404).json({ error: 'Notice not found' });
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    const event = events[0];
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
     }
 
-    // Delete document file if exists
-    if (existing[0].documentUrl) {
-      const docPath = existing[0].documentUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-      const filePath = path.join(uploadsDir, docPath);
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      } catch (unlinkError) {
-        console.error('Error deleting document file:', unlinkError);
-      }
+    const conditions = ['ms.seasonId = ?'];
+    const params = [season.id];
+    if (req.user.role === 'manager') {
+      conditions.push('m.id = ?');
+      params.push(req.manager.id);
+    } else if (req.query.managerId) {
+      conditions.push('m.id = ?');
+      params.push(req.query.managerId);
+    } else if (event.sportId) {
+      conditions.push('m.sportId = ?');
+      params.push(event.sportId);
     }
-    
-    // Delete schedule image file if exists
-    if (existing[0].scheduleImageUrl) {
-      const imagePath = existing[0].scheduleImageUrl.replace(`http://${SERVER_HOST}:${PORT}/uploads/`, '');
-      const filePath = path.join(uploadsDir, imagePath);
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      } catch (unlinkError) {
-        console.error('Error deleting schedule image file:', unlinkError);
-      }
+
+    const squads = await conn.query(
+      `SELECT m.id as managerId, m.name as managerName, sp.name as sport
+       FROM managers m
+       JOIN manager_seasons ms ON ms.managerId = m.id
+       LEFT JOIN sports sp ON sp.id = m.sportId
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY m.name ASC`,
+      params
+    );
+    if (squads.length === 0) {
+      conn.release();
+      return res.json({ event: { id: event.id, name: event.name }, seasonId: season.id, squads: [] });
     }
 
-    await conn.query('DELETE FROM notices WHERE id = ?', [id]);
+    const members = await conn.query(
+      `SELECT sm.managerId, s.id, s.name, s.prn_uid, s.birthDate
+       FROM student_memberships sm
+       JOIN students s ON s.id = sm.studentId
+       LEFT JOIN student_selections ss
+         ON ss.studentId = sm.studentId AND ss.managerId = sm.managerId AND ss.seasonId = sm.seasonId
+       WHERE sm.managerId IN (?) AND sm.seasonId = ? AND sm.status = 'active'
+         AND (ss.id IS NULL OR ss.isSelected = TRUE)
+       ORDER BY s.name ASC`,
+      [squads.map(squad => squad.managerId), season.id]
+    );
+
+    const documents = members.length > 0
+      ? await conn.query(
+        'SELECT studentId, type, status, expiresAt FROM student_documents WHERE studentId IN (?)',
+        [[...new Set(members.map(member => member.id))]]
+      )
+      : [];
     conn.release();
-    res.json({ success: true, message: 'Notice deleted successfully' });
+
+    const documentsByStudent = new Map();
+    for (const document of documents) {
+      if (!documentsByStudent.has(document.studentId)) documentsByStudent.set(document.studentId, {});
+      documentsByStudent.get(document.studentId)[document.type] = document;
+    }
+
+    const validUntil = toDateString(event.endDate);
+    const report = squads.map(squad => {
+      const students = members
+        .filter(member => member.managerId === squad.managerId)
+        .map(member => {
+          const owned = documentsByStudent.get(member.id) || {};
+          const needed = calculateAge(member.birthDate, event.startDate) < parentalConsentAge
+            ? [...requiredDocumentTypes, 'parental_consent']
+            : requiredDocumentTypes;
+          const missing = needed
+            .map(type => ({ type, reason: documentProblem(owned[type], validUntil) }))
+            .filter(item => item.reason);
+          return { studentId: member.id, name: member.name, prn_uid: member.prn_uid, missing };
+        });
+      const incomplete = students.filter(student => student.missing.length > 0);
+      return {
+        ...squad,
+        memberCount: students.length,
+        completeCount: students.length - incomplete.length,
+        students: incomplete,
+      };
+    });
+
+    res.json({
+      event: { id: event.id, name: event.name, startDate: event.startDate, endDate: event.endDate },
+      seasonId: season.id,
+      squads: report,
+    });
   } catch (error) {
-    console.error('Error deleting notice:', error);
+    console.error('Error building missing documents report:', error);
     if (conn) conn.release();
-    res.status(500).json({ error: 'Failed to delete notice' });
+    res.status(500).json({ error: 'Failed to build missing documents report' });
   }
 });
 
@@ -1970,24 +10015,13 @@ const generateToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
-// Generate new student link
+// Generate new student link for the logged-in manager
 app.post('/api/student-links', async (req, res) => {
   let conn;
   try {
-    const { managerId } = req.body;
-
-    if (!managerId) {
-      return res.status(400).json({ error: 'Manager ID is required' });
-    }
+    const managerId = req.manager.id;
 
     conn = await pool.getConnection();
-    
-    // Verify manager exists
-    const managers = await conn.query('SELECT id FROM managers WHERE id = ?', [managerId]);
-    if (managers.length === 0) {
-      conn.release();
-      return res.status(404).json({ error: 'Manager not found' });
-    }
 
     // Generate unique token
     let token;
@@ -2000,14 +10034,19 @@ app.post('/api/student-links', async (req, res) => {
       }
     }
 
-    // Create link
+    // Create link for the active season
+    const season = await getActiveSeason(conn);
+    if (!season) {
+      conn.release();
+      return res.status(409).json({ error: noActiveSeasonError });
+    }
     const result = await conn.query(
-      'INSERT INTO student_links (managerId, token) VALUES (?, ?)',
-      [managerId, token]
+      'INSERT INTO student_links (managerId, token, seasonId) VALUES (?, ?, ?)',
+      [managerId, token, season.id]
     );
 
     const newLink = await conn.query(
-      'SELECT id, managerId, token, isActive, createdAt FROM student_links WHERE id = ?',
+      'SELECT id, managerId, token, isActive, seasonId, createdAt FROM student_links WHERE id = ?',
       [result.insertId]
     );
 
@@ -2020,6 +10059,7 @@ app.post('/api/student-links', async (req, res) => {
     };
 
     conn.release();
+    await recordAudit(req, 'create', 'student_link', result.insertId, null, serializedLink);
     res.status(201).json({ success: true, link: serializedLink });
   } catch (error) {
     console.error('Error creating student link:', error);
@@ -2028,26 +10068,27 @@ app.post('/api/student-links', async (req, res) => {
   }
 });
 
-// Get all links for a manager
+// Get all links for the logged-in manager (?season=, defaults to the active season)
 app.get('/api/student-links', async (req, res) => {
   let conn;
   try {
-    const { managerId } = req.query;
-
-    if (!managerId) {
-      return res.status(400).json({ error: 'Manager ID is required' });
-    }
+    const managerId = req.manager.id;
 
     conn = await pool.getConnection();
+    const season = await findRequestedSeason(conn, req.query.season);
+    if (!season) {
+      conn.release();
+      return res.status(404).json({ error: 'Season not found' });
+    }
     const links = await conn.query(
-      `SELECT sl.id, sl.managerId, sl.token, sl.isActive, sl.createdAt, sl.updatedAt,
-              COUNT(s.id) as studentCount
+      `SELECT sl.id, sl.managerId, sl.token, sl.isActive, sl.seasonId, sl.createdAt, sl.updatedAt,
+              COUNT(sm.id) as studentCount
        FROM student_links sl
-       LEFT JOIN students s ON s.linkToken = sl.token
-       WHERE sl.managerId = ?
+       LEFT JOIN student_memberships sm ON sm.linkToken = sl.token
+       WHERE sl.managerId = ? AND sl.seasonId = ?
        GROUP BY sl.id
        ORDER BY sl.createdAt DESC`,
-      [managerId]
+      [managerId, season.id]
     );
 
     // Convert BigInt values to numbers for JSON serialization
@@ -2077,9 +10118,12 @@ app.get('/api/student-links/token/:token', async (req, res) => {
     conn = await pool.getConnection();
     const links = await conn.query(
       `SELECT sl.id, sl.managerId, sl.token, sl.isActive, sl.createdAt,
-              m.name as managerName, m.sport, m.department
+              m.name as managerName, sp.name as sport, d.name as department
        FROM student_links sl
        JOIN managers m ON sl.managerId = m.id
+       LEFT JOIN sports sp ON m.sportId = sp.id
+       LEFT JOIN departments d ON m.departmentId = d.id
+       JOIN seasons se ON sl.seasonId = se.id AND se.isActive = TRUE
        WHERE sl.token = ? AND sl.isActive = TRUE`,
       [token]
     );
@@ -2107,10 +10151,10 @@ app.get('/api/student-links/token/:token', async (req, res) => {
 });
 
 // Submit student form via link
-app.post('/api/student-links/submit', async (req, res) => {
+app.post('/api/student-links/submit', submitIpLimit, submitLinkLimit, async (req, res) => {
   let conn;
   try {
-    const { token, name, prn_uid, contact, email, address, birthDate } = req.body;
+    const { token, name, prn_uid, contact, email, address, birthDate, gender } = req.body;
 
     // Validation
     if (!token) {
@@ -2128,12 +10172,21 @@ app.post('/api/student-links/submit', async (req, res) => {
     if (!birthDate) {
       return res.status(400).json({ error: 'Birth date is required' });
     }
+    if (!parseBirthDate(birthDate)) {
+      return res.status(400).json({ error: 'Invalid birth date' });
+    }
+    if (gender && !GENDERS.includes(gender)) {
+      return res.status(400).json({ error: `Gender must be one of: ${GENDERS.join(', ')}` });
+    }
 
     conn = await pool.getConnection();
 
-    // Verify link exists and is active
+    // Verify link exists and is active. Links of past seasons no longer accept registrations.
     const links = await conn.query(
-      'SELECT id, managerId FROM student_links WHERE token = ? AND isActive = TRUE',
+      `SELECT sl.id, sl.managerId, sl.seasonId
+       FROM student_links sl
+       JOIN seasons se ON sl.seasonId = se.id AND se.isActive = TRUE
+       WHERE sl.token = ? AND sl.isActive = TRUE`,
       [token]
     );
 
@@ -2144,46 +10197,77 @@ app.post('/api/student-links/submit', async (req, res) => {
 
     const link = links[0];
 
-    // Check if PRN already exists
-    const existing = await conn.query('SELECT id FROM students WHERE prn_uid = ?', [prn_uid.trim()]);
+    // A student already registered for another sport joins this squad with
+    // their existing record. The birth date must match the one on file.
+    const existing = await conn.query('SELECT id, birthDate, gender FROM students WHERE prn_uid = ?', [prn_uid.trim()]);
     if (existing.length > 0) {
+      const student = existing[0];
+
+      if (toDateString(student.birthDate) !== toDateString(birthDate)) {
+        conn.release();
+        return res.status(400).json({ error: 'PRN/UID already exists with different details' });
+      }
+      if (await isStudentOfManager(conn, student.id, link.managerId, { seasonId: link.seasonId })) {
+        conn.release();
+        return res.status(400).json({ error: 'You are already registered with this manager' });
+      }
+
+      const ineligible = await findEligibilityFailure(
+        conn,
+        { id: student.id, birthDate: student.birthDate, gender: student.gender || gender || null },
+        link.managerId
+      );
+      if (ineligible) {
+        conn.release();
+        return res.status(400).json({ error: ineligible.message, rule: ineligible.rule });
+      }
+
+      const membership = await joinSquad(conn, {
+        studentId: student.id, managerId: link.managerId, seasonId: link.seasonId, linkToken: token
+      });
+      if (!student.gender && gender) {
+        await conn.query('UPDATE students SET gender = ? WHERE id = ?', [gender, student.id]);
+      }
+
+      const joined = await conn.query(
+        'SELECT id, name, prn_uid, contact, email, address, birthDate, age, gender, managerId, linkToken, createdAt FROM students WHERE id = ?',
+        [student.id]
+      );
+
       conn.release();
-      return res.status(400).json({ error: 'PRN/UID already exists' });
+      await recordAudit(req, 'create', 'student_membership', student.id, null, { studentId: student.id, managerId: link.managerId, seasonId: link.seasonId, linkToken: token, status: membership.status });
+      return res.status(201).json({ success: true, student: joined[0], joinedExistingStudent: true, ...membership });
     }
 
-    // Calculate age
-    const birthDateObj = new Date(birthDate);
-    const today = new Date();
-    let age = today.getFullYear() - birthDateObj.getFullYear();
-    const monthDiff = today.getMonth() - birthDateObj.getMonth();
-    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDateObj.getDate())) {
-      age--;
+    // Registration is for the sport of the link's manager
+    const ineligible = await findEligibilityFailure(conn, { birthDate, gender: gender || null }, link.managerId);
+    if (ineligible) {
+      conn.release();
+      return res.status(400).json({ error: ineligible.message, rule: ineligible.rule });
     }
 
-    // Create student
-    const result = await conn.query(
-      `INSERT INTO students (name, prn_uid, contact, email, address, birthDate, age, managerId, linkToken)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        name.trim(),
-        prn_uid.trim(),
-        contact.trim(),
-        email ? email.trim() : null,
-        address ? address.trim() : null,
-        birthDate,
-        age,
-        link.managerId,
-        token
-      ]
-    );
+    const age = calculateAge(birthDate);
+
+    // Create the student and their membership together
+    const { studentId, ...membership } = await createStudentInSquad(conn, {
+      name: name.trim(),
+      prn_uid: prn_uid.trim(),
+      contact: contact.trim(),
+      email: email ? email.trim() : null,
+      address: address ? address.trim() : null,
+      birthDate: parseBirthDate(birthDate),
+      age,
+      gender: gender || null,
+    }, { managerId: link.managerId, seasonId: link.seasonId, linkToken: token });
 
     const newStudent = await conn.query(
-      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, managerId, linkToken, createdAt FROM students WHERE id = ?',
-      [result.insertId]
+      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, gender, managerId, linkToken, createdAt FROM students WHERE id = ?',
+      [studentId]
     );
 
     conn.release();
-    res.status(201).json({ success: true, student: newStudent[0] });
+    await recordAudit(req, 'create', 'student', studentId, null, newStudent[0]);
+    res.status(201).json({ success: true, student: newStudent[0], ...membership });
   } catch (error) {
     console.error('Error submitting student form:', error);
     if (conn) conn.release();
@@ -2203,7 +10287,7 @@ app.get('/api/student-links/:linkId/students', async (req, res) => {
     conn = await pool.getConnection();
     
     // Get the link token
-    const links = await conn.query('SELECT token FROM student_links WHERE id = ?', [linkId]);
+    const links = await conn.query('SELECT token FROM student_links WHERE id = ? AND managerId = ?', [linkId, req.manager.id]);
     if (links.length === 0) {
       conn.release();
       return res.status(404).json({ error: 'Link not found' });
@@ -2211,9 +10295,14 @@ app.get('/api/student-links/:linkId/students', async (req, res) => {
 
     const token = links[0].token;
 
-    // Get students submitted via this link
+    // Get students who joined through this link (including existing students)
     const students = await conn.query(
-      'SELECT id, name, prn_uid, contact, email, address, birthDate, age, managerId, createdAt FROM students WHERE linkToken = ? ORDER BY createdAt DESC',
+      `SELECT s.id, s.name, s.prn_uid, s.contact, s.email, s.address, s.birthDate, s.age, s.gender,
+              sm.managerId, s.createdAt, sm.createdAt as joinedAt
+       FROM student_memberships sm
+       JOIN students s ON sm.studentId = s.id
+       WHERE sm.linkToken = ?
+       ORDER BY sm.createdAt DESC`,
       [token]
     );
 
@@ -2235,6 +10324,12 @@ app.put('/api/student-links/:id', async (req, res) => {
 
     conn = await pool.getConnection();
     
+    const existing = await conn.query('SELECT * FROM student_links WHERE id = ? AND managerId = ?', [id, req.manager.id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
     await conn.query('UPDATE student_links SET isActive = ? WHERE id = ?', [isActive, id]);
 
     const updated = await conn.query('SELECT * FROM student_links WHERE id = ?', [id]);
@@ -2248,6 +10343,7 @@ app.put('/api/student-links/:id', async (req, res) => {
     };
 
     conn.release();
+    await recordAudit(req, 'update', 'student_link', id, existing[0], updated[0]);
     res.json({ success: true, link: serializedLink });
   } catch (error) {
     console.error('Error updating link:', error);
@@ -2264,9 +10360,16 @@ app.delete('/api/student-links/:id', async (req, res) => {
 
     conn = await pool.getConnection();
     
+    const existing = await conn.query('SELECT * FROM student_links WHERE id = ? AND managerId = ?', [id, req.manager.id]);
+    if (existing.length === 0) {
+      conn.release();
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
     await conn.query('DELETE FROM student_links WHERE id = ?', [id]);
 
     conn.release();
+    await recordAudit(req, 'delete', 'student_link', id, existing[0], null);
     res.json({ success: true, message: 'Link deleted successfully' });
   } catch (error) {
     console.error('Error deleting link:', error);
@@ -2285,25 +10388,100 @@ app.listen(PORT, () => {
   console.log(`Server is running on http://${SERVER_HOST}:${PORT}`);
   console.log(`Uploads directory: ${uploadsDir}`);
   console.log('Available API endpoints:');
+  console.log('  GET    /api/seasons');
+  console.log('  GET    /api/seasons/active');
+  console.log('  POST   /api/seasons');
+  console.log('  PUT    /api/seasons/:id');
+  console.log('  POST   /api/seasons/:id/activate');
+  console.log('  POST   /api/seasons/:id/rollover');
   console.log('  GET    /api/sports');
   console.log('  POST   /api/sports');
   console.log('  GET    /api/sports/:id');
   console.log('  PUT    /api/sports/:id');
   console.log('  DELETE /api/sports/:id');
+  console.log('  GET    /api/departments');
+  console.log('  POST   /api/departments');
+  console.log('  PUT    /api/departments/:id');
+  console.log('  DELETE /api/departments/:id');
   console.log('  GET    /api/teams');
   console.log('  POST   /api/teams');
   console.log('  GET    /api/teams/:id');
   console.log('  PUT    /api/teams/:id');
   console.log('  DELETE /api/teams/:id');
+  console.log('  POST   /api/teams/:id/roster');
+  console.log('  PUT    /api/teams/:id/roster/:entryId');
+  console.log('  DELETE /api/teams/:id/roster/:entryId');
+  console.log('  POST   /api/teams/:id/coaches');
+  console.log('  DELETE /api/teams/:id/coaches/:assignmentId');
   console.log('  GET    /api/event-images');
   console.log('  POST   /api/event-images');
   console.log('  PUT    /api/event-images/:id');
   console.log('  DELETE /api/event-images/:id');
+  console.log('  GET    /api/event-albums');
+  console.log('  GET    /api/event-albums/:id');
+  console.log('  POST   /api/event-albums');
+  console.log('  PUT    /api/event-albums/:id');
+  console.log('  DELETE /api/event-albums/:id');
+  console.log('  POST   /api/event-albums/:id/images');
+  console.log('  PUT    /api/event-albums/:id/order');
+  console.log('  GET    /api/events');
+  console.log('  POST   /api/events');
+  console.log('  GET    /api/events/:id');
+  console.log('  PUT    /api/events/:id');
+  console.log('  DELETE /api/events/:id');
+  console.log('  POST   /api/events/:id/teams');
+  console.log('  DELETE /api/events/:id/teams/:teamId');
+  console.log('  GET    /api/events/:id/fixtures');
+  console.log('  POST   /api/events/:id/fixtures/generate');
+  console.log('  POST   /api/events/:id/fixtures/publish');
+  console.log('  DELETE /api/events/:id/fixtures');
+  console.log('  PUT    /api/matches/:id');
+  console.log('  PUT    /api/matches/:id/result');
+  console.log('  GET    /api/events/:id/standings');
+  console.log('  GET    /api/matches/:id/lineups');
+  console.log('  POST   /api/matches/:id/lineups');
+  console.log('  DELETE /api/matches/:id/lineups/:entryId');
+  console.log('  GET    /api/venues');
+  console.log('  POST   /api/venues');
+  console.log('  GET    /api/venues/:id');
+  console.log('  PUT    /api/venues/:id');
+  console.log('  DELETE /api/venues/:id');
+  console.log('  GET    /api/venues/:id/availability');
+  console.log('  GET    /api/venue-bookings');
+  console.log('  POST   /api/venue-bookings');
+  console.log('  PUT    /api/venue-bookings/:id');
+  console.log('  DELETE /api/venue-bookings/:id');
+  console.log('  GET    /api/equipment');
+  console.log('  POST   /api/equipment');
+  console.log('  GET    /api/equipment/:id');
+  console.log('  PUT    /api/equipment/:id');
+  console.log('  DELETE /api/equipment/:id');
+  console.log('  POST   /api/equipment/:id/issue');
+  console.log('  GET    /api/equipment-issues');
+  console.log('  POST   /api/equipment-issues/:id/return');
+  console.log('  GET    /api/equipment-reports/outstanding');
+  console.log('  GET    /api/achievements');
+  console.log('  POST   /api/achievements');
+  console.log('  PUT    /api/achievements/:id');
+  console.log('  DELETE /api/achievements/:id');
+  console.log('  POST   /api/achievements/:id/certificates');
+  console.log('  GET    /api/certificate-templates');
+  console.log('  POST   /api/certificate-templates');
+  console.log('  PUT    /api/certificate-templates/:id');
+  console.log('  DELETE /api/certificate-templates/:id');
+  console.log('  GET    /api/certificates');
+  console.log('  GET    /api/certificates/verify/:code');
+  console.log('  GET    /api/certificates/:id/pdf');
+  console.log('  DELETE /api/certificates/:id');
   console.log('  GET    /api/notices');
   console.log('  POST   /api/notices');
   console.log('  GET    /api/notices/:id');
   console.log('  PUT    /api/notices/:id');
   console.log('  DELETE /api/notices/:id');
+  console.log('  POST   /api/notices/:id/attachments');
+  console.log('  PUT    /api/notices/:id/attachments/order');
+  console.log('  PUT    /api/notices/:id/attachments/:attachmentId');
+  console.log('  DELETE /api/notices/:id/attachments/:attachmentId');
   console.log('  POST   /api/student-links');
   console.log('  GET    /api/student-links');
   console.log('  GET    /api/student-links/token/:token');
@@ -2311,5 +10489,39 @@ app.listen(PORT, () => {
   console.log('  GET    /api/student-links/:linkId/students');
   console.log('  PUT    /api/student-links/:id');
   console.log('  DELETE /api/student-links/:id');
+  console.log('  GET    /api/student-waitlist');
+  console.log('  POST   /api/student-waitlist/:studentId/promote');
+  console.log('  PUT    /api/student-waitlist/settings');
+  console.log('  GET    /api/students/:id/documents');
+  console.log('  POST   /api/students/:id/documents');
+  console.log('  GET    /api/student-portal/documents');
+  console.log('  POST   /api/student-portal/documents');
+  console.log('  GET    /api/student-documents/:id/file');
+  console.log('  PUT    /api/student-documents/:id/verify');
+  console.log('  DELETE /api/student-documents/:id');
+  console.log('  GET    /api/events/:id/missing-documents');
+  console.log('  GET    /api/fitness-tests');
+  console.log('  POST   /api/fitness-tests');
+  console.log('  PUT    /api/fitness-tests/:id');
+  console.log('  DELETE /api/fitness-tests/:id');
+  console.log('  GET    /api/fitness-results');
+  console.log('  GET    /api/fitness-results/squad');
+  console.log('  POST   /api/fitness-results');
+  console.log('  PUT    /api/fitness-results/:id');
+  console.log('  DELETE /api/fitness-results/:id');
+  console.log('  GET    /api/students/:id/fitness-progress');
+  console.log('  GET    /api/student-portal/fitness-progress');
+  console.log('  GET    /api/injuries');
+  console.log('  POST   /api/injuries');
+  console.log('  PUT    /api/injuries/:id');
+  console.log('  DELETE /api/injuries/:id');
+  console.log('  GET    /api/student-portal/injuries');
+  console.log('  GET    /api/practice-sessions');
+  console.log('  POST   /api/practice-sessions');
+  console.log('  GET    /api/practice-sessions/:id');
+  console.log('  PUT    /api/practice-sessions/:id');
+  console.log('  DELETE /api/practice-sessions/:id');
+  console.log('  PUT    /api/practice-sessions/:id/attendance');
+  console.log('  GET    /api/practice-attendance/summary');
 });
 
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { compilePolicies, findPolicyRoles, createAuthorize } = require('../utils/access');
+
+const policies = compilePolicies([
+  ['GET', '/api/sports', ['public']],
+  ['PUT', '/api/managers/password', ['manager']],
+  ['*', '/api/students/:id', ['manager']],
+]);
+
+// A small app wired like index.js: case sensitive routing, authorization for
+// every request, then routes that do not look at req.user themselves
+const startApp = async (user = null) => {
+  const app = express();
+  app.set('case sensitive routing', true);
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(createAuthorize(policies, { passwordChangeRoutes: [['PUT', '/api/managers/password']] }));
+  app.get('/api/sports', (req, res) => res.json({ reached: 'sports' }));
+  app.delete('/api/managers/:id', (req, res) => res.json({ reached: 'delete manager' }));
+  app.put('/api/managers/password', (req, res) => res.json({ reached: 'password' }));
+  app.get('/api/students/:id', (req, res) => res.json({ reached: 'student' }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    request: (method, path) => fetch(`http://127.0.0.1:${server.address().port}${path}`, { method }),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+test('paths without a policy are admin-only', () => {
+  assert.deepStrictEqual(findPolicyRoles(policies, 'DELETE', '/api/managers/3'), ['admin']);
+  assert.deepStrictEqual(findPolicyRoles(policies, 'GET', '/api/sports/'), ['public']);
+  assert.deepStrictEqual(findPolicyRoles(policies, 'DELETE', '/api/students/7'), ['manager']);
+});
+
+test('policies do not match differently cased paths', () => {
+  assert.deepStrictEqual(findPolicyRoles(policies, 'GET', '/API/sports'), ['admin']);
+  assert.deepStrictEqual(findPolicyRoles(policies, 'GET', '/Api/Students/7'), ['admin']);
+});
+
+test('anonymous callers cannot reach admin routes through upper or mixed case paths', async () => {
+  const app = await startApp();
+  try {
+    for (const path of ['/api/managers/3', '/API/managers/3', '/Api/Managers/3', '/api/MANAGERS/3', '/aPi/managers/3/']) {
+      const res = await app.request('DELETE', path);
+      assert.notStrictEqual(res.status, 200, `${path} reached the handler`);
+      assert.ok([401, 404].includes(res.status), `${path} answered ${res.status}`);
+    }
+    assert.strictEqual((await app.request('DELETE', '/API/managers/3')).status, 401);
+  } finally {
+    await app.close();
+  }
+});
+
+test('differently cased paths do not reach role-restricted routes for other roles', async () => {
+  const app = await startApp({ id: 1, role: 'student' });
+  try {
+    assert.strictEqual((await app.request('GET', '/api/students/7')).status, 403);
+    assert.strictEqual((await app.request('GET', '/API/students/7')).status, 403);
+    assert.strictEqual((await app.request('GET', '/api/Students/7')).status, 403);
+  } finally {
+    await app.close();
+  }
+});
+
+test('public routes only answer on their exact path', async () => {
+  const app = await startApp();
+  try {
+    assert.strictEqual((await app.request('GET', '/api/sports')).status, 200);
+    assert.strictEqual((await app.request('GET', '/API/SPORTS')).status, 401);
+  } finally {
+    await app.close();
+  }
+});
+
+test('managers on their initial password may only change it, in any case', async () => {
+  const app = await startApp({ id: 2, role: 'manager', mustChangePassword: 1 });
+  try {
+    assert.strictEqual((await app.request('GET', '/api/students/7')).status, 403);
+    assert.strictEqual((await app.request('GET', '/API/students/7')).status, 403);
+    assert.strictEqual((await app.request('PUT', '/api/managers/password')).status, 200);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateAge, parseBirthDate, checkEligibility } = require('../utils/eligibility');
+
+const today = new Date(2026, 9, 19);
+
+test('parseBirthDate accepts real past dates', () => {
+  assert.strictEqual(parseBirthDate('2005-06-15', today), '2005-06-15');
+  assert.strictEqual(parseBirthDate('2004-02-29', today), '2004-02-29');
+  assert.strictEqual(parseBirthDate('2005-06-15T00:00:00.000Z', today), '2005-06-15');
+  assert.strictEqual(parseBirthDate('2026-10-19', today), '2026-10-19');
+});
+
+test('parseBirthDate rejects impossible dates', () => {
+  assert.strictEqual(parseBirthDate('2005-13-45', today), null);
+  assert.strictEqual(parseBirthDate('2005-02-31', today), null);
+  assert.strictEqual(parseBirthDate('2005-02-29', today), null);
+  assert.strictEqual(parseBirthDate('2005-00-10', today), null);
+  assert.strictEqual(parseBirthDate('2005-99-99garbage', today), null);
+  assert.strictEqual(parseBirthDate('2005-06-15garbage', today), null);
+  assert.strictEqual(parseBirthDate('15/06/2005', today), null);
+  assert.strictEqual(parseBirthDate('', today), null);
+});
+
+test('parseBirthDate rejects dates in the future', () => {
+  assert.strictEqual(parseBirthDate('2030-01-01', today), null);
+  assert.strictEqual(parseBirthDate('2026-10-20', today), null);
+  assert.strictEqual(parseBirthDate('2026-11-01', today), null);
+});
+
+test('parseBirthDate rejects values that are not strings', () => {
+  assert.strictEqual(parseBirthDate(12345, today), null);
+  assert.strictEqual(parseBirthDate(true, today), null);
+  assert.strictEqual(parseBirthDate(null, today), null);
+  assert.strictEqual(parseBirthDate(undefined, today), null);
+  assert.strictEqual(parseBirthDate({}, today), null);
+  assert.strictEqual(parseBirthDate(['2005-06-15'], today), null);
+  assert.strictEqual(parseBirthDate(new Date(2005, 5, 15), today), null);
+});
+
+test('calculateAge counts completed years', () => {
+  assert.strictEqual(calculateAge('2005-10-19', today), 21);
+  assert.strictEqual(calculateAge('2005-10-20', today), 20);
+});
+
+test('checkEligibility reports an unusable birth date without printing null', () => {
+  const failure = checkEligibility({ birthDate: 'garbage' }, { name: 'Kabaddi', minAge: 18 });
+  assert.strictEqual(failure.rule, 'minAge');
+  assert.ok(!failure.message.includes('null'));
+});
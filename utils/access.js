@@ -0,0 +1,64 @@
+// Route access policies.
+//
+// compilePolicies(list) turns [method, pattern, roles] entries into matchers.
+// Patterns are exact paths where ":name" matches one path segment, or '*' for
+// any path. createAuthorize(policies, { passwordChangeRoutes }) returns the
+// middleware that checks req.user (set by authentication) against the first
+// matching policy. API paths without a policy are admin-only.
+//
+// Paths are compared case-sensitively, so the app must use case sensitive
+// routing as well. API paths are recognised in any case, so a differently
+// cased path never skips the check: it finds no policy and is admin-only.
+
+const compilePolicies = (list) => list.map(([method, pattern, roles]) => ({
+  method,
+  roles,
+  regex: pattern === '*'
+    ? /.*/
+    : new RegExp('^' + pattern.replace(/:[^/]+/g, '[^/]+') + '/?$'),
+}));
+
+const isApiPath = (path) => path.toLowerCase().startsWith('/api/');
+
+const findPolicyRoles = (policies, method, path) => {
+  const policy = policies.find(p =>
+    (p.method === '*' || p.method === method) && p.regex.test(path)
+  );
+  return policy ? policy.roles : ['admin'];
+};
+
+// Answers 401 when a login is needed and 403 when the logged-in role is not
+// allowed. Managers still on their initial password may only use
+// passwordChangeRoutes ([method, path] pairs).
+const createAuthorize = (policies, { passwordChangeRoutes = [] } = {}) => (req, res, next) => {
+  if (!isApiPath(req.path) && req.method !== 'OPTIONS') {
+    return next();
+  }
+
+  const roles = findPolicyRoles(policies, req.method, req.path);
+
+  if (roles.includes('public')) {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ error: req.authError || 'Authentication required' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+
+  if (req.user.role === 'manager' && req.user.mustChangePassword
+    && !passwordChangeRoutes.some(([method, route]) => method === req.method && route === req.path.replace(/\/$/, ''))) {
+    return res.status(403).json({ error: 'You must change your password before continuing', mustChangePassword: true });
+  }
+
+  next();
+};
+
+module.exports = {
+  compilePolicies,
+  findPolicyRoles,
+  createAuthorize,
+};
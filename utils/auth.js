@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Secret used to sign session tokens. Without SESSION_SECRET a random one is
+// generated, which means every restart invalidates existing sessions.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set. Sessions will not survive a server restart.');
+}
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+// Hash a password as "salt:hash" using scrypt
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, 64);
+  return `${salt}:${derived.toString('hex')}`;
+};
+
+// Compare a plain password against a stored "salt:hash" value
+const verifyPassword = async (password, storedHash) => {
+  if (!storedHash || !storedHash.includes(':')) {
+    return false;
+  }
+  const [salt, hash] = storedHash.split(':');
+  const derived = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+};
+
+const signValue = (value) => {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('hex');
+};
+
+// Create a new session token. The raw value is handed to the client as
+// "<value>.<signature>", only its SHA-256 digest is stored in the database.
+const createSessionToken = () => {
+  const value = crypto.randomBytes(32).toString('hex');
+  return {
+    token: `${value}.${signValue(value)}`,
+    tokenHash: hashToken(value),
+  };
+};
+
+// Check the signature of a client supplied token and return the digest to
+// look the session up by, or null if the token was tampered with.
+const verifySessionToken = (token) => {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+  const [value, signature] = token.split('.');
+  if (!/^[0-9a-f]{64}$/.test(signature || '')) {
+    return null;
+  }
+  const expected = Buffer.from(signValue(value), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return hashToken(value);
+};
+
+const hashToken = (value) => {
+  return crypto.createHash('sha256').update(value).digest('hex');
+};
+
+// Read a bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim() || null;
+};
+
+// Unambiguous characters only (no 0/O, 1/l/I)
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+// Random initial password handed to a new account once; only its hash is stored
+const createOneTimePassword = (length = 12) => {
+  const bytes = crypto.randomBytes(length);
+  return [...bytes].map(byte => PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]).join('');
+};
+
+const getSessionExpiry = () => {
+  return new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createOneTimePassword,
+  createSessionToken,
+  verifySessionToken,
+  getBearerToken,
+  getSessionExpiry,
+  SESSION_TTL_HOURS,
+};
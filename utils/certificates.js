@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// Built-in wording used when no department template exists for a certificate type.
+// Placeholders: {studentName}, {prn}, {sport}, {event}, {position}, {level}, {date}
+const DEFAULT_TEMPLATES = {
+  participation: {
+    headerText: 'Department of Sports',
+    title: 'Certificate of Participation',
+    bodyText: 'This is to certify that {studentName} (PRN {prn}) participated in {event} ({sport}) at the {level} level on {date}.',
+    signatoryName: null,
+    signatoryTitle: 'Director of Sports',
+  },
+  merit: {
+    headerText: 'Department of Sports',
+    title: 'Certificate of Merit',
+    bodyText: 'This is to certify that {studentName} (PRN {prn}) secured {position} in {event} ({sport}) at the {level} level on {date}.',
+    signatoryName: null,
+    signatoryTitle: 'Director of Sports',
+  },
+};
+
+// Unambiguous characters only (no 0/O, 1/I), grouped as XXXX-XXXX-XXXX
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const createVerificationCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+const fillPlaceholders = (text, data) => {
+  return String(text || '').replace(/\{(\w+)\}/g, (match, key) => (data[key] !== undefined && data[key] !== null ? data[key] : ''));
+};
+
+// Render a certificate as an A4 landscape PDF and resolve with its contents.
+// `data` holds the placeholder values, `template` the wording, and
+// `backgroundPath` an optional image drawn over the whole page.
+const renderCertificate = (data, template, { backgroundPath, verifyUrl } = {}) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 60 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 120;
+
+    if (backgroundPath && fs.existsSync(backgroundPath)) {
+      doc.image(backgroundPath, 0, 0, { width, height });
+    } else {
+      doc.lineWidth(3).rect(25, 25, width - 50, height - 50).stroke('#1f3a5f');
+      doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke('#1f3a5f');
+    }
+
+    doc.fillColor('#1f3a5f');
+    if (template.headerText) {
+      doc.font('Helvetica-Bold').fontSize(20).text(fillPlaceholders(template.headerText, data), 60, 80, {
+        width: contentWidth,
+        align: 'center',
+      });
+    }
+
+    doc.font('Helvetica-Bold').fontSize(34).text(fillPlaceholders(template.title, data), 60, 140, {
+      width: contentWidth,
+      align: 'center',
+    });
+
+    doc.fillColor('#000000').font('Helvetica').fontSize(16).text(fillPlaceholders(template.bodyText, data), 110, 230, {
+      width: width - 220,
+      align: 'center',
+      lineGap: 8,
+    });
+
+    if (template.signatoryName || template.signatoryTitle) {
+      const signatureX = width - 320;
+      const signatureY = height - 150;
+      doc.moveTo(signatureX, signatureY).lineTo(signatureX + 220, signatureY).stroke('#000000');
+      doc.font('Helvetica-Bold').fontSize(12).text(template.signatoryName || '', signatureX, signatureY + 8, {
+        width: 220,
+        align: 'center',
+      });
+      doc.font('Helvetica').fontSize(11).text(template.signatoryTitle || '', signatureX, doc.y, {
+        width: 220,
+        align: 'center',
+      });
+    }
+
+    doc.font('Helvetica').fontSize(10).fillColor('#444444');
+    doc.text(`Verification code: ${data.verificationCode}`, 60, height - 110, { width: 320 });
+    if (verifyUrl) {
+      doc.text(`Verify at ${verifyUrl}`, 60, doc.y, { width: 320 });
+    }
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  createVerificationCode,
+  fillPlaceholders,
+  renderCertificate,
+};
@@ -0,0 +1,132 @@
+// Per-sport eligibility rules.
+//
+// checkEligibility(student, sport, { sportsCount }) compares a student
+// ({ birthDate, gender }) with the rules stored on a sport ({ name, minAge,
+// maxAge, ageCutoffDate, genderCategory, maxSportsPerStudent }). sportsCount is
+// the number of other sports the student already takes part in. It returns
+// null when the student is eligible, otherwise the first failed rule as
+// { rule, message }.
+
+const GENDERS = ['male', 'female', 'other'];
+const GENDER_CATEGORIES = ['open', 'men', 'women'];
+
+// Year, month and day of a "YYYY-MM-DD" string or a Date (local date parts,
+// matching how DATE columns come back)
+const dateParts = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+    return { year, month, day };
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+};
+
+// Age in completed years on a given date (today by default), or null for an invalid birth date
+const calculateAge = (birthDate, onDate = new Date()) => {
+  const birth = dateParts(birthDate);
+  const on = dateParts(onDate);
+  if (!birth || !on) {
+    return null;
+  }
+  let age = on.year - birth.year;
+  if (on.month < birth.month || (on.month === birth.month && on.day < birth.day)) {
+    age--;
+  }
+  return age;
+};
+
+// A birth date from a request: a real calendar date as "YYYY-MM-DD" (an ISO
+// date-time is cut to its date) that is not in the future. Returns the date
+// as "YYYY-MM-DD", or null when the value is not one.
+const parseBirthDate = (value, today = new Date()) => {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  const now = dateParts(today);
+  const isFuture = year > now.year
+    || (year === now.year && (month > now.month || (month === now.month && day > now.day)));
+  return isFuture ? null : match[0].trim().slice(0, 10);
+};
+
+const formatDate = (value) => {
+  const parts = dateParts(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return parts ? `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` : null;
+};
+
+const checkEligibility = (student, sport, { sportsCount = 0 } = {}) => {
+  if (!sport) {
+    return null;
+  }
+
+  const cutoff = sport.ageCutoffDate || new Date();
+  const asOf = sport.ageCutoffDate ? ` as of ${formatDate(cutoff)}` : '';
+  const age = calculateAge(student.birthDate, cutoff);
+  const hasAgeRules = (sport.minAge !== null && sport.minAge !== undefined)
+    || (sport.maxAge !== null && sport.maxAge !== undefined);
+
+  if (hasAgeRules && age === null) {
+    return {
+      rule: sport.minAge !== null && sport.minAge !== undefined ? 'minAge' : 'maxAge',
+      message: `${sport.name} has age limits; the student's birth date is not valid`,
+    };
+  }
+
+  if (sport.minAge !== null && sport.minAge !== undefined) {
+    if (age < sport.minAge) {
+      return {
+        rule: 'minAge',
+        message: `${sport.name} requires a minimum age of ${sport.minAge}${asOf}; the student is ${age}`,
+      };
+    }
+  }
+
+  if (sport.maxAge !== null && sport.maxAge !== undefined) {
+    if (age > sport.maxAge) {
+      return {
+        rule: 'maxAge',
+        message: `${sport.name} allows a maximum age of ${sport.maxAge}${asOf}; the student is ${age}`,
+      };
+    }
+  }
+
+  if (sport.genderCategory === 'men' || sport.genderCategory === 'women') {
+    const required = sport.genderCategory === 'men' ? 'male' : 'female';
+    if (student.gender !== required) {
+      return {
+        rule: 'genderCategory',
+        message: student.gender
+          ? `${sport.name} is a ${sport.genderCategory}'s category`
+          : `${sport.name} is a ${sport.genderCategory}'s category; the student's gender is not recorded`,
+      };
+    }
+  }
+
+  if (sport.maxSportsPerStudent !== null && sport.maxSportsPerStudent !== undefined) {
+    if (sportsCount >= sport.maxSportsPerStudent) {
+      return {
+        rule: 'maxSportsPerStudent',
+        message: `Students in ${sport.name} may take part in at most ${sport.maxSportsPerStudent} sports; the student already has ${sportsCount}`,
+      };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  GENDERS,
+  GENDER_CATEGORIES,
+  calculateAge,
+  parseBirthDate,
+  checkEligibility,
+};
@@ -0,0 +1,108 @@
+// Fitness test progress.
+//
+// Every test type says which direction is better: 'higher' (beep test level,
+// reach, weight lifted) or 'lower' (sprint time). summarizeProgress(results,
+// direction) takes one student's results for one test ({ testDate, value }) and
+// describes how they moved; percentileRank(value, values, direction) places a
+// result among the squad's results for the same test.
+
+const DIRECTIONS = ['higher', 'lower'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Changes smaller than this share of the average result count as steady
+const STEADY_TOLERANCE = 0.01;
+
+const dayNumber = (value) => {
+  const date = value instanceof Date ? value : new Date(`${String(value).slice(0, 10)}T00:00:00`);
+  return Math.round(date.getTime() / DAY_MS);
+};
+
+const round = (value, places = 3) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+// Least-squares slope of the results in units per day
+const slopePerDay = (points) => {
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  let numerator = 0;
+  let denominator = 0;
+  for (const p of points) {
+    numerator += (p.x - meanX) * (p.y - meanY);
+    denominator += (p.x - meanX) * (p.x - meanX);
+  }
+  return denominator === 0 ? 0 : numerator / denominator;
+};
+
+// Returns { count, first, latest, best, change, improvement, trend, slopePerMonth }.
+// improvement is the change from the first to the latest result, positive when
+// it went in the better direction. trend ('improving', 'declining' or 'steady')
+// follows the fitted line over all results and is null with fewer than two.
+const summarizeProgress = (results, direction) => {
+  const sorted = [...results]
+    .map(result => ({ ...result, value: Number(result.value) }))
+    .sort((a, b) => dayNumber(a.testDate) - dayNumber(b.testDate));
+
+  if (sorted.length === 0) {
+    return { count: 0, first: null, latest: null, best: null, change: null, improvement: null, trend: null, slopePerMonth: null };
+  }
+
+  const sign = direction === 'lower' ? -1 : 1;
+  const first = sorted[0];
+  const latest = sorted[sorted.length - 1];
+  const best = sorted.reduce((current, result) => (sign * (result.value - current.value) > 0 ? result : current));
+  const change = latest.value - first.value;
+
+  let trend = null;
+  let slopePerMonth = null;
+  if (sorted.length >= 2) {
+    const points = sorted.map(result => ({ x: dayNumber(result.testDate), y: result.value }));
+    const slope = slopePerDay(points);
+    const span = points[points.length - 1].x - points[0].x;
+    const average = Math.abs(points.reduce((sum, p) => sum + p.y, 0) / points.length);
+    const fittedChange = sign * slope * span;
+    if (span === 0 || Math.abs(fittedChange) <= average * STEADY_TOLERANCE) {
+      trend = 'steady';
+    } else {
+      trend = fittedChange > 0 ? 'improving' : 'declining';
+    }
+    slopePerMonth = round(slope * 30);
+  }
+
+  return {
+    count: sorted.length,
+    first,
+    latest,
+    best,
+    change: round(change),
+    improvement: round(sign * change),
+    trend,
+    slopePerMonth,
+  };
+};
+
+// Percentile rank (0-100) of a result among `values`, which include it: the
+// share of results it beats, counting ties as half. A squad of one is at 100.
+const percentileRank = (value, values, direction) => {
+  if (values.length <= 1) {
+    return 100;
+  }
+  const sign = direction === 'lower' ? -1 : 1;
+  let beaten = 0;
+  let tied = 0;
+  for (const other of values) {
+    const difference = sign * (Number(value) - Number(other));
+    if (difference > 0) beaten++;
+    else if (difference === 0) tied++;
+  }
+  // The result itself is one of the ties
+  return round(((beaten + (tied - 1) / 2) / (values.length - 1)) * 100, 1);
+};
+
+module.exports = {
+  DIRECTIONS,
+  summarizeProgress,
+  percentileRank,
+};
@@ -0,0 +1,252 @@
+// Fixture generation for tournaments.
+//
+// Every generator returns a flat list of matches:
+//   { key, stage, groupName, round, homeTeamId, awayTeamId, homeSource, awaySource, nextKey, nextSlot }
+// `key` identifies a match within one generation run so knockout matches can
+// point at the match their winner advances to (nextKey / nextSlot). homeSource
+// and awaySource describe a slot whose team is not known yet, e.g. "A1" (winner
+// of group A) or "W:KO-1-2" (winner of another knockout match).
+
+const FORMATS = ['round_robin', 'double_round_robin', 'single_elimination', 'group_knockout'];
+
+// Circle method: every team meets every other team once. Teams sit out a round
+// (bye) when the count is odd. Home and away alternate between rounds.
+const roundRobinRounds = (teamIds) => {
+  const teams = [...teamIds];
+  if (teams.length % 2 === 1) {
+    teams.push(null);
+  }
+
+  const rounds = [];
+  const count = teams.length;
+  for (let round = 0; round < count - 1; round++) {
+    const pairs = [];
+    for (let i = 0; i < count / 2; i++) {
+      const home = teams[i];
+      const away = teams[count - 1 - i];
+      if (home !== null && away !== null) {
+        pairs.push(round % 2 === 0 ? [home, away] : [away, home]);
+      }
+    }
+    rounds.push(pairs);
+    // Keep the first team fixed and rotate the rest
+    teams.splice(1, 0, teams.pop());
+  }
+  return rounds;
+};
+
+const leagueMatches = (teamIds, { stage = 'league', groupName = null, legs = 1 } = {}) => {
+  const rounds = roundRobinRounds(teamIds);
+  const matches = [];
+
+  for (let leg = 0; leg < legs; leg++) {
+    rounds.forEach((pairs, index) => {
+      const round = leg * rounds.length + index + 1;
+      pairs.forEach(([home, away], position) => {
+        const [homeTeamId, awayTeamId] = leg % 2 === 0 ? [home, away] : [away, home];
+        matches.push({
+          key: `${groupName || 'L'}-${round}-${position + 1}`,
+          stage,
+          groupName,
+          round,
+          homeTeamId,
+          awayTeamId,
+          homeSource: null,
+          awaySource: null,
+          nextKey: null,
+          nextSlot: null,
+        });
+      });
+    });
+  }
+  return matches;
+};
+
+// Bracket order of seeds so the best seeds meet as late as possible,
+// e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+const seedOrder = (size) => {
+  let order = [1, 2];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+};
+
+// Single elimination bracket. `entrants` are in seeding order and are either
+// { teamId } or { source } for a slot filled later (e.g. a group qualifier).
+// When the count is not a power of two the top seeds get first-round byes and
+// are placed straight into their second-round match.
+const knockoutMatches = (entrants) => {
+  const size = Math.pow(2, Math.ceil(Math.log2(Math.max(entrants.length, 2))));
+  const totalRounds = Math.log2(size);
+  const order = seedOrder(size);
+  const matches = new Map();
+
+  for (let round = 1; round <= totalRounds; round++) {
+    const count = size / Math.pow(2, round);
+    for (let position = 1; position <= count; position++) {
+      matches.set(`KO-${round}-${position}`, {
+        key: `KO-${round}-${position}`,
+        stage: 'knockout',
+        groupName: null,
+        round,
+        homeTeamId: null,
+        awayTeamId: null,
+        homeSource: null,
+        awaySource: null,
+        nextKey: round < totalRounds ? `KO-${round + 1}-${Math.ceil(position / 2)}` : null,
+        nextSlot: round < totalRounds ? (position % 2 === 1 ? 'home' : 'away') : null,
+      });
+    }
+  }
+
+  const place = (match, slot, entrant) => {
+    match[`${slot}TeamId`] = entrant.teamId || null;
+    match[`${slot}Source`] = entrant.teamId ? null : entrant.source;
+  };
+
+  for (let position = 1; position <= size / 2; position++) {
+    const match = matches.get(`KO-1-${position}`);
+    const home = entrants[order[(position - 1) * 2] - 1];
+    const away = entrants[order[(position - 1) * 2 + 1] - 1];
+
+    if (home && away) {
+      place(match, 'home', home);
+      place(match, 'away', away);
+    } else {
+      // Bye: the entrant moves straight to the next round
+      matches.delete(match.key);
+      place(matches.get(match.nextKey), match.nextSlot, home || away);
+    }
+  }
+
+  // Remaining empty slots wait for the winner of the feeding match
+  for (const match of matches.values()) {
+    if (match.nextKey) {
+      const next = matches.get(match.nextKey);
+      if (!next[`${match.nextSlot}TeamId`] && !next[`${match.nextSlot}Source`]) {
+        next[`${match.nextSlot}Source`] = `W:${match.key}`;
+      }
+    }
+  }
+
+  return [...matches.values()];
+};
+
+const groupLabel = (index) => String.fromCharCode(65 + index);
+
+// Split teams into groups (snake order keeps seeds spread), play a round robin
+// in each group, then a knockout between the top `qualifiersPerGroup` of every group.
+const groupKnockoutMatches = (teamIds, { groupCount, qualifiersPerGroup }) => {
+  const groups = Array.from({ length: groupCount }, () => []);
+  teamIds.forEach((teamId, index) => {
+    const lap = Math.floor(index / groupCount);
+    const offset = index % groupCount;
+    groups[lap % 2 === 0 ? offset : groupCount - 1 - offset].push(teamId);
+  });
+
+  const groupMatches = groups.flatMap((teams, index) =>
+    leagueMatches(teams, { stage: 'group', groupName: groupLabel(index) })
+  );
+
+  // Qualifiers seeded as all group winners first, then all runners-up, ...
+  const qualifiers = [];
+  for (let place = 1; place <= qualifiersPerGroup; place++) {
+    groups.forEach((teams, index) => qualifiers.push({ source: `${groupLabel(index)}${place}` }));
+  }
+
+  return [...groupMatches, ...knockoutMatches(qualifiers)];
+};
+
+// Validate options and build the matches for a format. Throws an Error with a
+// user-facing message when the options do not fit the teams.
+const generateFixtures = (format, teamIds, options = {}) => {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (teamIds.length < 2) {
+    throw new Error('At least two teams are needed to generate fixtures');
+  }
+
+  switch (format) {
+    case 'round_robin':
+      return leagueMatches(teamIds);
+    case 'double_round_robin':
+      return leagueMatches(teamIds, { legs: 2 });
+    case 'single_elimination':
+      return knockoutMatches(teamIds.map(teamId => ({ teamId })));
+    case 'group_knockout': {
+      const groupCount = parseInt(options.groupCount) || 2;
+      const qualifiersPerGroup = parseInt(options.qualifiersPerGroup) || 2;
+      if (groupCount < 2) {
+        throw new Error('Group stage needs at least two groups');
+      }
+      if (teamIds.length < groupCount * 2) {
+        throw new Error('Each group needs at least two teams');
+      }
+      if (qualifiersPerGroup < 1 || qualifiersPerGroup >= Math.floor(teamIds.length / groupCount)) {
+        throw new Error('Qualifiers per group must be at least 1 and fewer than the teams in each group');
+      }
+      return groupKnockoutMatches(teamIds, { groupCount, qualifiersPerGroup });
+    }
+    default:
+      return [];
+  }
+};
+
+// Give every match a date and time. Slots are times of day ("09:00") repeated
+// on consecutive days from startDate; each slot takes up to `concurrentMatches`
+// matches. Each round starts in a fresh slot so rounds are played in order.
+// Returns scheduledAt values as "YYYY-MM-DD HH:MM:00" strings.
+const scheduleMatches = (matches, { startDate, slots, concurrentMatches = 1, skipDates = [] }) => {
+  const times = [...slots].sort();
+  const perSlot = Math.max(1, parseInt(concurrentMatches) || 1);
+  const skipped = new Set(skipDates);
+  const stageOrder = { group: 0, league: 0, knockout: 1 };
+
+  let day = new Date(`${startDate}T00:00:00Z`);
+  let slotIndex = -1;
+  let usedInSlot = perSlot;
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const dayString = () => `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}-${pad(day.getUTCDate())}`;
+
+  const nextSlot = () => {
+    slotIndex++;
+    if (slotIndex >= times.length) {
+      slotIndex = 0;
+      day = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+    }
+    while (skipped.has(dayString())) {
+      day = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+    }
+    usedInSlot = 0;
+  };
+
+  // The first slot may fall on a skipped date
+  while (skipped.has(dayString())) {
+    day = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  const ordered = [...matches].sort((a, b) =>
+    stageOrder[a.stage] - stageOrder[b.stage] || a.round - b.round
+  );
+
+  let currentRound = null;
+  return ordered.map(match => {
+    const roundKey = `${stageOrder[match.stage]}-${match.round}`;
+    if (roundKey !== currentRound || usedInSlot >= perSlot) {
+      nextSlot();
+      currentRound = roundKey;
+    }
+    usedInSlot++;
+    return { ...match, scheduledAt: `${dayString()} ${times[slotIndex]}:00` };
+  });
+};
+
+module.exports = {
+  FORMATS,
+  generateFixtures,
+  scheduleMatches,
+};
@@ -0,0 +1,162 @@
+// Rate limiting and login lockout.
+//
+// Counters live behind a small store interface so the same limits can run
+// in memory (development, single process) or in the database (shared and
+// surviving restarts):
+//   increment(key, windowMs) -> { count, resetAt }  count within the current window
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)               -> clears the counter
+
+// In-memory store. Expired counters are dropped on access and swept every minute.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  const get = async (key) => {
+    const entry = counters.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  };
+
+  const increment = async (key, windowMs) => {
+    const current = await get(key);
+    const entry = current
+      ? { count: current.count + 1, resetAt: current.resetAt.getTime() }
+      : { count: 1, resetAt: Date.now() + windowMs };
+    counters.set(key, entry);
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  };
+
+  const reset = async (key) => {
+    counters.delete(key);
+  };
+
+  return { get, increment, reset };
+};
+
+// Database store backed by the rate_limits table
+const createDatabaseStore = (pool) => {
+  const withConnection = async (callback) => {
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      return await callback(conn);
+    } finally {
+      if (conn) conn.release();
+    }
+  };
+
+  const get = async (key) => {
+    return withConnection(async (conn) => {
+      const rows = await conn.query(
+        'SELECT count, resetAt FROM rate_limits WHERE bucketKey = ? AND resetAt > NOW(3)',
+        [key]
+      );
+      return rows.length > 0 ? { count: Number(rows[0].count), resetAt: new Date(rows[0].resetAt) } : null;
+    });
+  };
+
+  const increment = async (key, windowMs) => {
+    return withConnection(async (conn) => {
+      const resetAt = new Date(Date.now() + windowMs);
+      await conn.query(
+        `INSERT INTO rate_limits (bucketKey, count, resetAt) VALUES (?, 1, ?)
+         ON DUPLICATE KEY UPDATE
+           count = IF(resetAt <= NOW(3), 1, count + 1),
+           resetAt = IF(resetAt <= NOW(3), VALUES(resetAt), resetAt)`,
+        [key, resetAt]
+      );
+      const rows = await conn.query('SELECT count, resetAt FROM rate_limits WHERE bucketKey = ?', [key]);
+      return { count: Number(rows[0].count), resetAt: new Date(rows[0].resetAt) };
+    });
+  };
+
+  const reset = async (key) => {
+    return withConnection(async (conn) => {
+      await conn.query('DELETE FROM rate_limits WHERE bucketKey = ?', [key]);
+    });
+  };
+
+  return { get, increment, reset };
+};
+
+const secondsUntil = (date) => {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+};
+
+// Send a 429 with a Retry-After header
+const sendTooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  res.status(429).json({ error: message, retryAfter: secondsUntil(resetAt) });
+};
+
+// Express middleware allowing `max` requests per key within `windowMs`.
+// keyGenerator returns the bucket (e.g. IP or account); a falsy key skips the limit.
+const rateLimit = ({ store, name, windowMs, max, keyGenerator, message }) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) {
+        return next();
+      }
+
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+      if (count > max) {
+        return sendTooManyRequests(res, resetAt, message || 'Too many requests. Please try again later.');
+      }
+      next();
+    } catch (error) {
+      // A broken counter store should not take logins down with it
+      console.error('Rate limit store error:', error);
+      next();
+    }
+  };
+};
+
+// Temporary account lockout after repeated failed logins
+const createLoginGuard = ({ store, name, maxFailures, failureWindowMs, lockoutMs }) => {
+  const normalize = (account) => String(account).trim().toLowerCase();
+
+  // Returns the lockout end date, or null if the account is not locked
+  const lockedUntil = async (account) => {
+    const lock = await store.get(`${name}-lock:${normalize(account)}`);
+    return lock ? lock.resetAt : null;
+  };
+
+  const recordFailure = async (account) => {
+    const key = normalize(account);
+    const { count } = await store.increment(`${name}-fail:${key}`, failureWindowMs);
+    if (count >= maxFailures) {
+      await store.reset(`${name}-fail:${key}`);
+      const lock = await store.increment(`${name}-lock:${key}`, lockoutMs);
+      return lock.resetAt;
+    }
+    return null;
+  };
+
+  const recordSuccess = async (account) => {
+    await store.reset(`${name}-fail:${normalize(account)}`);
+  };
+
+  return { lockedUntil, recordFailure, recordSuccess };
+};
+
+module.exports = {
+  createMemoryStore,
+  createDatabaseStore,
+  rateLimit,
+  createLoginGuard,
+  sendTooManyRequests,
+};
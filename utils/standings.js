@@ -0,0 +1,125 @@
+// League table calculation.
+//
+// computeStandings(teams, matches, rules) takes the teams of one table
+// ({ id, name }), its completed matches ({ homeTeamId, awayTeamId, homeScore,
+// awayScore, resultType, winnerTeamId }) and the scoring rules of the sport
+// ({ pointsWin, pointsDraw, pointsLoss, tieBreakers }) and returns the rows in
+// table order.
+
+const TIE_BREAKERS = ['headToHead', 'scoreDifference', 'scoreFor', 'wins'];
+const DEFAULT_TIE_BREAKERS = ['headToHead', 'scoreDifference', 'scoreFor'];
+
+// Accept an array or a comma separated string. Returns the list of valid
+// tie-breakers, or null when it contains an unknown one.
+const parseTieBreakers = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const cleaned = list.map(item => String(item).trim()).filter(Boolean);
+  if (cleaned.some(item => !TIE_BREAKERS.includes(item))) {
+    return null;
+  }
+  return [...new Set(cleaned)];
+};
+
+// Winner of a completed match, or null for a draw
+const matchWinner = (match) => {
+  if (match.winnerTeamId) {
+    return match.winnerTeamId;
+  }
+  if (match.resultType === 'draw' || match.homeScore === match.awayScore) {
+    return null;
+  }
+  return match.homeScore > match.awayScore ? match.homeTeamId : match.awayTeamId;
+};
+
+const pointsFor = (match, teamId, rules) => {
+  const winner = matchWinner(match);
+  if (winner === null) return rules.pointsDraw;
+  return winner === teamId ? rules.pointsWin : rules.pointsLoss;
+};
+
+const computeStandings = (teams, matches, rules) => {
+  const rows = new Map(teams.map(team => [team.id, {
+    teamId: team.id,
+    teamName: team.name,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    scoreFor: 0,
+    scoreAgainst: 0,
+    scoreDifference: 0,
+    points: 0,
+  }]));
+
+  for (const match of matches) {
+    const home = rows.get(match.homeTeamId);
+    const away = rows.get(match.awayTeamId);
+    if (!home || !away) continue;
+
+    const winner = matchWinner(match);
+    for (const [row, scored, conceded] of [[home, match.homeScore, match.awayScore], [away, match.awayScore, match.homeScore]]) {
+      row.played++;
+      row.scoreFor += scored || 0;
+      row.scoreAgainst += conceded || 0;
+      if (winner === null) {
+        row.draws++;
+      } else if (winner === row.teamId) {
+        row.wins++;
+      } else {
+        row.losses++;
+      }
+      row.points += pointsFor(match, row.teamId, rules);
+    }
+  }
+
+  for (const row of rows.values()) {
+    row.scoreDifference = row.scoreFor - row.scoreAgainst;
+  }
+
+  // Head to head: points earned only in matches between the tied teams
+  const headToHead = (group) => {
+    const ids = new Set(group.map(row => row.teamId));
+    const points = new Map(group.map(row => [row.teamId, 0]));
+    for (const match of matches) {
+      if (ids.has(match.homeTeamId) && ids.has(match.awayTeamId)) {
+        points.set(match.homeTeamId, points.get(match.homeTeamId) + pointsFor(match, match.homeTeamId, rules));
+        points.set(match.awayTeamId, points.get(match.awayTeamId) + pointsFor(match, match.awayTeamId, rules));
+      }
+    }
+    return (row) => points.get(row.teamId);
+  };
+
+  // Order a group of teams by one criterion, then break the remaining ties
+  // within each sub-group with the next one. Teams still level are listed by name.
+  const rank = (group, criteria) => {
+    if (group.length <= 1 || criteria.length === 0) {
+      return [...group].sort((a, b) => String(a.teamName).localeCompare(String(b.teamName)));
+    }
+
+    const [criterion, ...rest] = criteria;
+    const value = criterion === 'headToHead' ? headToHead(group) : (row) => row[criterion];
+
+    const buckets = new Map();
+    for (const row of group) {
+      const key = value(row);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(row);
+    }
+
+    return [...buckets.keys()]
+      .sort((a, b) => b - a)
+      .flatMap(key => rank(buckets.get(key), rest));
+  };
+
+  const tieBreakers = rules.tieBreakers && rules.tieBreakers.length > 0 ? rules.tieBreakers : DEFAULT_TIE_BREAKERS;
+  return rank([...rows.values()], ['points', ...tieBreakers])
+    .map((row, index) => ({ position: index + 1, ...row }));
+};
+
+module.exports = {
+  TIE_BREAKERS,
+  DEFAULT_TIE_BREAKERS,
+  parseTieBreakers,
+  matchWinner,
+  computeStandings,
+};